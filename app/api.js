@@ -3,18 +3,19 @@
 /// @page app/base
 ////
 const debug = require('debug')('couchbase-rest-sdk:RestApi');
+import Cassette from './cassette';
 import Cluster from './cluster';
+import { logger } from './middleware';
 import Node from './node';
 import {
   cloneDeep,
   extend,
+  find,
   isObject,
+  omit,
   pick,
 } from 'lodash';
 
-// hold cluster instances in a weak map
-const clusters_map = new WeakMap();
-
 /// @name RestApi
 /// @description RestApi class
 /// @type {class}
@@ -25,13 +26,25 @@ export default class RestApi {
   ///# {
   ///#   password: '', // the cluster admin password
   ///#   username: '', // the cluster admin username
+  ///#   retry: {}, // the retry policy for failed requests, see `Base` for the available options
+  ///#   cassette: null, // a Cassette or its options to record or replay every request, see `Cassette` for the available options
+  ///#   tls: {}, // the ca, cert, key and rejectUnauthorized settings used w/ https, see `Base` for the available options
+  ///#   middleware: [ logger ], // the middleware every request is passed through, see `use()`
   ///# }
   ///# ```
   constructor({
+    cassette,
+    middleware = [ logger ],
     password = 'password',
+    retry = {},
+    tls = {},
     username = 'Administrator',
   } = {}) {
-    extend(this, { username, password });
+    extend(this, { username, password, retry, tls, middleware });
+    // the cassette is created once so every instance records to and replays from the same one
+    this.cassette = Cassette.from(cassette);
+    // the cluster instances that have been created, so the same one is returned for the same options
+    this.clusters = [];
   }
 
   ///# @name cluster
@@ -42,7 +55,7 @@ export default class RestApi {
   ///# {
   ///#   cluster_host: 'localhost', // the cluster host
   ///#   cluster_port: 8091, // the cluster port
-  ///#   cluster_protocol: 'http', // the cluster http protocol to use
+  ///#   cluster_protocol: 'http', // the cluster http protocol to use, https uses port 18091 by default
   ///# }
   ///# ```
   ///# @async
@@ -52,23 +65,36 @@ export default class RestApi {
   ) {
     debug('cluster');
     // if options is defined and node_host is an object
+    const defaults = pick(this, [ 'username', 'password', 'retry', 'cassette', 'tls', 'middleware' ]);
     if (isObject(cluster_host)) {
       options = pick(
-        extend({}, { username: this.username, password: this.password }, cluster_host),
-        [ 'cluster_host', 'cluster_port', 'cluster_protocol', 'username', 'password' ],
+        extend({}, defaults, cluster_host),
+        [ 'cluster_host', 'cluster_port', 'cluster_protocol', 'username', 'password', 'retry', 'cassette', 'tls', 'middleware' ],
       );
     } else { // host and options were passed separately
-      options = extend(options, { cluster_host });
+      options = extend({}, defaults, options, { cluster_host });
     }
     debug(`  cluster_host: ${options.cluster_host}`);
-    // try to get it from the map first
-    let cluster = clusters_map[JSON.stringify(options)];
-    // if it doesn't exist set it and save it in the map
-    if (!cluster) {
-      cluster = new Cluster(options);
-      clusters_map[JSON.stringify(options)] = cluster;
+    // the middleware and cassette can't be serialized, so they are compared by reference instead of being part of the key
+    const key = JSON.stringify(omit(options, [ 'cassette', 'middleware' ]));
+    const { middleware, cassette } = options;
+    // try to get it from the existing instances first
+    let cached = find(this.clusters, (item) => item.key === key && item.middleware === middleware && item.cassette === cassette);
+    // if it doesn't exist create it and save it
+    if (!cached) {
+      cached = { key, middleware, cassette, cluster: new Cluster(options) };
+      this.clusters.push(cached);
     }
-    return cluster;
+    return cached.cluster;
+  }
+
+  ///# @name use
+  ///# @description Adds middleware that is inherited by every instance created afterwards, see `Base.use()`
+  ///# @arg {object} middleware - `{ beforeRequest, afterResponse, onError }` each hook is optional
+  ///# @returns {this}
+  use(middleware) {
+    this.middleware = this.middleware.concat(middleware);
+    return this;
   }
 
   ///# @name node
@@ -111,6 +137,10 @@ export default class RestApi {
       node_port,
       node_protocol,
       password: this.password,
+      retry: this.retry,
+      cassette: this.cassette,
+      tls: this.tls,
+      middleware: this.middleware,
       username: this.username,
     });
     return node.configure(config);
@@ -3,70 +3,174 @@
 /// @page app/base
 ////
 
+import EventEmitter from 'events';
+import fs from 'fs';
+import requestStream from 'request';
 import rp from 'request-promise-native';
+import url from 'url';
+import Cassette from './cassette';
 const debug = require('debug')('couchbase-rest-sdk:Base');
+import {
+  NetworkError,
+  NotFoundError,
+  TimeoutError,
+  createError,
+} from './errors';
+import {
+  logger,
+  runHooks,
+} from './middleware';
+import { delay } from './utils';
 import {
   extend,
-  get,
-  isEmpty,
-  isObject,
-  reduce,
+  find,
+  pick,
+  pickBy,
 } from 'lodash';
 
+// the http and https ports of the REST api for each service
+const service_ports = {
+  fts: [ 8094, 18094 ],
+  index: [ 9102, 19102 ],
+  n1ql: [ 8093, 18093 ],
+  views: [ 8092, 18092 ], // the CAPI port, design documents and views
+};
+
+// the service a node has to run for each api, views are served by the nodes running the kv / data service
+const node_services = {
+  views: 'kv',
+};
+
+// maps the http ports to their https equivalents, so only the protocol has to be changed to use tls
+const secure_ports = Object.keys(service_ports).reduce((previous, service) => {
+  const [ port, secure_port ] = service_ports[service];
+  previous[port] = secure_port;
+  return previous;
+}, { 8091: 18091 });
+
+// the default retry policy, by default requests are only attempted once
+const retry_defaults = {
+  attempts: 1, // the maximum number of times to attempt a request
+  delay: 250, // the number of milliseconds to wait before the first retry
+  max_delay: 10000, // the maximum number of milliseconds to wait between retries
+  factor: 2, // the exponential backoff factor
+  jitter: true, // whether or not to randomize the delay between retries
+  statuses: [ 408, 429, 502, 503, 504 ], // the response status codes that can be retried
+  // the network error codes that can be retried
+  codes: [ 'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'EAI_AGAIN', 'ETIMEDOUT', 'ESOCKETTIMEDOUT' ],
+  non_idempotent: false, // whether or not to retry requests that are not safe to repeat, i.e. adding a node
+};
+
 /// @name Base
-/// @description Base class
+/// @description Base class, every instance is an EventEmitter, i.e. the cluster emits the progress of a rebalance
 /// @type {class}
-export default class Base {
+export default class Base extends EventEmitter {
   ///# @name constructor
   ///# @arg {object}
   ///# ```js
   ///# {
   ///#   password: '', // the cluster admin password
   ///#   username: '', // the cluster admin username
+  ///#   retry: { // the retry policy for failed requests
+  ///#     attempts: 1, // the maximum number of times to attempt a request
+  ///#     delay: 250, // the number of milliseconds to wait before the first retry
+  ///#     max_delay: 10000, // the maximum number of milliseconds to wait between retries
+  ///#     factor: 2, // the exponential backoff factor
+  ///#     jitter: true, // whether or not to randomize the delay between retries
+  ///#     statuses: [ 408, 429, 502, 503, 504 ], // the response status codes that can be retried
+  ///#     codes: [ 'ECONNREFUSED', 'ECONNRESET', ... ], // the network error codes that can be retried
+  ///#     non_idempotent: false, // whether or not to retry requests that are not safe to repeat, i.e. adding a node
+  ///#   },
+  ///#   cassette: null, // a Cassette or its options, to record the requests and responses or replay them, i.e.
+  ///#     // { file: 'test/fixtures/cluster.json', mode: 'auto', match: [ 'method', 'endpoint', 'query', 'form' ] }
+  ///#   tls: { // the tls settings used when the protocol is https, the certificates and key can be PEM strings,
+  ///#     // buffers or paths to PEM files
+  ///#     ca: null, // the CA certificate(s) to trust, i.e. the cluster CA
+  ///#     cert: null, // the client certificate, for client certificate authentication
+  ///#     key: null, // the private key of the client certificate
+  ///#     rejectUnauthorized: true, // whether or not to reject servers whose certificate is not signed by a trusted CA
+  ///#   },
+  ///#   middleware: [ logger ], // the middleware every request is passed through, see `use()`
   ///# }
   ///# ```
   constructor({
+    cassette,
     cluster_host = 'localhost',
-    cluster_port = 8091,
     cluster_protocol = 'http',
+    cluster_port = cluster_protocol === 'https' ? 18091 : 8091,
+    middleware = [ logger ],
     password = 'password',
     pool = 'default',
+    retry = {},
+    tls = {},
     username = 'Administrator',
   } = {}) {
+    super();
     extend(this, { cluster_host, cluster_port, cluster_protocol, password, pool, username });
+    this.retry = extend({}, retry_defaults, retry);
+    this.cassette = Cassette.from(cassette);
+    this.tls = tlsOptions(tls);
+    this.middleware = middleware;
+  }
+
+  ///# @name connection
+  ///# @description Gets the options needed to create another instance that connects to the same cluster
+  ///# @returns {object}
+  connection() {
+    return pick(this, [
+      'cassette',
+      'cluster_host',
+      'cluster_port',
+      'cluster_protocol',
+      'middleware',
+      'password',
+      'pool',
+      'retry',
+      'tls',
+      'username',
+    ]);
   }
 
   ///# @name post
   ///# @arg {string} endpoint [''] - The endpoint to send the request to
   ///# @arg {object} data [''] - // Any form data to send
   ///# @arg {object} query [''] - // Any query string data to send
-  post(endpoint, { form, body, query, protocol, host, port } = {}) {
+  ///# @arg {object} retry [{}] - // Overrides the retry policy for the request
+  ///# @arg {boolean} idempotent [true] - // Whether or not the request is safe to repeat
+  ///# @arg {object} headers [{}] - // Any headers to send, the content type defaults to form data
+  ///# @arg {boolean} json [true] - // Whether or not the body is json, when false a string body is sent as is
+  post(endpoint, { form, body, query, protocol, host, port, retry, idempotent, headers, json } = {}) {
     return this.send({
       method: 'POST',
       endpoint,
       form,
       body,
       query,
-      headers: {
+      headers: extend({
         'Content-Type': 'application/x-www-form-urlencoded',
-      },
+      }, headers),
       protocol,
       host,
       port,
+      retry,
+      idempotent,
+      json,
     });
   }
 
   ///# @name get
   ///# @arg {string} endpoint [''] - The endpoint to send the request to
   ///# @arg {object} data [{}] - // any query string parameters to add
-  get(endpoint, { data = {}, protocol, host, port } = {}) {
+  ///# @arg {object} retry [{}] - // Overrides the retry policy for the request
+  get(endpoint, { data = {}, protocol, host, port, retry } = {}) {
     return this.send({
       method: 'GET',
       endpoint,
-      qs: data,
+      query: data,
       protocol,
       host,
       port,
+      retry,
     });
   }
 
@@ -74,7 +178,8 @@ export default class Base {
   ///# @arg {string} endpoint [''] - The endpoint to send the request to
   ///# @arg {object} data [''] - // Any form data to send
   ///# @arg {object} query [''] - // Any query string data to send
-  delete(endpoint, { data = {}, query = {}, protocol, host, port } = {}) {
+  ///# @arg {object} retry [{}] - // Overrides the retry policy for the request
+  delete(endpoint, { data = {}, query = {}, protocol, host, port, retry } = {}) {
     return this.send({
       method: 'DELETE',
       endpoint,
@@ -83,6 +188,7 @@ export default class Base {
       protocol,
       host,
       port,
+      retry,
     });
   }
 
@@ -90,7 +196,8 @@ export default class Base {
   ///# @arg {string} endpoint [''] - The endpoint to send the request to
   ///# @arg {object} data [''] - // Any form data to send
   ///# @arg {object} query [''] - // Any query string data to send
-  put(endpoint, { data, body, query, protocol, host, port } = {}) {
+  ///# @arg {object} retry [{}] - // Overrides the retry policy for the request
+  put(endpoint, { data, body, query, protocol, host, port, retry } = {}) {
     return this.send({
       method: 'PUT',
       endpoint,
@@ -100,6 +207,7 @@ export default class Base {
       protocol,
       host,
       port,
+      retry,
     });
   }
 
@@ -112,20 +220,112 @@ export default class Base {
   ///#   qs: {}, // an object of query string parameters for the request
   ///#   formData: {}, // an object of form data to post for the request
   ///#   headers: {}, // an object of headers to add to the request
+  ///#   retry: {}, // overrides the retry policy for the request
+  ///#   idempotent: true, // whether or not the request is safe to repeat, if not it is only retried when opted in
+  ///#   json: true, // whether or not the body is json, when false a string body is sent as is
+  ///# }
+  ///# ```
+  ///# @throws {CouchbaseError} - One of the error classes from `app/errors` depending on the response
+  async send({
+    idempotent = true,
+    retry = {},
+    ...request
+  }) {
+    debug('send');
+    const options = this.requestOptions(request);
+    const { endpoint } = request;
+    const { method, json } = options;
+    const policy = extend({}, retry_defaults, this.retry, retry);
+    const started = Date.now();
+    for (let attempt = 1; ; attempt++) {
+      const context = { method, endpoint, attempt, started, instance: this };
+      // each attempt gets its own copy of the options, so changes made by the middleware don't build up between retries
+      const attempt_options = extend({}, options, { headers: extend({}, options.headers) });
+      const prepared = await runHooks(this.middleware, 'beforeRequest', attempt_options, context);
+      let response;
+      try {
+        response = await this.transport(prepared);
+      } catch (err) {
+        const error = createError(err, { method, endpoint });
+        if (attempt >= policy.attempts || !retryable(error, policy, idempotent)) {
+          return failed(this.middleware, error, context);
+        }
+        const wait = backoff(policy, attempt);
+        debug(`  retrying ${method} ${endpoint} in ${wait}ms (attempt ${attempt + 1} of ${policy.attempts})`);
+        await delay(wait);
+        continue;
+      }
+      return runHooks(this.middleware, 'afterResponse', json ? response : parse(response), context);
+    }
+  }
+
+  ///# @name use
+  ///# @description Adds middleware to the instance, the instances it creates inherit it. The middleware of the instances
+  ///#   that were created before are not changed
+  ///# @arg {object} middleware - An object of hooks, each one is optional
+  ///# ```js
+  ///# {
+  ///#   beforeRequest(options, context) {}, // can change or return new request options
+  ///#   afterResponse(result, context) {}, // can return a new result
+  ///#   onError(error, context) {}, // can return a new error to throw, or any other value to resolve w/ instead
   ///# }
   ///# ```
-  send({
+  ///# the context is `{ method, endpoint, attempt, started, instance }`
+  ///# @returns {this}
+  use(middleware) {
+    // copy on write, so the middleware isn't added to the parent or sibling instances that share the array
+    this.middleware = this.middleware.concat(middleware);
+    return this;
+  }
+
+  ///# @name transport
+  ///# @description Sends the request, through the cassette when there is one
+  ///# @arg {object} options - The request-promise options from `requestOptions()`
+  ///# @returns {*} - The response body
+  ///# @async
+  transport(options) {
+    if (!this.cassette) {
+      return rp(options);
+    }
+    const { method, uri, qs: query, form, body } = options;
+    const { host, pathname: endpoint } = url.parse(uri);
+    return this.cassette.play({ method, host, endpoint, query, form, body }, () => {
+      return rp(extend({}, options, { resolveWithFullResponse: true }));
+    });
+  }
+
+  ///# @name stream
+  ///# @description Sends a request without buffering the response, the request stream is returned
+  ///# @arg {object} - The same options as `send()`, retries, cassettes and middleware are not supported
+  ///# @returns {Request}
+  stream(request) {
+    debug('stream');
+    const options = this.requestOptions(request);
+    debug(`  uri: ${options.uri}`);
+    debug(`  method: ${options.method}`);
+    return requestStream(options);
+  }
+
+  ///# @name requestOptions
+  ///# @description Builds the options for a request
+  ///# @arg {object} - The same options as `send()`
+  ///# @returns {object}
+  requestOptions({
     endpoint,
     form,
     body,
     headers,
     host = this.node_host || this.cluster_host,
+    json = true,
     method = 'GET',
     protocol = this.node_protocol || this.cluster_protocol || 'http',
     port = this.node_port || this.cluster_port || 8091,
     query,
   }) {
-    debug('send');
+    // the default http ports are switched to the secure ports when using https
+    if (protocol === 'https' && secure_ports[port]) {
+      port = secure_ports[port];
+    }
     const options = {
       uri: `${protocol}://${host}:${port}/${endpoint.replace(/^\//, '')}`,
       method,
@@ -133,15 +333,11 @@ export default class Base {
       body,
       qs: query,
       headers,
-      json: true,
+      json,
     };
-    debug(`  uri: ${options.uri}`);
-    debug(`  method: ${method}`);
-    debug(`  endpoint: ${endpoint}`);
-    debug(`  query: ${JSON.stringify(query, null, 2)}`);
-    debug(`  form: ${JSON.stringify(form, null, 2)}`);
-    debug(`  body: ${JSON.stringify(body, null, 2)}`);
-    debug(`  headers: ${JSON.stringify(headers, null, 2)}`);
+    if (protocol === 'https') {
+      extend(options, this.tls);
+    }
     if (this.username && this.password) {
       options.auth = {
         user: this.username,
@@ -149,32 +345,92 @@ export default class Base {
         sendImmediately: true,
       };
     }
-    return rp(options)
-      .catch((err) => {
-        console.log(err);
-        let errors;
-        if (err.error) {
-          errors = get(err, 'error.errors', {});
-          errors = isEmpty(errors) ? get(err, 'error', {}) : errors;
-          if (isObject(errors)) {
-            errors = reduce(errors, (previous, value) => {
-              previous.push(value);
-              return previous;
-            }, []);
-            if (err.statusCode !== 404) {
-              errors = errors.length ? errors : [ 'Unknown Error ¯\_(ツ)_/¯' ]; // eslint-disable-line no-useless-escape
-            }
-          }
-        } else {
-          errors = get(err, 'message', '');
-          errors = errors ? [ errors ] : err;
-        }
-        if (!errors.length && err.statusCode === 404) {
-          errors = [ 'Not Found' ];
-        }
-        throw errors;
+    return options;
+  }
+
+  ///# @name discover
+  ///# @description Finds a node in the cluster running a service, the node that is being used is preferred
+  ///# @arg {string} service - The service to find, can be: views, n1ql, index, fts
+  ///# @returns {object} - The `{ protocol, host, port }` of the service's REST api on the node
+  ///# @throws {NotFoundError} - When there are no nodes running the service
+  ///# @async
+  async discover(service) {
+    debug('discover');
+    debug(`  service: ${service}`);
+    const { nodes = [] } = await this.get(`/pools/${this.pool}`);
+    const required = node_services[service] || service;
+    const candidates = nodes.filter(({ services = [], status }) => services.includes(required) && status !== 'unhealthy');
+    if (!candidates.length) {
+      throw new NotFoundError(`There are no healthy nodes running the ${required} service`, {
+        method: 'GET',
+        endpoint: `/pools/${this.pool}`,
       });
+    }
+    const protocol = this.node_protocol || this.cluster_protocol || 'http';
+    const port = service_ports[service][protocol === 'https' ? 1 : 0];
+    const current = find(candidates, { thisNode: true });
+    // use the host we are already talking to, as the node's own hostname may not be reachable from here
+    if (current) {
+      return { protocol, host: this.node_host || this.cluster_host, port };
+    }
+    const { hostname } = candidates[Math.floor(Math.random() * candidates.length)];
+    return { protocol, host: hostname.replace(/:[0-9]+$/, ''), port };
+  }
+}
+
+// normalizes the tls settings, the certificates and key can be passed as paths to PEM files
+function tlsOptions({ ca, cert, key, rejectUnauthorized = true } = {}) {
+  const pem = (value) => {
+    if (typeof value === 'string' && !/-----BEGIN/.test(value)) {
+      return fs.readFileSync(value);
+    }
+    return value;
+  };
+  return pickBy({
+    ca: Array.isArray(ca) ? ca.map(pem) : pem(ca),
+    cert: pem(cert),
+    key: pem(key),
+    rejectUnauthorized,
+  }, (value) => value !== undefined && value !== null);
+}
+
+// passes an error through the onError hooks, a hook can replace the error or resolve w/ a result instead
+async function failed(middleware, error, context) {
+  for (const item of middleware) {
+    if (typeof item.onError === 'function') {
+      const result = await item.onError(error, context);
+      if (result instanceof Error) {
+        error = result;
+      } else if (result !== undefined) {
+        return result;
+      }
+    }
   }
+  throw error;
+}
+
+// parses a response that was not requested as json, if it isn't json it is returned as is
+function parse(response) {
+  try {
+    return JSON.parse(response);
+  } catch (err) {
+    return response;
+  }
+}
+
+// whether or not a failed request can be attempted again
+function retryable(error, { codes, statuses, non_idempotent }, idempotent) {
+  if (error instanceof NetworkError || error instanceof TimeoutError) {
+    // a refused connection never reached the server so it is always safe to try again
+    return codes.includes(error.code) && (idempotent || non_idempotent || error.code === 'ECONNREFUSED');
+  }
+  return statuses.includes(error.status) && (idempotent || non_idempotent);
+}
+
+// the number of milliseconds to wait before the next attempt
+function backoff({ delay: initial, max_delay, factor, jitter }, attempt) {
+  const wait = Math.min(max_delay, initial * Math.pow(factor, attempt - 1));
+  return jitter ? Math.round(wait / 2 + Math.random() * wait / 2) : wait;
 }
 
 // function isJSON(value) {
@@ -4,12 +4,66 @@
 ////
 const debug = require('debug')('couchbase-rest-sdk:Bucket');
 import Base from './base';
+import DesignDocs from './design-docs';
+import {
+  NotFoundError,
+  ValidationError,
+} from './errors';
+import * as schemas from './schemas';
+import Stats from './stats';
+import { poll } from './utils';
+import Watcher, { bucketChanges } from './watcher';
 import {
   extend,
+  flatten,
+  get,
+  invert,
+  isEqual,
+  isNumber,
+  isObject,
   pick,
+  pickBy,
   reduce,
+  values,
 } from 'lodash';
 
+// maps the option names to the form fields the server expects
+const key_map = {
+  abort_outside_allowed_time: 'allowedTimePeriod[abortOutside]',
+  auth_type: 'authType',
+  conflict_resolution_type: 'conflictResolutionType',
+  database_fragmentation_percentage_threshold: 'databaseFragmentationThreshold[percentage]',
+  document_replicas: 'replicaNumber',
+  eviction_policy: 'evictionPolicy',
+  flush_enabled: 'flushEnabled',
+  index_compaction_mode: 'indexCompactionMode',
+  index_replicas: 'replicaIndex',
+  parallel_compaction: 'parallelDBAndViewCompaction',
+  ram_size: 'ramQuotaMB',
+  name: 'name',
+  sasl_password: 'saslPassword',
+  threads_number: 'threadsNumber',
+  view_fragmentation_percentage_threshold: 'viewFragmentationThreshold[percentage]',
+};
+
+// maps the form fields the server uses back to the option names
+const form_keys = extend(invert(key_map), {
+  'allowedTimePeriod[fromHour]': 'allowed_time_period_start',
+  'allowedTimePeriod[fromMinute]': 'allowed_time_period_start',
+  'allowedTimePeriod[toHour]': 'allowed_time_period_stop',
+  'allowedTimePeriod[toMinute]': 'allowed_time_period_stop',
+  autoCompactionDefined: 'auto_compaction_defined',
+  bucketType: 'bucket_type',
+  'databaseFragmentationThreshold[size]': 'database_fragmentation_size_threshold',
+  'viewFragmentationThreshold[size]': 'view_fragmentation_size_threshold',
+});
+
+// the form fields that cannot be changed once the bucket has been created
+const locked_params = [ 'bucketType', 'conflictResolutionType', 'name', 'replicaIndex' ];
+
+// the form fields for auto compaction, when one is changed they all have to be sent
+const compaction_params = /^(allowedTimePeriod|autoCompactionDefined|databaseFragmentation|parallelDBAndViewCompaction|viewFragmentation)/;
+
 /// @name Bucket
 /// @description Represents and Handles Bucket operations
 /// @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-bucket-intro.html
@@ -42,11 +96,11 @@ export default class Bucket extends Base {
   ///#   auto_compaction_defined: false, // whether or not auto compaction override settings have been defined
   ///#   bucket_priority: 'high', // the bucket priority, can be default or high
   ///#   bucket_type: 'membase', // the bucket type, can be: membase, memcached, ephemeral
-  ///#   conflict_resolution_type: 'seqno', // the conflict resolution to use, can be: seqno, timestamp
+  ///#   conflict_resolution_type: 'seqno', // the conflict resolution to use, can be: seqno, lww (timestamp)
   ///#   database_fragmentation_percentage_threshold: null, // the fragmentation to use for database compaction
   ///#   database_fragmentation_size_threshold: null, // the database size in MB to use for database compaction
   ///#   document_replicas: 1, // the number of document replicas to use
-  ///#   eviction_policy: 'valueOnly', // the eviction policy to use, can be: valueOnly, full
+  ///#   eviction_policy: 'valueOnly', // the eviction policy to use, can be: valueOnly, fullEviction, noEviction, nruEviction
   ///#   flush_enabled: false, // whether or not the bucket can be flushed
   ///#   index_compaction_mode: 'circular', // the compaction mode to use for indexing, can be: circular or append
   ///#   index_replicas: 0, // the number of index replicas to use
@@ -57,6 +111,7 @@ export default class Bucket extends Base {
   ///#   threads_number: 3, // this is the bucket priority, default = 3, high = 8
   ///#   view_fragmentation_percentage_threshold: null, // the percentage threshold to use for view fragmentation
   ///#   view_fragmentation_size_threshold: null, // the view fragmentation threshold size in bytes
+  ///#   wait: false, // whether or not to wait until the bucket is ready on every node, can be an object of waitUntilReady options
   ///# }
   ///# ```
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-bucket-create.html
@@ -68,10 +123,293 @@ export default class Bucket extends Base {
     debug(`  options: ${params}`);
     await this.post(`/pools/${this.pool}/buckets`, {
       form: params,
+      idempotent: false,
+    });
+    // should we wait for the bucket to be ready?
+    if (options.wait) {
+      await this.waitUntilReady(isObject(options.wait) ? options.wait : {});
+    }
+    return this;
+  }
+
+  ///# @name waitUntilReady
+  ///# @description Waits until the bucket exists and is healthy on every node
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   interval: 1000, // the number of milliseconds between checks
+  ///#   timeout: 60000, // the number of milliseconds to wait before giving up, 0 waits forever
+  ///# }
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-retrieve-bucket-info.html
+  ///# @async
+  async waitUntilReady({
+    interval = 1000,
+    timeout = 60000,
+  } = {}) {
+    debug('waitUntilReady');
+    debug(`  name: ${this.name}`);
+    await poll(async () => {
+      const { nodes = [] } = await this.get(`/pools/${this.pool}/buckets/${encodeURIComponent(this.name)}`)
+        .catch((err) => {
+          // the bucket has not been created yet
+          if (err instanceof NotFoundError) {
+            return {};
+          }
+          throw err;
+        });
+      return nodes.length && nodes.every(({ status }) => status === 'healthy');
+    }, {
+      interval,
+      timeout,
+      message: `Bucket ${this.name} was not ready within ${timeout}ms`,
     });
     return this;
   }
 
+  ///# @name details
+  ///# @description Gets the details of the bucket
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-retrieve-bucket-info.html
+  ///# @async
+  details() {
+    debug('details');
+    debug(`  name: ${this.name}`);
+    return this.get(`/pools/${this.pool}/buckets/${encodeURIComponent(this.name)}`);
+  }
+
+  ///# @name watch
+  ///# @description Streams the details of the bucket and emits what changed each time the server sends them, the stream
+  ///#   is reconnected w/ a backoff until `close()` is called, or until the bucket is removed
+  ///# @arg {object} options [{}] - The `interval`, `max_interval`, `attempts` and `idle_timeout` options of the `Watcher`
+  ///#   constructor
+  ///# @returns {Watcher} - The changes are from `bucketChanges()`, i.e. `{ type: 'bucket_quota_changed', bucket, from, to }`
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-retrieve-bucket-info.html
+  watch(options = {}) {
+    debug('watch');
+    debug(`  name: ${this.name}`);
+    return new Watcher(this, extend({}, options, {
+      endpoint: `/pools/${this.pool}/bucketsStreaming/${encodeURIComponent(this.name)}`,
+      diff: bucketChanges,
+    })).start();
+  }
+
+  ///# @name update
+  ///# @description Updates the settings of the bucket, only the settings that have changed are sent
+  ///# @arg {object} options [{}] - Any of the options accepted by `create()`, `bucket_type`, `conflict_resolution_type`,
+  ///#   `index_replicas` and `name` cannot be changed once the bucket has been created
+  ///# @throws {ValidationError} - When a setting cannot be changed or is invalid, `fields` are keyed by option name
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-bucket-create.html
+  ///# @async
+  async update(options = {}) {
+    debug('update');
+    debug(`  name: ${this.name}`);
+    const current = this.optionsFromDetails(await this.details());
+    const before = this.normalizeParams(current);
+    const after = this.normalizeParams(extend({}, current, options));
+    let params = pickBy(after, (value, key) => String(value) !== String(before[key]));
+    // make sure none of the changed settings are locked
+    const locked = Object.keys(params).filter((key) => locked_params.includes(key));
+    if (locked.length) {
+      const fields = locked.reduce((previous, key) => {
+        previous[form_keys[key]] = `${form_keys[key]} cannot be changed once the bucket has been created`;
+        return previous;
+      }, {});
+      throw new ValidationError(values(fields).join('; '), {
+        method: 'POST',
+        endpoint: `/pools/${this.pool}/buckets/${encodeURIComponent(this.name)}`,
+        errors: values(fields),
+        fields,
+      });
+    }
+    // auto compaction settings have to be sent together
+    if (Object.keys(params).some((key) => compaction_params.test(key))) {
+      params = extend(params, pickBy(after, (value, key) => compaction_params.test(key)));
+    }
+    debug(`  params: ${JSON.stringify(params)}`);
+    // there is nothing to update
+    if (!Object.keys(params).length) {
+      return this;
+    }
+    await this.post(`/pools/${this.pool}/buckets/${encodeURIComponent(this.name)}`, {
+      form: params,
+    })
+      .catch((err) => {
+        throw optionError(err);
+      });
+    return this;
+  }
+
+  ///# @name flush
+  ///# @description Removes all of the documents from the bucket, `flush_enabled` must be set on the bucket
+  ///# @throws {ValidationError} - When flush is not enabled for the bucket
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-bucket-flush.html
+  ///# @async
+  async flush() {
+    debug('flush');
+    debug(`  name: ${this.name}`);
+    await this.post(`/pools/${this.pool}/buckets/${encodeURIComponent(this.name)}/controller/doFlush`)
+      .catch((err) => {
+        if (err instanceof ValidationError) {
+          const message = `Flush is not enabled for the bucket ${this.name}, enable it with update({ flush_enabled: true })`;
+          throw new ValidationError(message, extend(pick(err, [ 'status', 'method', 'endpoint', 'body', 'errors' ]), {
+            fields: { flush_enabled: message },
+          }));
+        }
+        throw err;
+      });
+    return this;
+  }
+
+  ///# @name remove
+  ///# @description Deletes the bucket from the cluster
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-bucket-delete.html
+  ///# @async
+  async remove() {
+    debug('remove');
+    debug(`  name: ${this.name}`);
+    await this.delete(`/pools/${this.pool}/buckets/${encodeURIComponent(this.name)}`);
+    return this;
+  }
+
+  ///# @name compact
+  ///# @description Starts compacting the bucket
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-compact-post.html
+  ///# @async
+  async compact() {
+    debug('compact');
+    debug(`  name: ${this.name}`);
+    await this.post(`/pools/${this.pool}/buckets/${encodeURIComponent(this.name)}/controller/compactBucket`);
+    return this;
+  }
+
+  ///# @name cancelCompaction
+  ///# @description Stops compacting the bucket
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-compact-post.html
+  ///# @async
+  async cancelCompaction() {
+    debug('cancelCompaction');
+    debug(`  name: ${this.name}`);
+    await this.post(`/pools/${this.pool}/buckets/${encodeURIComponent(this.name)}/controller/cancelBucketCompaction`);
+    return this;
+  }
+
+  ///# @name stats
+  ///# @description Gets the statistics of the bucket as a Stats instance of `{ timestamp, metric, value, node }` samples
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   zoom: 'minute', // the time span of the samples, can be: minute, hour, day, week, month, year
+  ///#   node: undefined, // a node hostname (host:port) to get the stats for, true gets the stats for each node
+  ///# }
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-bucket-stats.html
+  ///# @async
+  async stats({
+    zoom = 'minute',
+    node,
+  } = {}) {
+    debug('stats');
+    debug(`  name: ${this.name}`);
+    debug(`  zoom: ${zoom}`);
+    debug(`  node: ${node}`);
+    const endpoint = `/pools/${this.pool}/buckets/${encodeURIComponent(this.name)}`;
+    // the stats for the bucket across the whole cluster
+    if (!node) {
+      return Stats.fromResponse(await this.get(`${endpoint}/stats`, { data: { zoom } }));
+    }
+    // the stats for each node the bucket is on
+    let hostnames = [ node ];
+    if (node === true) {
+      hostnames = await this.details().then(({ nodes = [] }) => nodes.map(({ hostname }) => hostname));
+    }
+    const results = await Promise.all(hostnames.map((hostname) => {
+      return this.get(`${endpoint}/nodes/${encodeURIComponent(hostname)}/stats`, { data: { zoom } })
+        .then((response) => Stats.fromResponse(response, hostname).samples);
+    }));
+    return new Stats(flatten(results));
+  }
+
+  ///# @name designDocs
+  ///# @description Gets a new instance of the DesignDocs class for the bucket, for managing design documents
+  ///# @returns {DesignDocs}
+  designDocs() {
+    debug('designDocs');
+    return new DesignDocs(extend(this.connection(), { bucket: this.name }));
+  }
+
+  ///# @name view
+  ///# @description Queries a view, the results are requested a page at a time as they are iterated. Each page starts at
+  ///#   the key and document id of the last row of the previous page, so the server doesn't have to skip every row that
+  ///#   has already been returned, only queries by `key` or `keys` are paged w/ skip
+  ///# @arg {string} ddoc - The name of the design document
+  ///# @arg {string} view - The name of the view
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   key: undefined, // only return rows w/ this key
+  ///#   keys: undefined, // only return rows w/ one of these keys
+  ///#   startkey: undefined, // the key to start at
+  ///#   endkey: undefined, // the key to stop at
+  ///#   reduce: undefined, // whether or not to use the reduce function of the view
+  ///#   group_level: undefined, // the number of array key elements to group by when reducing
+  ///#   stale: 'update_after', // whether or not the index is updated first, can be: false, ok, update_after
+  ///#   limit: 0, // the maximum number of rows to return, 0 returns every row
+  ///#   skip: 0, // the number of rows to skip
+  ///#   page_size: 1000, // the number of rows to request at a time
+  ///#   ...options, // any other view parameters, i.e. descending, inclusive_end, startkey_docid
+  ///# }
+  ///# ```
+  ///# @returns {AsyncIterator} - i.e. `for await (const { id, key, value } of bucket.view('ddoc', 'view')) {}`
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-views-get.html
+  async *view(ddoc, view, {
+    limit = 0,
+    skip = 0,
+    page_size = 1000,
+    ...options
+  } = {}) {
+    debug('view');
+    debug(`  name: ${this.name}`);
+    debug(`  ddoc: ${ddoc}`);
+    debug(`  view: ${view}`);
+    const { protocol, host, port } = await this.discover('views');
+    const endpoint = `/${encodeURIComponent(this.name)}/_design/${encodeURIComponent(ddoc)}/_view/${encodeURIComponent(view)}`;
+    const params = viewParams(options);
+    const keyed = options.key !== undefined || options.keys !== undefined;
+    let data = params;
+    let offset = skip;
+    let returned = 0;
+    while (!limit || returned < limit) {
+      const size = limit ? Math.min(page_size, limit - returned) : page_size;
+      const { rows = [] } = await this.get(endpoint, {
+        data: extend({}, data, { skip: offset, limit: size }),
+        protocol,
+        host,
+        port,
+      });
+      for (const row of rows) {
+        yield row;
+      }
+      returned += rows.length;
+      // the last page has been reached
+      if (rows.length < size) {
+        break;
+      }
+      if (keyed) {
+        offset = skip + returned;
+        continue;
+      }
+      const last = rows[rows.length - 1];
+      const startkey = JSON.stringify(last.key);
+      // the next page starts at the last row, so it is skipped along w/ any identical rows (a document can emit the same
+      // key more than once), when the whole page was the same row the rows skipped to get to it are identical as well
+      const same = rows.filter((row) => isEqual(row.key, last.key) && row.id === last.id).length;
+      const repeated = same === rows.length && data.startkey === startkey && data.startkey_docid === last.id;
+      offset = repeated ? offset + same : same;
+      // reduced rows don't have a document id
+      data = extend({}, params, pickBy({ startkey, startkey_docid: last.id }, (value) => value !== undefined));
+    }
+  }
+
   ///# @name validate
   ///# @description Validates bucket settings
   ///# @arg {object}
@@ -84,11 +422,11 @@ export default class Bucket extends Base {
   ///#   auto_compaction_defined: false, // whether or not auto compaction override settings have been defined
   ///#   bucket_priority: 'high', // the bucket priority, can be default or high
   ///#   bucket_type: 'membase', // the bucket type, can be: membase, memcached, ephemeral
-  ///#   conflict_resolution_type: 'seqno', // the conflict resolution to use, can be: seqno, timestamp
+  ///#   conflict_resolution_type: 'seqno', // the conflict resolution to use, can be: seqno, lww (timestamp)
   ///#   database_fragmentation_percentage_threshold: null, // the fragmentation to use for database compaction
   ///#   database_fragmentation_size_threshold: null, // the database size in MB to use for database compaction
   ///#   document_replicas: 1, // the number of document replicas to use
-  ///#   eviction_policy: 'valueOnly', // the eviction policy to use, can be: valueOnly, full
+  ///#   eviction_policy: 'valueOnly', // the eviction policy to use, can be: valueOnly, fullEviction, noEviction, nruEviction
   ///#   flush_enabled: false, // whether or not the bucket can be flushed
   ///#   index_compaction_mode: 'circular', // the compaction mode to use for indexing, can be: circular or append
   ///#   index_replicas: 0, // the number of index replicas to use
@@ -102,6 +440,7 @@ export default class Bucket extends Base {
   ///# }
   ///# ```
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-bucket-create.html
+  ///# @throws {ValidationError} - When the settings are invalid, `fields` holds the messages keyed by form field
   ///# @async
   async validate(options = {}) {
     debug('validate');
@@ -130,11 +469,11 @@ export default class Bucket extends Base {
   ///#   auto_compaction_defined: false, // whether or not auto compaction override settings have been defined
   ///#   bucket_priority: 'high', // the bucket priority, can be default or high
   ///#   bucket_type: 'membase', // the bucket type, can be: membase, memcached, ephemeral
-  ///#   conflict_resolution_type: 'seqno', // the conflict resolution to use, can be: seqno, timestamp
+  ///#   conflict_resolution_type: 'seqno', // the conflict resolution to use, can be: seqno, lww (timestamp)
   ///#   database_fragmentation_percentage_threshold: null, // the fragmentation to use for database compaction
   ///#   database_fragmentation_size_threshold: null, // the database size in MB to use for database compaction
   ///#   document_replicas: 1, // the number of document replicas to use
-  ///#   eviction_policy: 'valueOnly', // the eviction policy to use, can be: valueOnly, full
+  ///#   eviction_policy: 'valueOnly', // the eviction policy to use, can be: valueOnly, fullEviction, noEviction, nruEviction
   ///#   flush_enabled: false, // whether or not the bucket can be flushed
   ///#   index_compaction_mode: 'circular', // the compaction mode to use for indexing, can be: circular or append
   ///#   index_replicas: 0, // the number of index replicas to use
@@ -148,6 +487,7 @@ export default class Bucket extends Base {
   ///# }
   ///# ```
   normalizeParams(options = {}) {
+    schemas.validate(schemas.bucket, options);
     const defaults = {
       abort_outside_allowed_time: false, // whether or not to allow compaction outside of the specfied compaction time or not
       allowed_time_period_start: '', // the allowed time period for compaction to start in HH:MM format
@@ -156,11 +496,11 @@ export default class Bucket extends Base {
       auto_compaction_defined: false, // whether or not auto compaction override settings have been defined
       bucket_priority: 'high', // the bucket priority, can be default or high
       bucket_type: 'membase', // the bucket type, can be: membase, memcached, ephemeral
-      conflict_resolution_type: 'seqno', // the conflict resolution to use, can be: seqno, timestamp
+      conflict_resolution_type: 'seqno', // the conflict resolution to use, can be: seqno, lww (timestamp)
       database_fragmentation_percentage_threshold: null, // the fragmentation to use for database compaction
       database_fragmentation_size_threshold: null, // the database size in MB to use for database compaction
       document_replicas: 0, // the number of document replicas to use
-      eviction_policy: 'valueOnly', // the eviction policy to use, can be: valueOnly, full
+      eviction_policy: 'valueOnly', // the eviction policy to use, can be: valueOnly, fullEviction, noEviction, nruEviction
       flush_enabled: false, // whether or not the bucket can be flushed
       index_compaction_mode: 'circular', // the compaction mode to use for indexing, can be: circular or append
       index_replicas: 0, // the number of index replicas to use
@@ -172,23 +512,6 @@ export default class Bucket extends Base {
       view_fragmentation_percentage_threshold: null, // the percentage threshold to use for view fragmentation
       view_fragmentation_size_threshold: null, // the view fragmentation threshold size in bytes
     };
-    const key_map = {
-      abort_outside_allowed_time: 'allowedTimePeriod[abortOutside]',
-      auth_type: 'authType',
-      conflict_resolution_type: 'conflictResolutionType',
-      database_fragmentation_percentage_threshold: 'databaseFragmentationThreshold[percentage]',
-      document_replicas: 'replicaNumber',
-      eviction_policy: 'evictionPolicy',
-      flush_enabled: 'flushEnabled',
-      index_compaction_mode: 'indexCompactionMode',
-      index_replicas: 'replicaIndex',
-      parallel_compaction: 'parallelDBAndViewCompaction',
-      ram_size: 'ramQuotaMB',
-      name: 'name',
-      sasl_password: 'saslPassword',
-      threads_number: 'threadsNumber',
-      view_fragmentation_percentage_threshold: 'viewFragmentationThreshold[percentage]',
-    };
     // merge the options w/ the defaults, and map the necessary keys to the proper form values
     /* eslint-disable complexity */
     let params = reduce(extend({}, defaults, pick(options, Object.keys(defaults))), (result, value, key) => {
@@ -240,4 +563,79 @@ export default class Bucket extends Base {
     }
     return params;
   }
+
+  ///# @name optionsFromDetails
+  ///# @description Converts the bucket details from the server into the options used by `create()` and `update()`
+  ///# @arg {object} details [{}] - The bucket details returned by `details()`
+  ///# @returns {object}
+  optionsFromDetails(details = {}) {
+    const options = {
+      bucket_priority: details.threadsNumber >= 8 ? 'high' : 'default',
+      bucket_type: details.bucketType,
+      conflict_resolution_type: details.conflictResolutionType,
+      document_replicas: details.replicaNumber,
+      eviction_policy: details.evictionPolicy,
+      flush_enabled: Boolean(get(details, 'controllers.flush')),
+      index_replicas: details.replicaIndex ? 1 : 0,
+      name: details.name,
+      ram_size: Math.round(get(details, 'quota.rawRAM', 0) / 1024 / 1024),
+      threads_number: null, // the bucket_priority is used instead
+    };
+    if (details.authType) {
+      options.auth_type = details.authType;
+    }
+    if (details.saslPassword) {
+      options.sasl_password = details.saslPassword;
+    }
+    const compaction = details.autoCompactionSettings;
+    if (isObject(compaction)) {
+      const time = compaction.allowedTimePeriod;
+      const size = (value) => (isNumber(value) ? Math.round(value / 1024 / 1024) : null);
+      const percentage = (value) => (isNumber(value) ? value : null);
+      extend(options, {
+        database_fragmentation_percentage_threshold: percentage(get(compaction, 'databaseFragmentationThreshold.percentage')),
+        database_fragmentation_size_threshold: size(get(compaction, 'databaseFragmentationThreshold.size')),
+        parallel_compaction: Boolean(compaction.parallelDBAndViewCompaction),
+        view_fragmentation_percentage_threshold: percentage(get(compaction, 'viewFragmentationThreshold.percentage')),
+        view_fragmentation_size_threshold: size(get(compaction, 'viewFragmentationThreshold.size')),
+      });
+      if (time) {
+        const pad = (value) => `0${value}`.slice(-2);
+        extend(options, {
+          abort_outside_allowed_time: Boolean(time.abortOutside),
+          allowed_time_period_start: `${pad(time.fromHour)}:${pad(time.fromMinute)}`,
+          allowed_time_period_stop: `${pad(time.toHour)}:${pad(time.toMinute)}`,
+        });
+      }
+    }
+    // remove the settings the server didn't return
+    return pickBy(options, (value) => value !== undefined);
+  }
+}
+
+// converts a validation error from the server to use the option names as the field names
+function optionError(err) {
+  if (!(err instanceof ValidationError)) {
+    return err;
+  }
+  const fields = reduce(err.fields, (previous, message, key) => {
+    previous[form_keys[key] || key] = message;
+    return previous;
+  }, {});
+  return new ValidationError(err.message, extend(pick(err, [ 'status', 'method', 'endpoint', 'body', 'errors' ]), { fields }));
+}
+
+// converts the view options to query string parameters, keys are json encoded
+function viewParams({ key, keys, startkey, endkey, reduce: reduce_rows, group_level, stale, ...options }) {
+  const params = pickBy({
+    key: key === undefined ? undefined : JSON.stringify(key),
+    keys: keys === undefined ? undefined : JSON.stringify(keys),
+    startkey: startkey === undefined ? undefined : JSON.stringify(startkey),
+    endkey: endkey === undefined ? undefined : JSON.stringify(endkey),
+    reduce: reduce_rows,
+    group_level,
+    // stale accepts booleans as well, false waits for the index to be updated and true does not update it at all
+    stale: stale === true ? 'ok' : stale,
+  }, (value) => value !== undefined);
+  return extend(pickBy(options, (value) => value !== undefined), params);
 }
@@ -0,0 +1,185 @@
+////
+/// @author Aaron Benton
+/// @page app/cassette
+////
+const debug = require('debug')('couchbase-rest-sdk:Cassette');
+import fs from 'fs';
+import { CouchbaseError } from './errors';
+import { redact } from './middleware';
+import {
+  extend,
+  isArray,
+  isEqual,
+  isPlainObject,
+  mapValues,
+  pick,
+  pickBy,
+} from 'lodash';
+
+// the request fields that can be matched on
+const match_fields = [ 'method', 'host', 'endpoint', 'query', 'form', 'body' ];
+
+// the value credentials and other secrets are replaced with, they are never written to a cassette
+const scrubbed = '<scrubbed>';
+
+/// @name Cassette
+/// @description Records the requests sent to a cluster and their responses to a JSON file, so they can be replayed
+/// later without a cluster. Credentials and other secrets are scrubbed before anything is written
+/// @type {class}
+export default class Cassette {
+  ///# @name constructor
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   file: '', // the path of the JSON file
+  ///#   mode: 'auto', // can be: record, replay, auto (replays when the file exists, otherwise records)
+  ///#   match: [ 'method', 'endpoint', 'query', 'form' ], // the request fields that have to match a recorded request,
+  ///#     // can also include: host, body
+  ///# }
+  ///# ```
+  constructor({
+    file,
+    mode = 'auto',
+    match = [ 'method', 'endpoint', 'query', 'form' ],
+  } = {}) {
+    if (!file) {
+      throw new CouchbaseError('A cassette needs a file to record to or replay from');
+    }
+    const unknown = match.filter((field) => !match_fields.includes(field));
+    if (unknown.length) {
+      throw new CouchbaseError(`Cassettes can only match on: ${match_fields.join(', ')}, not: ${unknown.join(', ')}`);
+    }
+    if (mode === 'auto') {
+      mode = fs.existsSync(file) ? 'replay' : 'record';
+    }
+    if (![ 'record', 'replay' ].includes(mode)) {
+      throw new CouchbaseError(`Cassette mode must be one of: record, replay, auto, not: ${mode}`);
+    }
+    debug(`  file: ${file}`);
+    debug(`  mode: ${mode}`);
+    this.file = file;
+    this.mode = mode;
+    this.match = match;
+    // each interaction is { request: { method, host, endpoint, query, form, body }, response: { status, body } || { error } }
+    this.interactions = mode === 'replay' ? JSON.parse(fs.readFileSync(file, 'utf8')).interactions || [] : [];
+    this.played = [];
+  }
+
+  ///# @name from
+  ///# @description Gets a cassette from an instance or constructor options, so every instance shares the same cassette
+  ///# @arg {Cassette|object} cassette - A cassette or the options to create one w/
+  ///# @returns {Cassette|undefined}
+  static from(cassette) {
+    if (!cassette || cassette instanceof Cassette) {
+      return cassette;
+    }
+    return new Cassette(cassette);
+  }
+
+  ///# @name play
+  ///# @description Sends a request through the cassette, when replaying the recorded response is used, when recording
+  ///# the request is sent and its response is saved
+  ///# @arg {object} request - `{ method, host, endpoint, query, form, body }` the parts of the request used for matching
+  ///# @arg {function} send - Sends the request, it resolves the full response
+  ///# @returns {*} - The response body
+  ///# @throws {CouchbaseError} - When replaying and there is not a recorded response for the request
+  ///# @async
+  async play(request, send) {
+    request = scrub(normalize(request));
+    if (this.mode === 'replay') {
+      return replay(this.next(request));
+    }
+    let response;
+    try {
+      const { statusCode: status, body } = await send();
+      response = { status, body };
+    } catch (err) {
+      response = err.statusCode ?
+        { status: err.statusCode, body: err.error } :
+        { error: pickBy({ code: err.code || (err.cause && err.cause.code), message: err.message }) };
+      this.record(request, response);
+      throw err;
+    }
+    this.record(request, response);
+    return response.body;
+  }
+
+  ///# @name next
+  ///# @description Finds the first recorded interaction for a request that has not been played yet
+  ///# @arg {object} request - The scrubbed request
+  ///# @returns {object}
+  ///# @throws {CouchbaseError} - When there is not a recorded response for the request
+  next(request) {
+    const expected = pick(request, this.match);
+    const index = this.interactions.findIndex((interaction, position) => {
+      return !this.played.includes(position) && isEqual(pick(interaction.request, this.match), expected);
+    });
+    if (index === -1) {
+      throw new CouchbaseError(`No recorded response in ${this.file} for ${request.method} ${request.endpoint}`, {
+        method: request.method,
+        endpoint: request.endpoint,
+      });
+    }
+    debug(`replay ${request.method} ${request.endpoint}`);
+    this.played.push(index);
+    return this.interactions[index].response;
+  }
+
+  ///# @name record
+  ///# @description Adds an interaction to the cassette and writes the file
+  ///# @arg {object} request - The scrubbed request
+  ///# @arg {object} response - `{ status, body }` or `{ error: { code, message } }`
+  record(request, response) {
+    debug(`record ${request.method} ${request.endpoint}`);
+    this.interactions.push({ request, response: scrub(response) });
+    fs.writeFileSync(this.file, `${JSON.stringify({ interactions: this.interactions }, null, 2)}\n`);
+  }
+
+  ///# @name rewind
+  ///# @description Allows every recorded interaction to be replayed again
+  rewind() {
+    this.played = [];
+    return this;
+  }
+
+  // only the settings identify a cassette when the options of an instance are serialized
+  toJSON() {
+    return { file: this.file, mode: this.mode, match: this.match };
+  }
+}
+
+// turns a recorded response back into what request-promise would have resolved or rejected
+function replay({ status, body, error }) {
+  if (error) {
+    throw extend(new Error(error.message), { cause: error });
+  }
+  if (status >= 400) {
+    throw extend(new Error(`${status}`), { statusCode: status, error: body });
+  }
+  return body;
+}
+
+// converts a request to plain json, form and query values are sent as strings so they are compared as strings
+function normalize({ method, host, endpoint, query, form, body }) {
+  return JSON.parse(JSON.stringify(pickBy({
+    method,
+    host,
+    endpoint: `/${endpoint.replace(/^\//, '')}`,
+    query: strings(query),
+    form: strings(form),
+    body,
+  }, (value) => value !== undefined)));
+}
+
+// converts the values of a form or query string to strings, undefined values are not sent
+function strings(value) {
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  return mapValues(pickBy(value, (item) => item !== undefined), (item) => (isPlainObject(item) || isArray(item) ? item : String(item)));
+}
+
+// replaces the values of credentials and other secrets
+function scrub(value) {
+  return redact(value, scrubbed);
+}
@@ -0,0 +1,135 @@
+////
+/// @author Aaron Benton
+/// @page app/certificates
+////
+const debug = require('debug')('couchbase-rest-sdk:Certificates');
+import Base from './base';
+
+/// @name Certificates
+/// @description Handles the cluster CA, the node certificates and client certificate authentication
+/// @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-certificate-management.html
+/// @type {class}
+export default class Certificates extends Base {
+  ///# @name constructor
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   cluster_host: 'localhost', // the hostname / ip address of a node in the cluster
+  ///#   cluster_port: 8091, // the port to use, defaults to 8091 or 18091 w/ https
+  ///#   cluster_protocol: 'http', // the http protocol to use, defaults to http
+  ///#   password: '', // the cluster admin password
+  ///#   username: '', // the cluster admin username
+  ///#   tls: {}, // the ca, cert, key and rejectUnauthorized settings used w/ https
+  ///# }
+  ///# ```
+  constructor({
+    ...options
+  } = {}) {
+    super(options);
+  }
+
+  ///# @name clusterCA
+  ///# @description Gets the cluster CA certificate as a PEM string
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-get-cluster-certificate.html
+  ///# @async
+  clusterCA() {
+    debug('clusterCA');
+    return this.send({
+      endpoint: `/pools/${this.pool}/certificate`,
+      json: false,
+    });
+  }
+
+  ///# @name uploadClusterCA
+  ///# @description Replaces the cluster CA certificate, the node certificates signed by it then have to be reloaded
+  ///#   w/ `reloadNodeCertificate()` on each node
+  ///# @arg {string|Buffer} ca - The CA certificate as a PEM string
+  ///# @returns {object} - The details of the uploaded certificate, i.e. `{ subject, expires, type, pem }`
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/security/security-x509certsintro.html
+  ///# @async
+  uploadClusterCA(ca) {
+    debug('uploadClusterCA');
+    return this.post('/controller/uploadClusterCA', {
+      body: String(ca),
+      headers: {
+        'Content-Type': 'application/octet-stream',
+      },
+      json: false,
+    });
+  }
+
+  ///# @name regenerate
+  ///# @description Regenerates the self-signed cluster CA certificate, which replaces an uploaded CA
+  ///# @returns {string} - The new CA certificate as a PEM string
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-regenerate-cluster-certificate.html
+  ///# @async
+  regenerate() {
+    debug('regenerate');
+    return this.post('/controller/regenerateCertificate', {
+      json: false,
+      idempotent: false,
+    });
+  }
+
+  ///# @name nodeCertificate
+  ///# @description Gets the certificate of a node, i.e. `{ subject, expires, type, pem, warnings }`
+  ///# @arg {string} hostname [this.cluster_host] - The hostname of the node, the REST port is added when it is not given
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/security/security-x509certsintro.html
+  ///# @async
+  nodeCertificate(hostname = this.cluster_host) {
+    debug('nodeCertificate');
+    if (!/:[0-9]+$/.test(hostname)) {
+      hostname = `${hostname}:8091`;
+    }
+    debug(`  hostname: ${hostname}`);
+    return this.get(`/pools/${this.pool}/certificate/node/${encodeURIComponent(hostname)}`);
+  }
+
+  ///# @name reloadNodeCertificate
+  ///# @description Loads the certificate chain and key from the node's inbox folder, this has to be sent to each node
+  ///# @arg {string} host [this.cluster_host] - The host of the node to reload
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/security/security-x509certsintro.html
+  ///# @async
+  reloadNodeCertificate(host = this.cluster_host) {
+    debug('reloadNodeCertificate');
+    debug(`  host: ${host}`);
+    return this.post('/node/controller/reloadCertificate', {
+      host,
+    });
+  }
+
+  ///# @name clientCertAuth
+  ///# @description Gets the client certificate authentication settings, i.e. `{ state, prefixes }`
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/security/security-certs-auth.html
+  ///# @async
+  clientCertAuth() {
+    debug('clientCertAuth');
+    return this.get('/settings/clientCertAuth');
+  }
+
+  ///# @name updateClientCertAuth
+  ///# @description Configures client certificate authentication
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   state: 'disable', // can be: disable, enable (a certificate or a password), mandatory (a certificate is required)
+  ///#   prefixes: [], // how the username is read from the certificate, i.e.
+  ///#     // [ { path: 'subject.cn', prefix: '', delimiter: '' } ] path can be: subject.cn, san.uri, san.dnsname, san.email
+  ///# }
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/security/security-certs-auth.html
+  ///# @async
+  updateClientCertAuth({
+    state = 'disable',
+    prefixes = [],
+  } = {}) {
+    debug('updateClientCertAuth');
+    debug(`  state: ${state}`);
+    return this.post('/settings/clientCertAuth', {
+      body: { state, prefixes },
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+  }
+}
@@ -0,0 +1,296 @@
+////
+/// @author Aaron Benton
+/// @page app/cli
+////
+const debug = require('debug')('couchbase-rest-sdk:cli');
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import minimist from 'minimist';
+import RestApi from './api';
+import { CouchbaseError } from './errors';
+import {
+  extend,
+  find,
+  get,
+  isArray,
+  isPlainObject,
+  mapKeys,
+  omit,
+  pick,
+  pickBy,
+} from 'lodash';
+
+// the default location of the config file
+const config_file = path.join(os.homedir(), '.couchbase-rest.json');
+
+// the options used to connect to the cluster
+const connection_keys = [ 'host', 'port', 'protocol', 'username', 'password' ];
+
+// the environment variables that hold the connection settings
+const env_keys = {
+  COUCHBASE_HOST: 'host',
+  COUCHBASE_PORT: 'port',
+  COUCHBASE_PROTOCOL: 'protocol',
+  COUCHBASE_USERNAME: 'username',
+  COUCHBASE_PASSWORD: 'password',
+};
+
+const usage = `Usage: couchbase-rest <command> [options]
+
+Commands:
+  cluster init [--services kv,n1ql,index,fts] [--kv-memory 512] [--index-memory 256] [--fts-memory 256]
+               [--cluster-name name] [--data-path path] [--index-path path] [--index-storage-mode mode]
+  cluster info
+  node add <hostname> [--services kv] [--server-group name] [--rebalance]
+  node eject <hostname>
+  node failover <hostname> [--hard]
+  node recover <hostname> [--recovery-type full|delta] [--rebalance]
+  rebalance [--eject hostname,...] [--wait]
+  bucket create <name> [--ram-size 100] [--bucket-type membase] [--document-replicas 1] [--flush-enabled] [--wait]
+  bucket list
+  bucket delete <name>
+  server-group create <name>
+  server-group rename <name> <new name>
+  server-group move <hostname>[,hostname] --to <name>
+
+Connection options, flags take precedence over the environment which takes precedence over the config file:
+  --host, --port, --protocol, --username, --password   or COUCHBASE_HOST, COUCHBASE_PORT, COUCHBASE_PROTOCOL,
+  --config <file> (defaults to ~/.couchbase-rest.json)  COUCHBASE_USERNAME and COUCHBASE_PASSWORD
+
+Output options:
+  --json   print the output as json instead of a table
+`;
+
+// the handlers of each command, they are passed the cluster and the parsed arguments
+const commands = {
+  cluster: {
+    async init(cluster, { options }) {
+      await cluster.initialize(pick(options, [
+        'cluster_name',
+        'data_path',
+        'fts_memory',
+        'hostname',
+        'index_memory',
+        'index_path',
+        'index_storage_mode',
+        'kv_memory',
+        'services',
+      ]));
+      return { cluster: cluster.cluster_host, status: 'initialized' };
+    },
+    async info(cluster) {
+      const details = await cluster.details();
+      return (details.nodes || []).map((node) => ({
+        hostname: node.hostname,
+        services: (node.services || []).join(','),
+        status: node.status,
+        membership: node.clusterMembership,
+        version: node.version,
+      }));
+    },
+  },
+  node: {
+    async add(cluster, { args: [ hostname ], options }) {
+      const { services, server_group, rebalance } = options;
+      if (server_group) {
+        await cluster.serverGroup(server_group).addNode({ hostname, services });
+      } else {
+        await cluster.addNode({ hostname, services });
+      }
+      if (rebalance) {
+        await cluster.rebalance({ wait: true });
+      }
+      return { hostname, status: rebalance ? 'added and rebalanced' : 'added' };
+    },
+    async eject(cluster, { args: [ hostname ] }) {
+      await (await node(cluster, hostname)).eject();
+      return { hostname, status: 'ejected' };
+    },
+    async failover(cluster, { args: [ hostname ], options }) {
+      await (await node(cluster, hostname)).failover({ graceful: !options.hard });
+      return { hostname, status: options.hard ? 'failed over' : 'graceful failover started' };
+    },
+    async recover(cluster, { args: [ hostname ], options }) {
+      const { recovery_type = 'full', rebalance } = options;
+      await (await node(cluster, hostname)).recover({ recover_type: recovery_type, rebalance: rebalance ? { wait: true } : false });
+      return { hostname, status: `${recovery_type} recovery${rebalance ? ' complete' : ' set'}` };
+    },
+  },
+  async rebalance(cluster, { options }) {
+    let ejectedNodes = [];
+    if (options.eject) {
+      const hostnames = String(options.eject).split(',');
+      const { nodes = [] } = await cluster.details();
+      ejectedNodes = nodes
+        .filter(({ hostname }) => hostnames.includes(hostname) || hostnames.includes(hostname.replace(/:[0-9]+$/, '')))
+        .map(({ otpNode }) => otpNode);
+    }
+    await cluster.rebalance({ ejectedNodes, wait: Boolean(options.wait) });
+    return { status: options.wait ? 'rebalanced' : 'rebalance started' };
+  },
+  bucket: {
+    async create(cluster, { args: [ name ], options }) {
+      // the boolean flags of the other commands are always set
+      await cluster.addBucket(name, omit(options, [ 'hard', 'rebalance' ]));
+      return { name, status: 'created' };
+    },
+    async list(cluster) {
+      const buckets = await cluster.buckets();
+      return buckets.map((bucket) => ({
+        name: bucket.name,
+        type: bucket.bucketType,
+        ram_size: Math.round(get(bucket, 'quota.rawRAM', 0) / 1024 / 1024),
+        replicas: bucket.replicaNumber,
+        items: get(bucket, 'basicStats.itemCount', 0),
+      }));
+    },
+    async delete(cluster, { args: [ name ] }) {
+      await cluster.bucket(name).remove();
+      return { name, status: 'deleted' };
+    },
+  },
+  'server-group': {
+    async create(cluster, { args: [ name ] }) {
+      await cluster.serverGroup(name).create();
+      return { name, status: 'created' };
+    },
+    async rename(cluster, { args: [ name, new_name ] }) {
+      await cluster.serverGroup(name).rename(new_name);
+      return { name: new_name, status: `renamed from ${name}` };
+    },
+    async move(cluster, { args, options }) {
+      const hostnames = args.join(',');
+      await cluster.serverGroup(options.to).addMembers(hostnames);
+      return { hostnames, server_group: options.to, status: 'moved' };
+    },
+  },
+};
+
+// the number of positional arguments each command requires
+const required_args = {
+  'bucket create': 1,
+  'bucket delete': 1,
+  'node add': 1,
+  'node eject': 1,
+  'node failover': 1,
+  'node recover': 1,
+  'server-group create': 1,
+  'server-group rename': 2,
+  'server-group move': 1,
+};
+
+///# @name run
+///# @description Runs the command line tool
+///# @arg {array} argv - The command line arguments, i.e. `process.argv.slice(2)`
+///# @arg {object}
+///# ```js
+///# {
+///#   env: process.env, // the environment variables
+///#   stdout: process.stdout, // where the output is written
+///#   stderr: process.stderr, // where errors are written
+///# }
+///# ```
+///# @returns {number} - The exit code
+///# @async
+export default async function run(argv = [], {
+  env = process.env,
+  stdout = process.stdout,
+  stderr = process.stderr,
+} = {}) {
+  const { _: positional, json, config, help, ...flags } = minimist(argv, {
+    boolean: [ 'flush-enabled', 'hard', 'help', 'json', 'rebalance', 'wait' ],
+    string: [ 'config', 'eject', 'host', 'password', 'protocol', 'services', 'to', 'username' ],
+  });
+  const [ group, name, ...args ] = positional.map(String);
+  let handler = commands[group];
+  let command = group;
+  if (handler && !isFunction(handler)) {
+    handler = handler[name];
+    command = `${group} ${name}`;
+  } else if (name) {
+    args.unshift(name);
+  }
+  if (help || !isFunction(handler)) {
+    (help ? stdout : stderr).write(usage);
+    return help ? 0 : 1;
+  }
+  if (args.length < (required_args[command] || 0)) {
+    stderr.write(`Missing arguments for ${command}\n\n${usage}`);
+    return 1;
+  }
+  debug(`command: ${command}`);
+  try {
+    const connection = settings(flags, env, config);
+    const cluster = new RestApi(pick(connection, [ 'username', 'password' ])).cluster(connection.host, {
+      cluster_port: connection.port,
+      cluster_protocol: connection.protocol,
+    });
+    // the remaining flags are passed to the command as snake_case options, i.e. --kv-memory => kv_memory
+    const options = mapKeys(omit(flags, connection_keys), (value, key) => key.replace(/-/g, '_'));
+    const result = await handler(cluster, { args, options });
+    stdout.write(`${json ? JSON.stringify(result, null, 2) : table(result)}\n`);
+    return 0;
+  } catch (err) {
+    if (!(err instanceof CouchbaseError) && err.code !== 'ENOENT') {
+      throw err;
+    }
+    stderr.write(`Error: ${err.message}\n`);
+    return 1;
+  }
+}
+
+// gets a node of the cluster from its topology, so it can eject, fail over and recover itself w/ its otpNode
+async function node(cluster, hostname) {
+  const host = hostname.replace(/:[0-9]+$/, '');
+  const found = find(await cluster.topology(), { node_host: host });
+  if (found) {
+    return found;
+  }
+  const instance = cluster.node(host);
+  instance.cluster = cluster;
+  return instance;
+}
+
+// merges the connection settings from the flags, environment and config file
+function settings(flags, env, config) {
+  let file = {};
+  if (config || fs.existsSync(config_file)) {
+    file = JSON.parse(fs.readFileSync(config || config_file, 'utf8'));
+  }
+  const environment = Object.keys(env_keys).reduce((previous, key) => {
+    if (env[key]) {
+      previous[env_keys[key]] = env[key];
+    }
+    return previous;
+  }, {});
+  const connection = extend(
+    { host: 'localhost', port: 8091, protocol: 'http', username: 'Administrator', password: 'password' },
+    pick(file, connection_keys),
+    environment,
+    pickBy(pick(flags, connection_keys), (value) => value !== undefined),
+  );
+  connection.port = Number(connection.port);
+  return connection;
+}
+
+// formats a result as a table, objects are printed as key / value pairs
+function table(result) {
+  if (isPlainObject(result)) {
+    result = Object.keys(result).map((key) => ({ key, value: result[key] }));
+  }
+  if (!isArray(result) || !result.length) {
+    return '';
+  }
+  const columns = Object.keys(result[0]);
+  const rows = [ columns ].concat(result.map((row) => columns.map((column) => (row[column] === undefined ? '' : String(row[column])))));
+  const widths = columns.map((column, index) => Math.max(...rows.map((row) => row[index].length)));
+  return rows
+    .map((row) => row.map((value, index) => value + ' '.repeat(widths[index] - value.length)).join('  ').trim())
+    .join('\n');
+}
+
+// whether or not a command has a handler
+function isFunction(value) {
+  return typeof value === 'function';
+}
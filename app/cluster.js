@@ -6,19 +6,45 @@
 const debug = require('debug')('couchbase-rest-sdk:Cluster');
 import Base from './base';
 import Bucket from './bucket';
+import Certificates from './certificates';
+import Fts from './fts';
+import Indexes from './indexes';
 import Node from './node';
+import Plan, {
+  currentSpec,
+  normalizeNode,
+  omitRedacted,
+  redact as redactSpec,
+} from './plan';
+import yaml from 'js-yaml';
+import Query from './query';
+import Replication from './replication';
+import * as schemas from './schemas';
 import ServerGroup from './server-group';
+import Users from './users';
+import Watcher, { clusterChanges } from './watcher';
+import {
+  CouchbaseError,
+  NetworkError,
+  NotFoundError,
+  ServerError,
+  TimeoutError,
+  ValidationError,
+} from './errors';
+import { poll } from './utils';
 import {
   cloneDeep,
   extend,
+  find,
   isObject,
+  isPlainObject,
+  isString,
+  omit,
   pick,
   pickBy,
+  reduce,
 } from 'lodash';
 
-// hold node instances in a weak map
-const nodes_map = new WeakMap();
-
 /// @name Cluster
 /// @description Handles Cluster operations
 /// @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-cluster-intro.html
@@ -39,6 +65,8 @@ export default class Cluster extends Base {
     ...options
   } = {}) {
     super(options);
+    // the node instances that have been created, so the same one is returned for the same options
+    this.node_instances = [];
   }
 
   ///# @name initialize
@@ -52,6 +80,7 @@ export default class Cluster extends Base {
   ///#   hostname: '', // the hostname of the node (must be set before joining the cluster)
   ///#   index_memory: 256, // The amount of memory for the index service
   ///#   index_path: '', // the index path
+  ///#   index_storage_mode: '', // the storage mode of the index service, can be: forestdb, memory_optimized, plasma
   ///#   kv_memory: 100, // The amount of memory for the kv / data service
   ///#   nodes: [], // an array of nodes to add
   ///#   password: 'password', // The cluster password
@@ -61,30 +90,40 @@ export default class Cluster extends Base {
   ///# }
   ///# ```
   ///# @async
-  async initialize({ // eslint-disable-line max-statements
-    buckets,
-    cluster_name,
-    data_path,
-    fts_memory,
-    hostname,
-    index_path,
-    index_memory,
-    kv_memory,
-    nodes,
-    password = this.password,
-    rebalance = true,
-    services,
-    username = this.username,
-  }) {
+  async initialize(options = {}) { // eslint-disable-line max-statements
     debug('initialize');
+    // every option is validated before anything is changed
+    schemas.validate(schemas.initialize, options);
+    for (const bucket of (options.buckets || []).filter(isPlainObject)) {
+      schemas.validate(schemas.bucket, bucket);
+    }
+    for (const node of (options.nodes || []).filter(isPlainObject)) {
+      schemas.validate(schemas.addNode, node);
+    }
+    const {
+      buckets,
+      cluster_name,
+      data_path,
+      fts_memory,
+      hostname,
+      index_path,
+      index_memory,
+      index_storage_mode,
+      kv_memory,
+      nodes,
+      password = this.password,
+      rebalance = true,
+      services,
+      username = this.username,
+    } = options;
     debug(`  cluster_name: ${cluster_name}`);
     debug(`  data_path: ${data_path}`);
     debug(`  fts_memory: ${fts_memory}`);
     debug(`  hostname: ${hostname}`);
     debug(`  index_path: ${index_path}`);
     debug(`  index_memory: ${index_memory}`);
+    debug(`  index_storage_mode: ${index_storage_mode}`);
     debug(`  kv_memory: ${kv_memory}`);
-    debug(`  password: ${password}`);
     debug(`  rebalance: ${rebalance}`);
     debug(`  services: ${services}`);
     debug(`  username: ${username}`);
@@ -103,6 +142,10 @@ export default class Cluster extends Base {
         services,
       });
     }
+    // the storage mode has to be set before any index nodes are used
+    if (index_storage_mode) {
+      await this.indexes().updateSettings({ storage_mode: index_storage_mode });
+    }
     // if there is a username / password, set it
     if (username && password) {
       await this.credentials({ username, password });
@@ -133,7 +176,6 @@ export default class Cluster extends Base {
   } = {}) {
     debug('credentials');
     debug(`  username: ${username}`);
-    debug(`  password: ${password}`);
     // save the username and password on the instance
     this.username = username;
     this.password = password;
@@ -194,12 +236,14 @@ export default class Cluster extends Base {
   ///# ```
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-node-memory-quota.html
   ///# @async
-  memory({
-    kv_memory = 100,
-    index_memory = 256,
-    fts_memory = 256,
-  } = {}) {
+  memory(options = {}) {
     debug('memory');
+    schemas.validate(schemas.memory, options);
+    const {
+      kv_memory = 100,
+      index_memory = 256,
+      fts_memory = 256,
+    } = options;
     debug(`  kv_memory: ${kv_memory}`);
     debug(`  index_memory: ${index_memory}`);
     debug(`  fts_memory: ${fts_memory}`);
@@ -219,7 +263,7 @@ export default class Cluster extends Base {
   ///# @async
   clusterName(cluster_name) {
     debug('clusterName');
-    debug(`  name: ${name}`);
+    debug(`  cluster_name: ${cluster_name}`);
     return this.post(`/pools/${this.pool}`, {
       form: {
         clusterName: cluster_name,
@@ -227,6 +271,166 @@ export default class Cluster extends Base {
     });
   }
 
+  ///# @name plan
+  ///# @description Compares a spec of the desired state of the cluster w/ the live cluster, only the settings in the spec
+  ///#   are compared so the spec can be partial. `plan.toString()` is a readable diff of the changes
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   cluster_name: '', // the name of the cluster
+  ///#   kv_memory: 100, // the amount of memory for the kv / data service
+  ///#   index_memory: 256, // the amount of memory for the index service
+  ///#   fts_memory: 256, // the amount of memory for the fts service
+  ///#   server_groups: [], // the names of the server groups
+  ///#   nodes: [], // hostnames or { hostname, services, server_group }, i.e. [ { hostname: '10.0.0.2', services: 'kv,n1ql' } ]
+  ///#   buckets: [], // the buckets, each one has a name and any of the options accepted by `Bucket.create()`
+  ///#   auto_failover: {}, // any of the options accepted by `setAutoFailover()`
+  ///#   alerts: {}, // any of the options accepted by `setEmailSettings()`
+  ///#   index_storage_mode: '', // the storage mode of the index service, can be: forestdb, memory_optimized, plasma
+  ///#   index_settings: {}, // any of the options accepted by `Indexes.updateSettings()`
+  ///#   internal_settings: {}, // any of the options accepted by `setInternalSettings()`
+  ///# }
+  ///# ```
+  ///# @arg {object} options [{}] - `{ prune: false }` when prune is true nodes, server groups and buckets that are not in
+  ///#   the spec are removed
+  ///# @returns {Plan}
+  ///# @async
+  async plan(spec = {}, { prune = false } = {}) {
+    debug('plan');
+    debug(`  prune: ${prune}`);
+    const plan = Plan.diff(spec, await currentSpec(this), { prune });
+    debug(`  changes: ${plan.changes.length}`);
+    return plan;
+  }
+
+  ///# @name apply
+  ///# @description Changes the live cluster to match a spec, only what differs is changed so it is safe to run repeatedly.
+  ///#   Changes are made in the order: quotas and cluster settings, server groups, nodes, rebalance, buckets
+  ///# @arg {object} spec - The same spec as `plan()`
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   prune: false, // whether or not to remove nodes, server groups and buckets that are not in the spec
+  ///#   rebalance: {}, // options for the rebalance after nodes are added, moved or removed, see `rebalance()`
+  ///# }
+  ///# ```
+  ///# @returns {Plan} - The changes that were made
+  ///# @throws {ValidationError} - When the spec asks for a change that can't be made, i.e. the services of an existing node
+  ///# @async
+  async apply(spec = {}, { // eslint-disable-line max-statements, complexity
+    prune = false,
+    rebalance = {},
+  } = {}) {
+    debug('apply');
+    spec = omitRedacted(spec);
+    const current = await currentSpec(this);
+    const plan = Plan.diff(spec, current, { prune });
+    debug(`  changes:\n${plan}`);
+    // services can only be set before a node joins the cluster, so nothing is changed if there are any
+    const services = plan.section('nodes', 'update').filter(({ field }) => field === 'services');
+    if (services.length) {
+      const fields = services.reduce((previous, { name, from, to }) => {
+        previous[name] = `The services of ${name} cannot be changed from ${from} to ${to} while it is in the cluster`;
+        return previous;
+      }, {});
+      throw new ValidationError(Object.keys(fields).map((key) => fields[key]).join('; '), { fields });
+    }
+    // quotas and cluster settings, the current values are sent for anything the spec doesn't change
+    if (plan.section('memory').length) {
+      const quotas = [ 'kv_memory', 'index_memory', 'fts_memory' ];
+      await this.memory(extend(pick(current, quotas), pick(spec, quotas)));
+    }
+    if (find(plan.section('cluster'), { name: 'cluster_name' })) {
+      await this.clusterName(spec.cluster_name);
+    }
+    if (plan.section('index_settings').length || find(plan.section('cluster'), { name: 'index_storage_mode' })) {
+      await this.indexes().updateSettings(extend({}, spec.index_settings, pickBy({ storage_mode: spec.index_storage_mode })));
+    }
+    if (plan.section('internal_settings').length) {
+      await this.setInternalSettings(extend({}, current.internal_settings, spec.internal_settings));
+    }
+    if (plan.section('auto_failover').length) {
+      await this.setAutoFailover(extend({}, current.auto_failover, spec.auto_failover));
+    }
+    if (plan.section('alerts').length) {
+      await this.setEmailSettings(extend({}, current.alerts, spec.alerts));
+    }
+    // server groups have to exist before nodes can be added to them
+    for (const { name } of plan.section('server_groups', 'create')) {
+      await this.serverGroup(name).create();
+    }
+    // nodes
+    for (const { name: hostname, to: { services: node_services, server_group } } of plan.section('nodes', 'create')) {
+      if (server_group) {
+        await this.serverGroup(server_group).addNode({ hostname, services: node_services });
+      } else {
+        await this.addNode({ hostname, services: node_services });
+      }
+    }
+    for (const { name: hostname, to: server_group } of plan.section('nodes', 'update')) {
+      await this.serverGroup(server_group).addMembers([ hostname ]);
+    }
+    if (plan.section('nodes').length) {
+      const removed = plan.section('nodes', 'remove').map(({ name }) => name);
+      const { nodes = [] } = await this.details();
+      const ejectedNodes = nodes
+        .filter(({ hostname }) => removed.includes(normalizeNode({ hostname }).hostname))
+        .map(({ otpNode }) => otpNode);
+      await this.rebalance(extend({}, rebalance, { ejectedNodes, wait: true }));
+    }
+    // server groups can only be removed once they are empty
+    for (const { name } of plan.section('server_groups', 'remove')) {
+      await this.serverGroup(name).remove();
+    }
+    // buckets
+    for (const { name, to } of plan.section('buckets', 'create')) {
+      await this.addBucket(extend({ name }, to));
+    }
+    const updated = plan.section('buckets', 'update').map(({ name }) => name)
+      .filter((name, index, names) => names.indexOf(name) === index);
+    for (const name of updated) {
+      await this.bucket(name).update(pickBy(find(spec.buckets, { name }), (value, key) => ![ 'name', 'wait' ].includes(key)));
+    }
+    for (const { name } of plan.section('buckets', 'remove')) {
+      await this.bucket(name).remove();
+    }
+    return plan;
+  }
+
+  ///# @name export
+  ///# @description Reads the live configuration of the cluster as a spec that can be passed to `plan()` and `apply()`,
+  ///#   i.e. to copy the shape of a cluster to another one. Nodes are included w/ their services and server group
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   redact: true, // whether or not to replace passwords and other secrets w/ '<redacted>'
+  ///#   format: 'object', // the format of the spec, can be: object, json, yaml
+  ///# }
+  ///# ```
+  ///# @returns {object|string} - The spec, it is a string when the format is json or yaml
+  ///# @async
+  async export({
+    redact = true,
+    format = 'object',
+  } = {}) {
+    debug('export');
+    debug(`  redact: ${redact}`);
+    debug(`  format: ${format}`);
+    let spec = await currentSpec(this);
+    // settings the server doesn't have a value for are left out, so they aren't changed when the spec is applied
+    spec.buckets = spec.buckets.map((bucket) => pickBy(bucket, (value) => value !== null));
+    if (redact) {
+      spec = redactSpec(spec);
+    }
+    if (format === 'json') {
+      return JSON.stringify(spec, null, 2);
+    }
+    if (format === 'yaml') {
+      return yaml.safeDump(spec);
+    }
+    return spec;
+  }
+
   ///# @name info
   ///# @description Gets information about the cluster
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-cluster-get.html
@@ -245,6 +449,62 @@ export default class Cluster extends Base {
     return this.get(`/pools/${this.pool}`);
   }
 
+  ///# @name watch
+  ///# @description Streams the details of the cluster and emits what changed each time the server sends them, the stream
+  ///#   is reconnected w/ a backoff until `close()` is called
+  ///# @arg {object} options [{}] - The `interval`, `max_interval`, `attempts` and `idle_timeout` options of the `Watcher`
+  ///#   constructor
+  ///# @returns {Watcher} - It emits `snapshot` (details, changes), `change` (change), `reconnect`, `error` and `close`,
+  ///#   the changes are from `clusterChanges()`, i.e. `{ type: 'node_status_changed', otp_node, hostname, from, to }`
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-cluster-get.html
+  watch(options = {}) {
+    debug('watch');
+    return new Watcher(this, extend({}, options, {
+      endpoint: `/poolsStreaming/${this.pool}`,
+      diff: clusterChanges,
+    })).start();
+  }
+
+  ///# @name waitForHealthy
+  ///# @description Waits until every node in the cluster is active and healthy
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   interval: 1000, // the number of milliseconds between checks
+  ///#   timeout: 60000, // the number of milliseconds to wait before giving up, 0 waits forever
+  ///# }
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-cluster-get.html
+  ///# @async
+  async waitForHealthy({
+    interval = 1000,
+    timeout = 60000,
+  } = {}) {
+    debug('waitForHealthy');
+    debug(`  interval: ${interval}`);
+    debug(`  timeout: ${timeout}`);
+    await poll(async () => {
+      let nodes;
+      try {
+        ({ nodes = [] } = await this.details());
+      } catch (err) {
+        // the node we are talking to is unavailable or the cluster has not been provisioned yet
+        if (err instanceof NetworkError || err instanceof ServerError || err instanceof NotFoundError) {
+          return false;
+        }
+        throw err;
+      }
+      return nodes.length && nodes.every(({ status, clusterMembership }) => {
+        return status === 'healthy' && clusterMembership === 'active';
+      });
+    }, {
+      interval,
+      timeout,
+      message: `Cluster was not healthy within ${timeout}ms`,
+    });
+    return this;
+  }
+
   ///# @name node
   ///# @description Gets a new instance of the Bucket class
   ///# @arg {string} node_host [''] - The host / ip address of a node
@@ -274,27 +534,66 @@ export default class Cluster extends Base {
       node_host = this.cluster_host;
     }
     options = extend(
-      pick(this, [ 'cluster_host', 'cluster_port', 'cluster_protocol', 'password', 'username' ]),
+      this.connection(),
       options,
       { node_host },
     );
     debug(`  node_host: ${options.node_host}`);
     debug(`  node_port: ${options.node_port}`);
     debug(`  node_protocol: ${options.node_protocol}`);
-    // try to get it from the map first
-    let node = nodes_map[JSON.stringify(options)];
-    // if it doesn't exist set it and save it in the map
-    if (!node) {
-      node = new Node(options);
-      nodes_map[JSON.stringify(options)] = node;
+    // the middleware and cassette can't be serialized, so they are compared by reference instead of being part of the key
+    const key = JSON.stringify(omit(options, [ 'cassette', 'middleware' ]));
+    const { middleware, cassette } = options;
+    // try to get it from the existing instances first
+    let cached = find(this.node_instances, (item) => item.key === key && item.middleware === middleware && item.cassette === cassette);
+    // if it doesn't exist create it and save it
+    if (!cached) {
+      cached = { key, middleware, cassette, node: new Node(options) };
+      this.node_instances.push(cached);
     }
-    return node;
+    return cached.node;
+  }
+
+  ///# @name topology
+  ///# @description Gets every node in the cluster w/ its current state, `eject()`, `failover()` and `recover()` on the
+  ///#   nodes use their otpNode and are sent to the cluster
+  ///# @returns {array} - The Node instances, i.e.
+  ///# ```js
+  ///# [
+  ///#   {
+  ///#     otp_node: 'ns_1@172.31.0.3',
+  ///#     node_host: '172.31.0.3', // the hostname of the node
+  ///#     node_port: 8091, // the REST port of the node
+  ///#     services: [ 'kv', 'n1ql' ],
+  ///#     status: 'healthy', // can be: healthy, warmup, unhealthy
+  ///#     membership: 'active', // can be: active, inactiveAdded, inactiveFailed
+  ///#     version: '5.0.0-3519-enterprise',
+  ///#     server_group: 'Group 1',
+  ///#     alternate_addresses: {}, // the external hostname and ports of the node, i.e. { external: { hostname, ports } }
+  ///#   },
+  ///# ]
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-cluster-get.html
+  ///# @async
+  async topology() {
+    debug('topology');
+    const [ { nodes = [] }, { groups = [] } ] = await Promise.all([ this.details(), this.serverGroups() ]);
+    return nodes.map((details) => {
+      const group = find(groups, (item) => find(item.nodes, { otpNode: details.otpNode })) || {};
+      const node = new Node(extend(this.connection(), {
+        node_protocol: this.cluster_protocol,
+        node_port: this.cluster_port,
+      }));
+      node.cluster = this;
+      return node.fromDetails(details, group.name || null);
+    });
   }
 
   ///# @name addNodes
   ///# @description Adds a node to a cluster
   ///# @arg {array} nodes [] - An array of nodes to add to the cluster
-  ///# @arg {boolean} rebalance [true] - Whether or not to rebalance automatically after all of the nodes have been added
+  ///# @arg {boolean|object} rebalance [true] - Whether or not to rebalance automatically after all of the nodes have been added,
+  ///#   an object of `rebalance()` options can be passed as well
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-cluster-addnodes.html
   ///# @async
   async addNodes({ nodes = [], rebalance = true } = {}) {
@@ -312,14 +611,15 @@ export default class Cluster extends Base {
         add_nodes.push(Promise.resolve(node));
       } else {
         // otherwise add the node to the cluster
-        add_nodes.push(this.addNode(node));
+        // only the host of a Node instance is used, its hostname is a method and its services are from the topology
+        add_nodes.push(this.addNode(isPlainObject(node) ? node : pick(node, [ 'cluster_host', 'node_host' ])));
       }
     }
     // wait for all adds to process
     await Promise.all(add_nodes);
     // should we rebalance now?
     if (rebalance) {
-      await this.rebalance();
+      await this.rebalance(isObject(rebalance) ? rebalance : {});
     }
     return nodes;
   }
@@ -333,13 +633,16 @@ export default class Cluster extends Base {
   ///#   node_host: '', // the hostname or ip address of the node to add
   ///#   hostname: '', // the hostname or ip address of the node to add
   ///#   services: '', // a comma-delimited list of services to add, can be: kv, n1ql, index, fts
+  ///#   retry: {}, // overrides the retry policy, the request is only retried if `non_idempotent` is true
   ///# }
   ///# ```
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-cluster-addnodes.html
   ///# @async
-  addNode({ cluster_host, node_host, hostname, services } = {}) {
+  addNode(options = {}) {
     debug('addNode');
-    hostname = node_host || hostname || cluster_host;
+    schemas.validate(schemas.addNode, options);
+    const { cluster_host, node_host, services, retry } = options;
+    const hostname = node_host || options.hostname || cluster_host;
     debug(`  hostname: ${hostname}`);
     debug(`  services: ${services}`);
     return this.post('/controller/addNode', {
@@ -349,6 +652,8 @@ export default class Cluster extends Base {
         user: this.username,
         password: this.password,
       },
+      retry,
+      idempotent: false,
     });
   }
 
@@ -366,39 +671,469 @@ export default class Cluster extends Base {
       form: {
         otpNode: `${node}@${hostname}`,
       },
-    })
-      .catch((err) => {
-        throw new Error(err.message);
+      idempotent: false,
+    });
+  }
+
+  ///# @name removeNodes
+  ///# @description Removes nodes from the cluster, active nodes are failed over first and then the cluster is rebalanced w/
+  ///#   the nodes ejected, nodes that have already been failed over are only ejected. The progress of each step is
+  ///#   emitted as `remove_progress` w/ `{ step, hostname, progress, nodes }`
+  ///# @arg {array} nodes - The hostnames, otpNodes or Node instances of the nodes to remove
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   graceful: true, // whether or not to fail over gracefully, nodes without the kv service are always hard failed over
+  ///#   timeout: 300000, // the number of milliseconds to wait for a graceful failover before falling back to a hard failover
+  ///#   interval: 1000, // the number of milliseconds between progress checks
+  ///#   rebalance_timeout: 0, // the number of milliseconds to wait for the rebalance to complete, 0 waits forever
+  ///#   on_progress: null, // a function called w/ the same details as the `remove_progress` event, step can be:
+  ///#     // failover, hard_failover, rebalance
+  ///# }
+  ///# ```
+  ///# @returns {array} - The removed nodes, i.e. `[ { hostname, otp_node, failover } ]` failover can be: graceful, hard, none
+  ///# @throws {NotFoundError} - When a node is not part of the cluster
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/clustersetup/remove-nodes.html
+  ///# @async
+  async removeNodes(nodes = [], {
+    graceful = true,
+    timeout = 300000,
+    interval = 1000,
+    rebalance_timeout = 0,
+    on_progress,
+  } = {}) {
+    debug('removeNodes');
+    debug(`  graceful: ${graceful}`);
+    debug(`  timeout: ${timeout}`);
+    const { nodes: current = [] } = await this.details();
+    const removed = [].concat(nodes).map((node) => {
+      const details = findNode(current, node);
+      if (!details) {
+        throw new NotFoundError(`${nodeName(node)} is not a node in the cluster`, {
+          method: 'GET',
+          endpoint: `/pools/${this.pool}`,
+        });
+      }
+      return details;
+    });
+    // reports the progress of each step
+    const report = (step, hostname) => (details) => {
+      const progress = extend({ step, hostname }, details);
+      this.emit('remove_progress', progress);
+      if (on_progress) {
+        on_progress(progress);
+      }
+    };
+    const results = [];
+    for (const { hostname, otpNode: otp_node, clusterMembership, services = [] } of removed) {
+      debug(`  node: ${otp_node} ${clusterMembership}`);
+      let failover = 'none';
+      // nodes that were added but never rebalanced in and failed over nodes only have to be ejected
+      if (clusterMembership === 'active') {
+        failover = 'hard';
+        if (graceful && services.includes('kv')) {
+          await this.post('/controller/startGracefulFailover', {
+            form: { otpNode: otp_node },
+            idempotent: false,
+          });
+          try {
+            await this.waitForRebalance({
+              interval,
+              timeout,
+              on_progress: report('failover', hostname),
+            });
+            failover = 'graceful';
+          } catch (err) {
+            // the graceful failover has been stopped, the node is hard failed over instead
+            if (!(err instanceof TimeoutError) || err.endpoint) {
+              throw err;
+            }
+            debug(`  graceful failover of ${otp_node} did not complete within ${timeout}ms`);
+          }
+        }
+        if (failover === 'hard') {
+          report('hard_failover', hostname)({ progress: 0, nodes: {} });
+          await this.post('/controller/failOver', {
+            form: { otpNode: otp_node },
+            idempotent: false,
+          });
+        }
+      }
+      results.push({ hostname, otp_node, failover });
+    }
+    await this.rebalance({
+      ejectedNodes: results.map(({ otp_node }) => otp_node),
+      wait: true,
+      interval,
+      timeout: rebalance_timeout,
+      on_progress: report('rebalance', null),
+    });
+    return results;
+  }
+
+  ///# @name recoverNodes
+  ///# @description Adds failed over nodes back to the cluster, the recovery type of each node is set and then a single
+  ///#   rebalance is run for all of them. Nodes that cannot be recovered w/ delta recovery fall back to full recovery.
+  ///#   The rebalance removes any other failed over nodes that don't have a recovery type set, so they have to be
+  ///#   recovered as well or `eject_others` has to be passed
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   type: 'delta', // the recovery type to use, can be: delta, full
+  ///#   nodes: [], // the hostnames, otpNodes or Node instances of the nodes to recover, defaults to every failed over node
+  ///#   eject_others: false, // whether or not the other failed over nodes can be removed from the cluster by the rebalance
+  ///#   interval: 1000, // the number of milliseconds between rebalance progress checks
+  ///#   timeout: 0, // the number of milliseconds to wait for the rebalance to complete, 0 waits forever
+  ///#   on_progress: null, // a function called w/ the overall and per-node progress of the rebalance
+  ///# }
+  ///# ```
+  ///# @returns {object} - The recovered nodes by recovery type, i.e. `{ delta: [ { hostname, otp_node } ], full: [] }`
+  ///# @throws {NotFoundError} - When one of the nodes is not a failed over node in the cluster
+  ///# @throws {CouchbaseError} - When the rebalance would remove other failed over nodes and `eject_others` is false,
+  ///#   `nodes` holds their otpNodes
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-node-recovery-incremental.html
+  ///# @async
+  async recoverNodes({
+    type = 'delta',
+    nodes = [],
+    eject_others = false,
+    interval = 1000,
+    timeout = 0,
+    on_progress,
+  } = {}) {
+    debug('recoverNodes');
+    debug(`  type: ${type}`);
+    const { nodes: current = [] } = await this.details();
+    const failed = current.filter(({ clusterMembership }) => clusterMembership === 'inactiveFailed');
+    const recover = !nodes.length ? failed : [].concat(nodes).map((node) => {
+      const details = findNode(failed, node);
+      if (!details) {
+        throw new NotFoundError(`${nodeName(node)} is not a failed over node in the cluster`, {
+          method: 'GET',
+          endpoint: `/pools/${this.pool}`,
+        });
+      }
+      return details;
+    });
+    // nothing is changed when the rebalance would remove failed over nodes that were not asked for
+    const others = failed
+      .filter((item) => !recover.includes(item) && (!item.recoveryType || item.recoveryType === 'none'))
+      .map(({ otpNode }) => otpNode);
+    if (others.length && !eject_others) {
+      throw new CouchbaseError(
+        `Rebalancing would remove the other failed over nodes: ${others.join(', ')}, recover them or pass eject_others`,
+        { nodes: others },
+      );
+    }
+    const recovered = { delta: [], full: [] };
+    for (const { hostname, otpNode: otp_node } of recover) {
+      let recovery_type = type;
+      try {
+        await this.setRecoveryType(otp_node, recovery_type);
+      } catch (err) {
+        // the server rejects delta recovery when the node's data can't be reused
+        if (recovery_type !== 'delta' || !(err instanceof ValidationError)) {
+          throw err;
+        }
+        debug(`  ${otp_node} can't use delta recovery: ${err.message}`);
+        recovery_type = 'full';
+        await this.setRecoveryType(otp_node, recovery_type);
+      }
+      recovered[recovery_type].push({ hostname, otp_node });
+    }
+    debug(`  delta: ${recovered.delta.map(({ otp_node }) => otp_node).join(', ')}`);
+    debug(`  full: ${recovered.full.map(({ otp_node }) => otp_node).join(', ')}`);
+    if (recover.length) {
+      await this.rebalance({ wait: true, interval, timeout, on_progress });
+    }
+    return recovered;
+  }
+
+  ///# @name setRecoveryType
+  ///# @description Sets how a failed over node is added back to the cluster by the next rebalance
+  ///# @arg {string} otp_node - The otpNode of the node, i.e. `ns_1@172.31.0.3`
+  ///# @arg {string} recovery_type ['full'] - The recovery type, can be: delta, full
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-node-recovery-incremental.html
+  ///# @async
+  setRecoveryType(otp_node, recovery_type = 'full') {
+    debug('setRecoveryType');
+    debug(`  otp_node: ${otp_node}`);
+    debug(`  recovery_type: ${recovery_type}`);
+    return this.post('/controller/setRecoveryType', {
+      form: {
+        otpNode: otp_node,
+        recoveryType: recovery_type,
+      },
+    });
+  }
+
+  ///# @name replaceNode
+  ///# @description Replaces a node w/ a new one using a swap rebalance, the new node is added w/ the same services and to
+  ///#   the same server group as the old node and then the cluster is rebalanced w/ the old node ejected, so the data is
+  ///#   moved in a single pass. The progress of each step is emitted as `replace_progress` w/
+  ///#   `{ step, hostname, progress, nodes }`
+  ///# @arg {string|Node} old_node - The hostname, otpNode or Node instance of the node to replace
+  ///# @arg {string|Node} new_node - The hostname or Node instance of the node to add
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   interval: 1000, // the number of milliseconds between rebalance progress checks
+  ///#   timeout: 0, // the number of milliseconds to wait for the rebalance to complete, 0 waits forever
+  ///#   on_progress: null, // a function called w/ the same details as the `replace_progress` event, step can be: add,
+  ///#     // rebalance
+  ///# }
+  ///# ```
+  ///# @returns {object} - `{ old_node, new_node, otp_node, services, server_group }`
+  ///# @throws {NotFoundError} - When the old node is not part of the cluster
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/clustersetup/rebalance.html
+  ///# @async
+  async replaceNode(old_node, new_node, {
+    interval = 1000,
+    timeout = 0,
+    on_progress,
+  } = {}) {
+    debug('replaceNode');
+    const [ { nodes = [] }, { groups = [] } ] = await Promise.all([ this.details(), this.serverGroups() ]);
+    const old_details = findNode(nodes, old_node);
+    if (!old_details) {
+      throw new NotFoundError(`${nodeName(old_node)} is not a node in the cluster`, {
+        method: 'GET',
+        endpoint: `/pools/${this.pool}`,
       });
+    }
+    const { otpNode: otp_node, hostname: old_hostname, services = [] } = old_details;
+    const hostname = nodeName(new_node);
+    const group = find(groups, (item) => find(item.nodes, { otpNode: otp_node }));
+    debug(`  old_node: ${otp_node}`);
+    debug(`  new_node: ${hostname}`);
+    debug(`  services: ${services.join(',')}`);
+    debug(`  server_group: ${group && group.name}`);
+    const report = (step) => (details) => {
+      const progress = extend({ step, hostname }, details);
+      this.emit('replace_progress', progress);
+      if (on_progress) {
+        on_progress(progress);
+      }
+    };
+    report('add')({ progress: 0, nodes: {} });
+    if (group) {
+      await this.serverGroup(group.name).addNode({ hostname, services: services.join(',') });
+    } else {
+      await this.addNode({ hostname, services: services.join(',') });
+    }
+    await this.rebalance({
+      ejectedNodes: [ otp_node ],
+      wait: true,
+      interval,
+      timeout,
+      on_progress: report('rebalance'),
+    });
+    return {
+      old_node: old_hostname,
+      new_node: hostname,
+      otp_node,
+      services,
+      server_group: group ? group.name : null,
+    };
+  }
+
+  ///# @name rollingReplace
+  ///# @description Replaces nodes one at a time w/ `replaceNode()`, waiting for the cluster to be healthy before and after
+  ///#   each replacement, it stops at the first replacement or health check that fails. The progress is emitted as
+  ///#   `replace_progress` events, see `replaceNode()`
+  ///# @arg {array} pairs - The nodes to replace and their replacements, i.e. `[ [ old_node, new_node ] ]`
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   interval: 1000, // the number of milliseconds between checks
+  ///#   timeout: 0, // the number of milliseconds to wait for each rebalance to complete, 0 waits forever
+  ///#   health_timeout: 60000, // the number of milliseconds to wait for the cluster to be healthy
+  ///#   on_progress: null, // a function called w/ the same details as the `replace_progress` event, step can be:
+  ///#     // health_check, add, rebalance
+  ///# }
+  ///# ```
+  ///# @returns {array} - The result of `replaceNode()` for each pair
+  ///# @throws {CouchbaseError} - The error of the step that failed, `replaced` holds the results of the nodes that were
+  ///#   already replaced
+  ///# @async
+  async rollingReplace(pairs = [], {
+    interval = 1000,
+    timeout = 0,
+    health_timeout = 60000,
+    on_progress,
+  } = {}) {
+    debug('rollingReplace');
+    const replaced = [];
+    const healthCheck = (hostname) => {
+      const progress = { step: 'health_check', hostname, progress: 0, nodes: {} };
+      this.emit('replace_progress', progress);
+      if (on_progress) {
+        on_progress(progress);
+      }
+      return this.waitForHealthy({ interval, timeout: health_timeout });
+    };
+    try {
+      // the cluster has to be healthy before the first replacement, each replacement then leaves it healthy
+      if (pairs.length) {
+        await healthCheck(null);
+      }
+      for (const [ old_node, new_node ] of pairs) {
+        replaced.push(await this.replaceNode(old_node, new_node, { interval, timeout, on_progress }));
+        await healthCheck(nodeName(new_node));
+      }
+    } catch (err) {
+      debug(`  stopped after replacing ${replaced.length} of ${pairs.length} nodes: ${err.message}`);
+      err.replaced = replaced;
+      throw err;
+    }
+    return replaced;
   }
 
   ///# @name rebalance
-  ///# @description Gets a new instance of the Bucket class
-  ///# @arg {string} name [''] - the name of the bucket
+  ///# @description Rebalances the cluster, optionally waiting for the rebalance to complete, while waiting the cluster
+  ///#   emits `rebalance_progress` and `node_progress` events, see `waitForRebalance()`
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   knownNodes: [], // an array of otpNodes in the cluster, if empty all of the nodes are retrieved
+  ///#   ejectedNodes: [], // an array of otpNodes to remove from the cluster
+  ///#   wait: false, // whether or not to wait for the rebalance to complete before resolving
+  ///#   interval: 1000, // the number of milliseconds between progress checks while waiting
+  ///#   timeout: 0, // the number of milliseconds to wait before stopping the rebalance, 0 waits forever
+  ///#   on_progress: null, // a function called w/ the overall and per-node progress while waiting
+  ///# }
+  ///# ```
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-cluster-rebalance.html
   ///# @async
-  async rebalance({ knownNodes, ejectedNodes } = { knownNodes: [], ejectedNodes: [] }) {
+  async rebalance({
+    knownNodes = [],
+    ejectedNodes = [],
+    wait = false,
+    interval,
+    timeout,
+    on_progress,
+  } = {}) {
     debug('rebalance');
-    // if there is not a length we need to first retrieve all of the nodes
+    // if there is not a length we need to first retrieve all of the nodes, the ejected nodes are still known nodes
     if (!knownNodes.length) {
       knownNodes = await this.details()
-        .then(({ nodes }) => {
-          return nodes.reduce((previous, node) => {
-            // if the node isn't found in the ejectedNodes added it to the known nodes
-            if (!ejectedNodes.includes(node.otpNode)) {
-              previous.push(node.otpNode);
-            }
-            return previous;
-          }, []);
-        });
+        .then(({ nodes }) => nodes.map(({ otpNode }) => otpNode));
     }
     debug(`  knownNodes: ${knownNodes.join(', ')}`);
     debug(`  ejectedNodes: ${ejectedNodes.join(', ')}`);
-    return this.post('/controller/rebalance', {
+    debug(`  wait: ${wait}`);
+    this.rebalance_stopped = false;
+    const result = await this.post('/controller/rebalance', {
       form: {
         knownNodes: knownNodes.join(','),
+        ejectedNodes: ejectedNodes.join(','),
       },
+      idempotent: false,
     });
+    // should we wait for the rebalance to finish?
+    if (wait) {
+      await this.waitForRebalance({ interval, timeout, on_progress });
+    }
+    return result;
+  }
+
+  ///# @name rebalanceProgress
+  ///# @description Gets the progress of the current rebalance, progress values are percentages
+  ///# @returns {object} - { status: 'running' || 'none', error: '', progress: 0, nodes: { 'ns_1@host': 0 } }
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-get-rebalance-progress.html
+  ///# @async
+  async rebalanceProgress() {
+    debug('rebalanceProgress');
+    const { status, errorMessage: error, ...details } = await this.get(`/pools/${this.pool}/rebalanceProgress`);
+    const nodes = reduce(details, (previous, value, otp_node) => {
+      if (isObject(value) && value.progress !== undefined) {
+        previous[otp_node] = value.progress * 100;
+      }
+      return previous;
+    }, {});
+    const values = Object.keys(nodes).map((key) => nodes[key]);
+    return {
+      status,
+      error,
+      progress: values.length ? values.reduce((total, value) => total + value, 0) / values.length : 0,
+      nodes,
+    };
+  }
+
+  ///# @name tasks
+  ///# @description Gets the currently running and recently completed tasks in the cluster
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-get-cluster-tasks.html
+  ///# @async
+  tasks() {
+    debug('tasks');
+    return this.get(`/pools/${this.pool}/tasks`);
+  }
+
+  ///# @name waitForRebalance
+  ///# @description Waits for the current rebalance to complete, if it fails or is stopped the server's reason is thrown.
+  ///#   Each progress check emits `rebalance_progress` w/ `{ progress, nodes }` and `node_progress` w/
+  ///#   `{ otp_node, progress }` for every node that is being rebalanced
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   interval: 1000, // the number of milliseconds between progress checks
+  ///#   timeout: 0, // the number of milliseconds to wait before stopping the rebalance, 0 waits forever
+  ///#   on_progress: null, // a function called w/ the overall and per-node progress
+  ///# }
+  ///# ```
+  ///# @async
+  async waitForRebalance({
+    interval = 1000,
+    timeout = 0,
+    on_progress,
+  } = {}) {
+    debug('waitForRebalance');
+    debug(`  interval: ${interval}`);
+    debug(`  timeout: ${timeout}`);
+    try {
+      await poll(async () => {
+        const { status, error, progress, nodes } = await this.rebalanceProgress();
+        if (status === 'running') {
+          debug(`  progress: ${progress}`);
+          this.emit('rebalance_progress', { progress, nodes });
+          Object.keys(nodes).forEach((otp_node) => this.emit('node_progress', { otp_node, progress: nodes[otp_node] }));
+          if (on_progress) {
+            on_progress({ progress, nodes });
+          }
+          return false;
+        }
+        // the rebalance is no longer running, check the tasks for a reason if it failed
+        const { errorMessage } = find(await this.tasks(), { type: 'rebalance' }) || {};
+        if (error || errorMessage) {
+          throw new CouchbaseError(error || errorMessage);
+        }
+        if (this.rebalance_stopped) {
+          throw new CouchbaseError('Rebalance was stopped');
+        }
+        return true;
+      }, {
+        interval,
+        timeout,
+        message: `Rebalance did not complete within ${timeout}ms`,
+      });
+    } catch (err) {
+      // if we gave up waiting, stop the rebalance that is still running (a request that timed out has an endpoint)
+      if (err instanceof TimeoutError && !err.endpoint) {
+        await this.stopRebalance();
+      }
+      throw err;
+    }
+    return this;
+  }
+
+  ///# @name stopRebalance
+  ///# @description Stops the current rebalance, anything waiting on the rebalance will be rejected
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-cluster-rebalance.html
+  ///# @async
+  stopRebalance() {
+    debug('stopRebalance');
+    this.rebalance_stopped = true;
+    return this.post('/controller/stopRebalance');
   }
 
   ///# @name bucket
@@ -409,7 +1144,7 @@ export default class Cluster extends Base {
     debug('bucket');
     debug(`  name: ${name}`);
     return new Bucket(extend(
-      pick(this, [ 'cluster_host', 'cluster_port', 'cluster_protocol', 'password', 'username' ]),
+      this.connection(),
       { name },
     ));
   }
@@ -468,12 +1203,12 @@ export default class Cluster extends Base {
     } else if (isObject(name)) { // if name was passed as an object, break it apart
       options = pickBy(name, (value, key) => key !== 'name');
       bucket = new Bucket(extend(
-        pick(this, [ 'cluster_host', 'cluster_port', 'cluster_protocol', 'password', 'username' ]),
+        this.connection(),
         pick(name, [ 'name' ]),
       ));
     } else { // name is just a string
       bucket = new Bucket(extend(
-        pick(this, [ 'cluster_host', 'cluster_port', 'cluster_protocol', 'password', 'username' ]),
+        this.connection(),
         { name },
       ));
     }
@@ -507,13 +1242,67 @@ export default class Cluster extends Base {
     debug('serverGroup');
     debug(`  name: ${name}`);
     const server_group = new ServerGroup(extend(
-      pick(this, [ 'cluster_host', 'cluster_port', 'cluster_protocol', 'password', 'username' ]),
+      this.connection(),
       { name },
     ));
     server_group.cluster = this;
     return server_group;
   }
 
+  ///# @name query
+  ///# @description Runs a N1QL query on a node running the query service, see `Query.execute()` for the options
+  ///# @arg {string} statement - The N1QL statement to run
+  ///# @arg {object} options [{}] - `{ args, named, consistency, timeout, readonly }`
+  ///# @returns {object} - `{ request_id, status, results, metrics, errors, warnings, signature }`
+  ///# @async
+  query(statement, options = {}) {
+    debug('query');
+    return new Query(this.connection()).execute(statement, options);
+  }
+
+  ///# @name queryRows
+  ///# @description Runs a N1QL query and streams the results, see `Query.rows()`
+  ///# @arg {string} statement - The N1QL statement to run
+  ///# @arg {object} options [{}] - `{ args, named, consistency, timeout, readonly }`
+  ///# @returns {AsyncIterator}
+  queryRows(statement, options = {}) {
+    debug('queryRows');
+    return new Query(this.connection()).rows(statement, options);
+  }
+
+  ///# @name fts
+  ///# @description Gets a new instance of the Fts class, for managing full text search indexes and searching them
+  ///# @returns {Fts}
+  fts() {
+    debug('fts');
+    return new Fts(this.connection());
+  }
+
+  ///# @name indexes
+  ///# @description Gets a new instance of the Indexes class, for managing GSI indexes
+  ///# @returns {Indexes}
+  indexes() {
+    debug('indexes');
+    return new Indexes(this.connection());
+  }
+
+  ///# @name users
+  ///# @description Gets a new instance of the Users class, for managing RBAC users and roles
+  ///# @returns {Users}
+  users() {
+    debug('users');
+    return new Users(this.connection());
+  }
+
+  ///# @name certificates
+  ///# @description Gets a new instance of the Certificates class, for managing the cluster CA, node certificates and
+  ///#   client certificate authentication
+  ///# @returns {Certificates}
+  certificates() {
+    debug('certificates');
+    return new Certificates(this.connection());
+  }
+
   ///# @name getInternalSettings
   ///# @description Retrieves Couchbase internal settings.
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-get-internal-setting.html
@@ -547,23 +1336,25 @@ export default class Cluster extends Base {
   ///# ```
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-get-internal-setting.html
   ///# @async
-  setInternalSettings({
-    indexAwareRebalanceDisabled,
-    rebalanceIndexWaitingDisabled,
-    rebalanceIndexPausingDisabled,
-    rebalanceIgnoreViewCompactions,
-    rebalanceMovesPerNode,
-    rebalanceMovesBeforeCompaction,
-    maxParallelIndexers,
-    maxParallelReplicaIndexers,
-    maxBucketCount,
-    gotraceback,
-    indexAutoFailoverDisabled,
-    certUseSha1,
-    capiRequestLimit,
-    restRequestLimit,
-  }) {
+  setInternalSettings(options = {}) {
     debug('internalSettings');
+    schemas.validate(schemas.internalSettings, options);
+    const {
+      indexAwareRebalanceDisabled,
+      rebalanceIndexWaitingDisabled,
+      rebalanceIndexPausingDisabled,
+      rebalanceIgnoreViewCompactions,
+      rebalanceMovesPerNode,
+      rebalanceMovesBeforeCompaction,
+      maxParallelIndexers,
+      maxParallelReplicaIndexers,
+      maxBucketCount,
+      gotraceback,
+      indexAutoFailoverDisabled,
+      certUseSha1,
+      capiRequestLimit,
+      restRequestLimit,
+    } = options;
     return this.post('/internalSettings', {
       form: {
         indexAwareRebalanceDisabled,
@@ -585,8 +1376,8 @@ export default class Cluster extends Base {
   }
 
   ///# @name getReplicationSettings
-  ///# @description Retrieves replication settings.
-  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-get-internal-setting.html
+  ///# @description Retrieves the default settings for all replications
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-xdcr-adv-settings.html
   ///# @async
   getReplicationSettings() {
     debug('getReplicationSettings');
@@ -594,64 +1385,21 @@ export default class Cluster extends Base {
   }
 
   ///# @name setReplicationSettings
-  ///# @description Retrieves Couchbase internal settings.
-  ///# @arg {object}
-  ///# ```js
-  ///# {
-  ///#   indexAwareRebalanceDisabled: false,
-  ///#   rebalanceIndexWaitingDisabled: false,
-  ///#   rebalanceIndexPausingDisabled: false, // whether or not indexing should be paused during rebalance operations
-  ///#   rebalanceIgnoreViewCompactions: false, // whether or not view compaction should be ignored during rebalance operations
-  ///#   rebalanceMovesPerNode: 1, // the number of vBucket moves to migrate simultaneiously in parallel between different nodes
-  ///#   rebalanceMovesBeforeCompaction: 64, // the number of moves before compaction happens during a rebalance operation
-  ///#   maxParallelIndexers: 4, // the number of indexes to run in parallel
-  ///#   maxParallelReplicaIndexers: 2, // the number of replica indexers to run in parallel
-  ///#   maxBucketCount: 10, // the maximum # of allowed buckets in the cluster
-  ///#   gotraceback: 'crash',
-  ///#   indexAutoFailoverDisabled: true,
-  ///#   certUseSha1: false,
-  ///#   dropRequestMemoryThresholdMiB:, // value in MB for the maximum amount of memory that is used by Erlang VM. If the amount is exceeded, the server starts dropping incoming connections
-  ///#   capiRequestLimit: 50, // maximum number of simultaneous connections each server node accepts on a CAPI port, this port is used for XDCR and views connections
-  ///#   restRequestLimit: 50, // maximum number of simultaneous connections each server node accepts on a REST port
-  ///# }
-  ///# ```
-  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-get-internal-setting.html
+  ///# @description Sets the default settings for all replications
+  ///# @arg {object} settings [{}] - Any of the settings accepted by `Replication.updateSettings()`
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-xdcr-adv-settings.html
   ///# @async
-  setReplicationSettings({
-    indexAwareRebalanceDisabled,
-    rebalanceIndexWaitingDisabled,
-    rebalanceIndexPausingDisabled,
-    rebalanceIgnoreViewCompactions,
-    rebalanceMovesPerNode,
-    rebalanceMovesBeforeCompaction,
-    maxParallelIndexers,
-    maxParallelReplicaIndexers,
-    maxBucketCount,
-    gotraceback,
-    indexAutoFailoverDisabled,
-    certUseSha1,
-    capiRequestLimit,
-    restRequestLimit,
-  }) {
-    debug('internalSettings');
-    return this.post('/internalSettings', {
-      form: {
-        indexAwareRebalanceDisabled,
-        rebalanceIndexWaitingDisabled,
-        rebalanceIndexPausingDisabled,
-        rebalanceIgnoreViewCompactions,
-        rebalanceMovesPerNode,
-        rebalanceMovesBeforeCompaction,
-        maxParallelIndexers,
-        maxParallelReplicaIndexers,
-        maxBucketCount,
-        gotraceback,
-        indexAutoFailoverDisabled,
-        certUseSha1,
-        capiRequestLimit,
-        restRequestLimit,
-      },
-    });
+  setReplicationSettings(settings = {}) {
+    debug('setReplicationSettings');
+    return this.replication().updateSettings(undefined, settings);
+  }
+
+  ///# @name replication
+  ///# @description Gets a new instance of the Replication class, for managing remote clusters and XDCR replications
+  ///# @returns {Replication}
+  replication() {
+    debug('replication');
+    return new Replication(this.connection());
   }
 
   ///# @name getAutoFailover
@@ -673,11 +1421,13 @@ export default class Cluster extends Base {
   ///# }
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-cluster-autofailover-intro.html
   ///# @async
-  setAutoFailover({
-    enabled = false,
-    timeout = 120,
-  }) {
+  setAutoFailover(options = {}) {
     debug('setAutoFailover');
+    schemas.validate(schemas.autoFailover, options);
+    const {
+      enabled = false,
+      timeout = 120,
+    } = options;
     debug(`  enabled: ${enabled}`);
     return this.post('/settings/autoFailover', {
       form: {
@@ -723,7 +1473,7 @@ export default class Cluster extends Base {
   ///#   email_encrypt: false, // Whether or not to send emails securely
   ///#   email_host: '', // The hostname or ip address of the email server
   ///#   email_port: 25, // The email server port
-  ///#   email_pass: '' // The email server password
+  ///#   email_pass: undefined // The email server password, the stored password is kept when it is undefined
   ///#   email_user: '', // The email server username
   ///#   enabled: false, // Whether or not email notifications should be enabled
   ///#   recipients: '', // A comma or space delimited list of email addresses to send the notifications to
@@ -731,29 +1481,30 @@ export default class Cluster extends Base {
   ///# }
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-cluster-autofailover-intro.html
   ///# @async
-  setEmailSettings({
-    alerts = 'auto_failover_node,auto_failover_maximum_reached,auto_failover_other_nodes_down,auto_failover_cluster_too_small,auto_failover_disabled,ip,disk,overhead,ep_oom_errors,ep_item_commit_failed,audit_dropped_events,indexer_ram_max_usage,ep_clock_cas_drift_threshold_exceeded,communication_issue', // eslint-disable-line max-len
-    email_encrypt = false,
-    email_host = '',
-    email_port = 25,
-    email_pass = '',
-    email_user = '',
-    enabled = false,
-    recipients = 'root@localhost',
-    sender = 'couchbase@localhost',
-  }) {
+  setEmailSettings(options = {}) {
     debug('setEmailSettings');
+    schemas.validate(schemas.emailSettings, options);
+    const {
+      alerts = 'auto_failover_node,auto_failover_maximum_reached,auto_failover_other_nodes_down,auto_failover_cluster_too_small,auto_failover_disabled,ip,disk,overhead,ep_oom_errors,ep_item_commit_failed,audit_dropped_events,indexer_ram_max_usage,ep_clock_cas_drift_threshold_exceeded,communication_issue', // eslint-disable-line max-len
+      email_encrypt = false,
+      email_host = '',
+      email_port = 25,
+      email_pass,
+      email_user = '',
+      enabled = false,
+      recipients = 'root@localhost',
+      sender = 'couchbase@localhost',
+    } = options;
     debug(`  alerts: ${alerts}`);
     debug(`  email_encrypt: ${email_encrypt}`);
     debug(`  email_host: ${email_host}`);
     debug(`  email_port: ${email_port}`);
-    debug(`  email_pass: ${email_pass}`);
     debug(`  email_user: ${email_user}`);
     debug(`  enabled: ${enabled}`);
     debug(`  recipients: ${recipients}`);
     debug(`  sender: ${sender}`);
     return this.post('/settings/alerts', {
-      form: {
+      form: pickBy({
         alerts,
         emailEncrypt: email_encrypt,
         emailHost: email_host,
@@ -763,7 +1514,18 @@ export default class Cluster extends Base {
         enabled,
         recipients,
         sender,
-      },
+      }, (value) => value !== undefined),
     });
   }
 }
+
+// finds a node in the nodes of the cluster details by its otpNode, hostname (w/ or w/o the port) or a Node instance
+function findNode(nodes, node) {
+  const name = nodeName(node);
+  return find(nodes, ({ otpNode, hostname }) => [ otpNode, hostname, hostname.replace(/:[0-9]+$/, '') ].includes(name));
+}
+
+// gets the hostname or otpNode used to identify a node, nodes from the topology are identified by their otpNode
+function nodeName(node) {
+  return isString(node) ? node : node.otp_node || node.node_host || node.hostname || node.cluster_host;
+}
@@ -0,0 +1,116 @@
+////
+/// @author Aaron Benton
+/// @page app/design-docs
+////
+const debug = require('debug')('couchbase-rest-sdk:DesignDocs');
+import Base from './base';
+import { get } from 'lodash';
+
+/// @name DesignDocs
+/// @description Handles the design documents of a bucket, which hold the MapReduce views
+/// @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-views-intro.html
+/// @type {class}
+export default class DesignDocs extends Base {
+  ///# @name constructor
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   cluster_host: 'localhost', // the hostname / ip address of a node in the cluster
+  ///#   cluster_port: 8091, // the port to use, defaults to 8091
+  ///#   cluster_protocol: 'http', // the http protocol to use, defaults to http
+  ///#   password: '', // the cluster admin password
+  ///#   username: '', // the cluster admin username
+  ///#   bucket: '', // the name of the bucket
+  ///# }
+  ///# ```
+  constructor({ bucket, ...options } = {}) {
+    super(options);
+    this.bucket = bucket;
+  }
+
+  ///# @name list
+  ///# @description Gets all of the design documents of the bucket, i.e. `[ { name, views } ]`
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-ddocs-get.html
+  ///# @async
+  async list() {
+    debug('list');
+    debug(`  bucket: ${this.bucket}`);
+    const { rows = [] } = await this.get(`/pools/${this.pool}/buckets/${encodeURIComponent(this.bucket)}/ddocs`);
+    return rows.map(({ doc }) => ({
+      name: doc.meta.id.replace(/^_design\//, ''),
+      views: get(doc, 'json.views', {}),
+    }));
+  }
+
+  ///# @name details
+  ///# @description Gets a design document, i.e. `{ name, views }`
+  ///# @arg {string} name - The name of the design document, development design documents start with `dev_`
+  ///# @throws {NotFoundError} - When the design document does not exist
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-ddocs-get.html
+  ///# @async
+  async details(name) {
+    debug('details');
+    debug(`  name: ${name}`);
+    const { views = {} } = await this.get(this.endpoint(name), await this.discover('views'));
+    return { name, views };
+  }
+
+  ///# @name upsert
+  ///# @description Creates or replaces a design document
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   name: '', // the name of the design document, development design documents start with `dev_`
+  ///#   views: {}, // the views keyed by name, i.e. { by_type: { map: 'function (doc, meta) {}', reduce: '_count' } }
+  ///# }
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-ddocs-create.html
+  ///# @async
+  async upsert({ name, views = {} } = {}) {
+    debug('upsert');
+    debug(`  name: ${name}`);
+    debug(`  views: ${Object.keys(views).join(', ')}`);
+    const { protocol, host, port } = await this.discover('views');
+    await this.put(this.endpoint(name), {
+      body: { views },
+      protocol,
+      host,
+      port,
+    });
+    return this;
+  }
+
+  ///# @name remove
+  ///# @description Deletes a design document
+  ///# @arg {string} name - The name of the design document
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-ddocs-delete.html
+  ///# @async
+  async remove(name) {
+    debug('remove');
+    debug(`  name: ${name}`);
+    await this.delete(this.endpoint(name), await this.discover('views'));
+    return this;
+  }
+
+  ///# @name publish
+  ///# @description Promotes a development design document to production, the development design document is kept
+  ///# @arg {string} name - The name of the design document, with or without the `dev_` prefix
+  ///# @returns {string} - The name of the production design document
+  ///# @async
+  async publish(name) {
+    debug('publish');
+    debug(`  name: ${name}`);
+    const production = name.replace(/^dev_/, '');
+    const { views } = await this.details(`dev_${production}`);
+    await this.upsert({ name: production, views });
+    return production;
+  }
+
+  ///# @name endpoint
+  ///# @description Gets the endpoint of a design document on the views (CAPI) port
+  ///# @arg {string} name - The name of the design document
+  ///# @returns {string}
+  endpoint(name) {
+    return `/${encodeURIComponent(this.bucket)}/_design/${encodeURIComponent(name)}`;
+  }
+}
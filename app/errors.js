@@ -0,0 +1,177 @@
+////
+/// @author Aaron Benton
+/// @page app/errors
+////
+import {
+  extend,
+  get,
+  isArray,
+  isEmpty,
+  isObject,
+  isString,
+  reduce,
+} from 'lodash';
+
+/// @name CouchbaseError
+/// @description Base class for all of the errors thrown by the sdk
+/// @type {class}
+export class CouchbaseError extends Error {
+  ///# @name constructor
+  ///# @arg {string} message [''] - The error message
+  ///# @arg {object} properties [{}] - Any additional properties to set on the error
+  constructor(message = '', properties = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    extend(this, properties);
+  }
+}
+
+/// @name RequestError
+/// @description Thrown when the server responds to a request with an error status code
+/// @type {class}
+export class RequestError extends CouchbaseError {
+  ///# @name constructor
+  ///# @arg {string} message [''] - The error message
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   status: 500, // the http status code of the response
+  ///#   method: 'GET', // the http method of the request
+  ///#   endpoint: '', // the endpoint of the request
+  ///#   body: {}, // the raw response body
+  ///#   errors: [], // an array of the error messages from the response
+  ///# }
+  ///# ```
+  constructor(message, { status, method, endpoint, body, errors = [] } = {}) {
+    super(message, { status, method, endpoint, body, errors });
+  }
+}
+
+/// @name AuthenticationError
+/// @description Thrown when the credentials are invalid or do not have access to the resource (401, 403)
+/// @type {class}
+export class AuthenticationError extends RequestError {}
+
+/// @name NotFoundError
+/// @description Thrown when the resource does not exist (404)
+/// @type {class}
+export class NotFoundError extends RequestError {}
+
+/// @name ValidationError
+/// @description Thrown when the server rejects the parameters of a request (400) or the options of a method are invalid,
+/// `fields` holds the messages keyed by the field or option they are for
+/// @type {class}
+export class ValidationError extends RequestError {
+  constructor(message, { fields = {}, ...options } = {}) {
+    super(message, options);
+    this.fields = fields;
+  }
+}
+
+/// @name ConflictError
+/// @description Thrown when the request conflicts with the current state of the resource (409)
+/// @type {class}
+export class ConflictError extends RequestError {}
+
+/// @name ServerError
+/// @description Thrown when the server fails to handle a request (5xx)
+/// @type {class}
+export class ServerError extends RequestError {}
+
+/// @name QueryError
+/// @description Thrown when a N1QL query fails, `codes` holds the error codes from the query service
+/// @type {class}
+export class QueryError extends RequestError {
+  constructor(message, { codes = [], ...options } = {}) {
+    super(message, options);
+    this.codes = codes;
+  }
+}
+
+/// @name NetworkError
+/// @description Thrown when a request could not be completed, i.e. the connection was refused
+/// @type {class}
+export class NetworkError extends CouchbaseError {
+  constructor(message, { code, method, endpoint } = {}) {
+    super(message, { code, method, endpoint });
+  }
+}
+
+/// @name TimeoutError
+/// @description Thrown when a request or an operation that is being waited on takes too long
+/// @type {class}
+export class TimeoutError extends CouchbaseError {
+  constructor(message, { code = 'ETIMEDOUT', method, endpoint } = {}) {
+    super(message, { code, method, endpoint });
+  }
+}
+
+// the error codes that mean a request took too long
+const timeout_codes = [ 'ETIMEDOUT', 'ESOCKETTIMEDOUT' ];
+
+// the error class to use for each status code
+const status_classes = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: AuthenticationError,
+  404: NotFoundError,
+  409: ConflictError,
+};
+
+// the message to use when the response body does not have one
+const status_messages = {
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+};
+
+///# @name createError
+///# @description Converts an error from request-promise into one of the error classes
+///# @arg {object} err - The request-promise error
+///# @arg {object}
+///# ```js
+///# {
+///#   method: 'GET', // the http method of the request
+///#   endpoint: '', // the endpoint of the request
+///# }
+///# ```
+///# @returns {CouchbaseError}
+export function createError(err, { method, endpoint } = {}) {
+  // the request never got a response
+  if (!err.statusCode) {
+    const code = get(err, 'cause.code') || get(err, 'error.code') || err.code;
+    const message = get(err, 'cause.message') || err.message || 'Unknown Error';
+    if (timeout_codes.includes(code)) {
+      return new TimeoutError(message, { code, method, endpoint });
+    }
+    return new NetworkError(message, { code, method, endpoint });
+  }
+  const status = err.statusCode;
+  const body = err.error;
+  const errors = messages(body);
+  let fields = get(body, 'errors', {});
+  fields = isObject(fields) && !isArray(fields) ? fields : {};
+  let ErrorClass = status_classes[status] || RequestError;
+  if (status >= 500) {
+    ErrorClass = ServerError;
+  }
+  const message = errors.join('; ') || status_messages[status] || 'Unknown Error ¯\\_(ツ)_/¯';
+  return new ErrorClass(message, { status, method, endpoint, body, errors, fields });
+}
+
+// flattens an error response body into an array of messages
+function messages(body) {
+  if (isString(body)) {
+    return body ? [ body ] : [];
+  }
+  if (!isObject(body)) {
+    return [];
+  }
+  const errors = isEmpty(body.errors) ? body : body.errors;
+  return reduce(errors, (previous, value) => {
+    if (value !== null && value !== undefined && value !== '') {
+      previous.push(isString(value) ? value : JSON.stringify(value));
+    }
+    return previous;
+  }, []);
+}
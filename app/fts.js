@@ -0,0 +1,294 @@
+////
+/// @author Aaron Benton
+/// @page app/fts
+////
+const debug = require('debug')('couchbase-rest-sdk:Fts');
+import Base from './base';
+import SearchHit from './search-hit';
+import {
+  get,
+  isString,
+  pickBy,
+  reduce,
+  values,
+} from 'lodash';
+
+/// @name Fts
+/// @description Handles Full Text Search (FTS) index and query operations, requests are sent to a node running the fts service
+/// @reference https://developer.couchbase.com/documentation/server/5.0/fts/fts-searching-with-the-rest-api.html
+/// @type {class}
+export default class Fts extends Base {
+  ///# @name constructor
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   cluster_host: 'localhost', // the hostname / ip address of a node in the cluster
+  ///#   cluster_port: 8091, // the port to use, defaults to 8091
+  ///#   cluster_protocol: 'http', // the http protocol to use, defaults to http
+  ///#   password: '', // the cluster admin password
+  ///#   username: '', // the cluster admin username
+  ///# }
+  ///# ```
+  constructor({
+    ...options
+  } = {}) {
+    super(options);
+  }
+
+  ///# @name list
+  ///# @description Gets all of the index definitions
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-fts-indexing.html
+  ///# @async
+  async list() {
+    debug('list');
+    const response = await this.send(await this.service({ endpoint: '/api/index' }));
+    return values(get(response, 'indexDefs.indexDefs', {}));
+  }
+
+  ///# @name details
+  ///# @description Gets the definition of an index
+  ///# @arg {string} name - The name of the index
+  ///# @throws {NotFoundError} - When the index does not exist
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-fts-indexing.html
+  ///# @async
+  async details(name) {
+    debug('details');
+    debug(`  name: ${name}`);
+    const { indexDef } = await this.send(await this.service({ endpoint: `/api/index/${encodeURIComponent(name)}` }));
+    return indexDef;
+  }
+
+  ///# @name create
+  ///# @description Creates an index
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   name: '', // the name of the index
+  ///#   bucket: '', // the name of the bucket to index
+  ///#   type: 'fulltext-index', // the type of index, can be: fulltext-index, fulltext-alias
+  ///#   params: {}, // the mapping, analysis and store settings, defaults to a dynamic mapping of every document
+  ///#   source_params: {}, // the settings of the data source
+  ///#   plan_params: {}, // the partitioning and replica settings, i.e. { maxPartitionsPerPIndex: 171, numReplicas: 0 }
+  ///# }
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-fts-indexing.html
+  ///# @async
+  async create({
+    name,
+    ...options
+  } = {}) {
+    debug('create');
+    debug(`  name: ${name}`);
+    debug(`  bucket: ${options.bucket}`);
+    await this.send(await this.service({
+      method: 'PUT',
+      endpoint: `/api/index/${encodeURIComponent(name)}`,
+      body: definition(name, options),
+      idempotent: false,
+    }));
+    return this;
+  }
+
+  ///# @name update
+  ///# @description Updates an index, any options that are not passed are kept from the current definition
+  ///# @arg {string} name - The name of the index
+  ///# @arg {object} options [{}] - The same options as `create()`, except for the name
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-fts-indexing.html
+  ///# @async
+  async update(name, options = {}) {
+    debug('update');
+    debug(`  name: ${name}`);
+    const current = await this.details(name);
+    const body = definition(name, {
+      bucket: get(options, 'bucket', current.sourceName),
+      type: get(options, 'type', current.type),
+      params: get(options, 'params', current.params),
+      source_params: get(options, 'source_params', current.sourceParams),
+      plan_params: get(options, 'plan_params', current.planParams),
+    });
+    // the uuid makes sure the index has not been changed since it was read
+    body.uuid = current.uuid;
+    await this.send(await this.service({
+      method: 'PUT',
+      endpoint: `/api/index/${encodeURIComponent(name)}`,
+      body,
+      idempotent: false,
+    }));
+    return this;
+  }
+
+  ///# @name remove
+  ///# @description Deletes an index
+  ///# @arg {string} name - The name of the index
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-fts-indexing.html
+  ///# @async
+  async remove(name) {
+    debug('remove');
+    debug(`  name: ${name}`);
+    await this.send(await this.service({
+      method: 'DELETE',
+      endpoint: `/api/index/${encodeURIComponent(name)}`,
+    }));
+    return this;
+  }
+
+  ///# @name count
+  ///# @description Gets the number of documents in an index
+  ///# @arg {string} name - The name of the index
+  ///# @returns {number}
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-fts-indexing.html
+  ///# @async
+  async count(name) {
+    debug('count');
+    debug(`  name: ${name}`);
+    const { count = 0 } = await this.send(await this.service({ endpoint: `/api/index/${encodeURIComponent(name)}/count` }));
+    return count;
+  }
+
+  ///# @name status
+  ///# @description Gets the ingestion status of an index, i.e. `{ doc_count, mutations_to_index, ingest_paused, ... }`
+  ///# the stats of the index are returned without their `bucket:index:` prefix
+  ///# @arg {string} name - The name of the index
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-fts-advanced.html
+  ///# @async
+  async status(name) {
+    debug('status');
+    debug(`  name: ${name}`);
+    const index = await this.details(name);
+    const stats = await this.send(await this.service({ endpoint: `/api/stats/index/${encodeURIComponent(name)}` }));
+    const prefix = `${index.sourceName}:${name}:`;
+    const status = reduce(stats, (previous, value, key) => {
+      if (key.indexOf(prefix) === 0) {
+        previous[key.slice(prefix.length).replace(/^num_/, '')] = value;
+      }
+      return previous;
+    }, {});
+    // ingestion is paused when none of the nodes are allowed to write to the index
+    status.ingest_paused = get(index, 'planParams.nodePlanParams[""][""].canWrite') === false;
+    return status;
+  }
+
+  ///# @name pauseIngest
+  ///# @description Stops an index from processing new mutations
+  ///# @arg {string} name - The name of the index
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-fts-indexing.html
+  ///# @async
+  async pauseIngest(name) {
+    debug('pauseIngest');
+    debug(`  name: ${name}`);
+    await this.send(await this.service({
+      method: 'POST',
+      endpoint: `/api/index/${encodeURIComponent(name)}/ingestControl/pause`,
+    }));
+    return this;
+  }
+
+  ///# @name resumeIngest
+  ///# @description Resumes processing new mutations for an index
+  ///# @arg {string} name - The name of the index
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-fts-indexing.html
+  ///# @async
+  async resumeIngest(name) {
+    debug('resumeIngest');
+    debug(`  name: ${name}`);
+    await this.send(await this.service({
+      method: 'POST',
+      endpoint: `/api/index/${encodeURIComponent(name)}/ingestControl/resume`,
+    }));
+    return this;
+  }
+
+  ///# @name search
+  ///# @description Searches an index
+  ///# @arg {string} name - The name of the index
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   query: '', // a query string, i.e. '+name:hotel', or a query object, i.e. { match: 'hotel', field: 'name' }
+  ///#   size: 10, // the number of hits to return
+  ///#   from: 0, // the number of hits to skip, for paging
+  ///#   fields: [], // the stored fields to return with each hit
+  ///#   highlight: null, // highlight the matches, true or { style: 'html', fields: [] }
+  ///#   facets: {}, // the facets to calculate keyed by name, i.e. { types: { field: 'type', size: 5 } }
+  ///#   sort: [], // the fields to sort by, i.e. [ '-_score', 'name' ]
+  ///#   explain: false, // whether or not to explain the score of each hit
+  ///#   timeout: 0, // the number of milliseconds the search is allowed to take
+  ///#   consistency: null, // the vector the index must be consistent with before searching
+  ///# }
+  ///# ```
+  ///# @returns {object} - `{ hits: [ SearchHit ], total_hits, max_score, took (ms), facets, status }`
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/fts/fts-searching-with-the-rest-api.html
+  ///# @async
+  async search(name, {
+    query,
+    size = 10,
+    from = 0,
+    fields,
+    highlight,
+    facets,
+    sort,
+    explain,
+    timeout,
+    consistency,
+  } = {}) {
+    debug('search');
+    debug(`  name: ${name}`);
+    debug(`  query: ${JSON.stringify(query)}`);
+    const body = pickBy({
+      query: isString(query) ? { query } : query,
+      size,
+      from,
+      fields,
+      highlight: highlight === true ? {} : highlight,
+      facets,
+      sort,
+      explain,
+    }, (value) => value !== undefined && value !== false);
+    if (timeout || consistency) {
+      body.ctl = pickBy({ timeout, consistency });
+    }
+    const response = await this.send(await this.service({
+      method: 'POST',
+      endpoint: `/api/index/${encodeURIComponent(name)}/query`,
+      body,
+    }));
+    return {
+      hits: get(response, 'hits', []).map((hit) => new SearchHit(hit)),
+      total_hits: get(response, 'total_hits', 0),
+      max_score: get(response, 'max_score', 0),
+      // took is reported in nanoseconds
+      took: Math.round(get(response, 'took', 0) / 1e6),
+      facets: get(response, 'facets', {}),
+      status: get(response, 'status', {}),
+    };
+  }
+
+  ///# @name service
+  ///# @description Adds the protocol, host and port of a node running the fts service to a request
+  ///# @arg {object} request - The request options, see `send()`
+  ///# @returns {object}
+  ///# @async
+  async service(request) {
+    const { protocol, host, port } = await this.discover('fts');
+    return { ...request, protocol, host, port };
+  }
+}
+
+// builds the definition of an index that is sent to the server
+function definition(name, {
+  bucket,
+  type = 'fulltext-index',
+  params,
+  source_params,
+  plan_params,
+}) {
+  return pickBy({
+    type,
+    name,
+    sourceType: type === 'fulltext-alias' ? 'nil' : 'couchbase',
+    sourceName: bucket,
+    params,
+    sourceParams: source_params,
+    planParams: plan_params,
+  }, (value) => value !== undefined);
+}
@@ -1,12 +1,61 @@
 import Bucket from './bucket';
+import Cassette from './cassette';
+import Certificates from './certificates';
 import Cluster from './cluster';
+import DesignDocs from './design-docs';
+import Fts from './fts';
+import Indexes from './indexes';
+import MockCluster, { createMockCluster } from './mock-cluster';
 import Node from './node';
+import Plan from './plan';
+import Query from './query';
+import Replication from './replication';
+import SearchHit from './search-hit';
 import RestApi from './api';
+import Stats from './stats';
+import Users from './users';
+import Watcher from './watcher';
+import {
+  AuthenticationError,
+  ConflictError,
+  CouchbaseError,
+  NetworkError,
+  NotFoundError,
+  QueryError,
+  RequestError,
+  ServerError,
+  TimeoutError,
+  ValidationError,
+} from './errors';
 
 export default RestApi;
 
 export {
+  AuthenticationError,
   Bucket,
+  Cassette,
+  Certificates,
   Cluster,
+  ConflictError,
+  CouchbaseError,
+  createMockCluster,
+  DesignDocs,
+  Fts,
+  Indexes,
+  MockCluster,
+  NetworkError,
   Node,
+  NotFoundError,
+  Plan,
+  Query,
+  QueryError,
+  Replication,
+  RequestError,
+  SearchHit,
+  ServerError,
+  Stats,
+  TimeoutError,
+  Users,
+  ValidationError,
+  Watcher,
 };
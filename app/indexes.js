@@ -0,0 +1,283 @@
+////
+/// @author Aaron Benton
+/// @page app/indexes
+////
+const debug = require('debug')('couchbase-rest-sdk:Indexes');
+import Base from './base';
+import Query from './query';
+import { poll } from './utils';
+import {
+  find,
+  invert,
+  isString,
+  reduce,
+} from 'lodash';
+
+// maps the index setting names to the form fields the server expects
+const settings_map = {
+  log_level: 'logLevel', // the log level of the indexer, can be: silent, fatal, error, warn, info, verbose, timing, debug, trace
+  max_rollback_points: 'maxRollbackPoints', // the maximum number of rollback points
+  memory_snapshot_interval: 'memorySnapshotInterval', // the number of milliseconds between in-memory snapshots
+  stable_snapshot_interval: 'stableSnapshotInterval', // the number of milliseconds between persisted snapshots
+  storage_mode: 'storageMode', // the storage mode, can be: forestdb, memory_optimized, plasma
+  threads: 'indexerThreads', // the number of indexer threads, 0 uses the number of cpus
+};
+
+/// @name Indexes
+/// @description Handles Global Secondary Index (GSI) operations, indexes are managed w/ N1QL so a node running the
+/// query service is required
+/// @reference https://developer.couchbase.com/documentation/server/5.0/indexes/gsi-for-n1ql.html
+/// @type {class}
+export default class Indexes extends Base {
+  ///# @name constructor
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   cluster_host: 'localhost', // the hostname / ip address of a node in the cluster
+  ///#   cluster_port: 8091, // the port to use, defaults to 8091
+  ///#   cluster_protocol: 'http', // the http protocol to use, defaults to http
+  ///#   password: '', // the cluster admin password
+  ///#   username: '', // the cluster admin username
+  ///# }
+  ///# ```
+  constructor({
+    ...options
+  } = {}) {
+    super(options);
+  }
+
+  ///# @name list
+  ///# @description Gets all of the indexes and their status, i.e. `[ { index, bucket, status, progress, hosts, definition } ]`
+  ///# the status is one of: Created (deferred), Building, Ready
+  ///# @arg {string} bucket [''] - Only get the indexes of a bucket
+  ///# @async
+  async list(bucket) {
+    debug('list');
+    debug(`  bucket: ${bucket}`);
+    const { indexes = [] } = await this.get('/indexStatus');
+    return bucket ? indexes.filter((index) => index.bucket === bucket) : indexes;
+  }
+
+  ///# @name create
+  ///# @description Creates a secondary index
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   bucket: '', // the name of the bucket
+  ///#   name: '', // the name of the index
+  ///#   fields: [], // an array of the index keys, they are N1QL expressions i.e. [ 'type', 'LOWER(name)' ]
+  ///#   where: '', // a N1QL expression to create a partial index
+  ///#   defer_build: false, // whether or not to wait for `build()` to be called before building the index
+  ///#   nodes: [], // the nodes to place the index on, i.e. [ '10.0.0.1:8091' ]
+  ///# }
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/n1ql/n1ql-language-reference/createindex.html
+  ///# @async
+  async create({
+    bucket,
+    name,
+    fields = [],
+    where,
+    defer_build = false,
+    nodes = [],
+  } = {}) {
+    debug('create');
+    debug(`  bucket: ${bucket}`);
+    debug(`  name: ${name}`);
+    if (isString(fields)) {
+      fields = [ fields ];
+    }
+    let statement = `CREATE INDEX ${identifier(name)} ON ${identifier(bucket)}(${fields.join(', ')})`;
+    if (where) {
+      statement += ` WHERE ${where}`;
+    }
+    await this.execute(`${statement} USING GSI${withClause({ defer_build, nodes })}`);
+    return this;
+  }
+
+  ///# @name createPrimary
+  ///# @description Creates a primary index
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   bucket: '', // the name of the bucket
+  ///#   name: '#primary', // the name of the index
+  ///#   defer_build: false, // whether or not to wait for `build()` to be called before building the index
+  ///#   nodes: [], // the nodes to place the index on, i.e. [ '10.0.0.1:8091' ]
+  ///# }
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/n1ql/n1ql-language-reference/createprimaryindex.html
+  ///# @async
+  async createPrimary({
+    bucket,
+    name,
+    defer_build = false,
+    nodes = [],
+  } = {}) {
+    debug('createPrimary');
+    debug(`  bucket: ${bucket}`);
+    debug(`  name: ${name}`);
+    const statement = `CREATE PRIMARY INDEX ${name ? `${identifier(name)} ` : ''}ON ${identifier(bucket)}`;
+    await this.execute(`${statement} USING GSI${withClause({ defer_build, nodes })}`);
+    return this;
+  }
+
+  ///# @name build
+  ///# @description Builds deferred indexes in a single batch, which only scans the bucket once
+  ///# @arg {string} bucket - The name of the bucket
+  ///# @arg {array} names [] - The names of the indexes to build, defaults to all of the deferred indexes on the bucket
+  ///# @returns {array} - The names of the indexes that are being built
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/n1ql/n1ql-language-reference/build-index.html
+  ///# @async
+  async build(bucket, names = []) {
+    debug('build');
+    debug(`  bucket: ${bucket}`);
+    if (isString(names)) {
+      names = [ names ];
+    }
+    if (!names.length) {
+      names = (await this.list(bucket))
+        .filter(({ status }) => status === 'Created')
+        .map(({ index }) => index);
+    }
+    debug(`  names: ${names.join(', ')}`);
+    if (names.length) {
+      await this.execute(`BUILD INDEX ON ${identifier(bucket)}(${names.map(identifier).join(', ')}) USING GSI`);
+    }
+    return names;
+  }
+
+  ///# @name drop
+  ///# @description Drops an index
+  ///# @arg {string} bucket - The name of the bucket
+  ///# @arg {string} name ['#primary'] - The name of the index
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/n1ql/n1ql-language-reference/dropindex.html
+  ///# @async
+  async drop(bucket, name = '#primary') {
+    debug('drop');
+    debug(`  bucket: ${bucket}`);
+    debug(`  name: ${name}`);
+    await this.execute(`DROP INDEX ${identifier(bucket)}.${identifier(name)} USING GSI`);
+    return this;
+  }
+
+  ///# @name waitUntilOnline
+  ///# @description Waits until indexes have been built and are ready to be used
+  ///# @arg {string} bucket - The name of the bucket
+  ///# @arg {array} names [] - The names of the indexes to wait for, defaults to all of the indexes on the bucket
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   interval: 1000, // the number of milliseconds between checks
+  ///#   timeout: 0, // the number of milliseconds to wait before giving up, 0 waits forever
+  ///# }
+  ///# ```
+  ///# @throws {TimeoutError} - When the indexes are not online within the timeout
+  ///# @async
+  async waitUntilOnline(bucket, names = [], {
+    interval = 1000,
+    timeout = 0,
+  } = {}) {
+    debug('waitUntilOnline');
+    debug(`  bucket: ${bucket}`);
+    if (isString(names)) {
+      names = [ names ];
+    }
+    await poll(async () => {
+      const indexes = await this.list(bucket);
+      if (!names.length) {
+        return indexes.every(({ status }) => status === 'Ready');
+      }
+      return names.every((index) => {
+        const { status } = find(indexes, { index }) || {};
+        return status === 'Ready';
+      });
+    }, {
+      interval,
+      timeout,
+      message: `Indexes on ${bucket} were not online within ${timeout}ms`,
+    });
+    return this;
+  }
+
+  ///# @name settings
+  ///# @description Gets the settings of the index service
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/get-settings-indexes.html
+  ///# @async
+  settings() {
+    debug('settings');
+    return this.get('/settings/indexes');
+  }
+
+  ///# @name updateSettings
+  ///# @description Updates the settings of the index service, the storage mode can only be changed while there are no
+  ///# index nodes in the cluster
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   storage_mode: 'forestdb', // the storage mode, can be: forestdb, memory_optimized, plasma
+  ///#   threads: 0, // the number of indexer threads, 0 uses the number of cpus
+  ///#   log_level: 'info', // the log level, can be: silent, fatal, error, warn, info, verbose, timing, debug, trace
+  ///#   max_rollback_points: 5, // the maximum number of rollback points
+  ///#   memory_snapshot_interval: 200, // the number of milliseconds between in-memory snapshots
+  ///#   stable_snapshot_interval: 5000, // the number of milliseconds between persisted snapshots
+  ///# }
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/post-settings-indexes.html
+  ///# @async
+  updateSettings(settings = {}) {
+    debug('updateSettings');
+    const form = reduce(settings, (previous, value, key) => {
+      if (settings_map[key] && value !== undefined) {
+        previous[settings_map[key]] = value;
+      }
+      return previous;
+    }, {});
+    debug(`  settings: ${JSON.stringify(form)}`);
+    return this.post('/settings/indexes', {
+      form,
+    });
+  }
+
+  ///# @name optionsFromSettings
+  ///# @description Converts the settings from the server into the options used by `updateSettings()`
+  ///# @arg {object} settings [{}] - The settings returned by `settings()`
+  ///# @returns {object}
+  optionsFromSettings(settings = {}) {
+    const option_keys = invert(settings_map);
+    return reduce(settings, (previous, value, key) => {
+      if (option_keys[key]) {
+        previous[option_keys[key]] = value;
+      }
+      return previous;
+    }, {});
+  }
+
+  ///# @name execute
+  ///# @description Runs an index statement on a node running the query service
+  ///# @arg {string} statement - The N1QL statement to run
+  ///# @async
+  execute(statement) {
+    return new Query(this.connection()).execute(statement);
+  }
+}
+
+// escapes a bucket or index name
+function identifier(name) {
+  return `\`${name.replace(/`/g, '``')}\``;
+}
+
+// builds the WITH clause of an index statement
+function withClause({ defer_build, nodes }) {
+  const options = {};
+  if (defer_build) {
+    options.defer_build = true;
+  }
+  if (isString(nodes)) {
+    nodes = [ nodes ];
+  }
+  if (nodes.length) {
+    options.nodes = nodes;
+  }
+  return Object.keys(options).length ? ` WITH ${JSON.stringify(options)}` : '';
+}
@@ -0,0 +1,81 @@
+////
+/// @author Aaron Benton
+/// @page app/middleware
+////
+const debug = require('debug')('couchbase-rest-sdk:requests');
+import {
+  isArray,
+  isPlainObject,
+  mapValues,
+} from 'lodash';
+
+// the keys of credentials and other secrets
+const secret_keys = [
+  'auth',
+  'authorization',
+  'cookie',
+  'email_pass',
+  'emailpass',
+  'pass',
+  'password',
+  'sasl_password',
+  'saslpassword',
+  'secret',
+  'token',
+  'user',
+  'username',
+];
+
+///# @name redact
+///# @description Replaces the values of credentials and other secrets, i.e. passwords, usernames and auth headers
+///# @arg {*} value - The value to redact, objects and arrays are redacted recursively
+///# @arg {string} replacement ['<redacted>'] - The value secrets are replaced with
+///# @returns {*} - A copy of the value
+export function redact(value, replacement = '<redacted>') {
+  if (isArray(value)) {
+    return value.map((item) => redact(item, replacement));
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  return mapValues(value, (item, key) => (secret_keys.includes(key.toLowerCase()) && item ? replacement : redact(item, replacement)));
+}
+
+///# @name runHooks
+///# @description Passes a value through a hook of each middleware in order, a hook can return a new value to replace it
+///# @arg {array} middleware - The middleware to run
+///# @arg {string} hook - The name of the hook, can be: beforeRequest, afterResponse
+///# @arg {*} value - The request options or the result
+///# @arg {object} context - `{ method, endpoint, attempt, started, instance }`
+///# @returns {*} - The value returned by the last hook that returned one
+///# @async
+export async function runHooks(middleware, hook, value, context) {
+  for (const item of middleware) {
+    if (typeof item[hook] === 'function') {
+      const result = await item[hook](value, context);
+      if (result !== undefined) {
+        value = result;
+      }
+    }
+  }
+  return value;
+}
+
+///# @name logger
+///# @description The default middleware, it logs each request, its timing and any errors w/ `debug` and redacts the
+///#   credentials and other secrets before anything is logged
+export const logger = {
+  beforeRequest({ method, uri, qs, form, body, headers }, { attempt }) {
+    debug(`${method} ${uri}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+    debug(`  query: ${JSON.stringify(redact(qs), null, 2)}`);
+    debug(`  form: ${JSON.stringify(redact(form), null, 2)}`);
+    debug(`  body: ${JSON.stringify(redact(body), null, 2)}`);
+    debug(`  headers: ${JSON.stringify(redact(headers), null, 2)}`);
+  },
+  afterResponse(result, { method, endpoint, started }) {
+    debug(`${method} ${endpoint} completed in ${Date.now() - started}ms`);
+  },
+  onError(error, { method, endpoint, started }) {
+    debug(`${method} ${endpoint} failed in ${Date.now() - started}ms: ${error.name} ${error.message}`);
+  },
+};
@@ -0,0 +1,969 @@
+/* eslint-disable max-lines */
+////
+/// @author Aaron Benton
+/// @page app/mock-cluster
+////
+const debug = require('debug')('couchbase-rest-sdk:MockCluster');
+import http from 'http';
+import querystring from 'querystring';
+import url from 'url';
+import Cluster from './cluster';
+import {
+  extend,
+  find,
+  get,
+  isEmpty,
+  omit,
+  pick,
+  sortBy,
+  sumBy,
+} from 'lodash';
+
+// the version the mock nodes report
+const version = '5.0.0-3519-enterprise';
+
+// the services a node can run
+const valid_services = [ 'kv', 'n1ql', 'index', 'fts' ];
+
+// the eviction policies allowed for each bucket type, memcached buckets don't have one
+const eviction_policies = {
+  membase: [ 'valueOnly', 'fullEviction' ],
+  ephemeral: [ 'noEviction', 'nruEviction' ],
+};
+
+// the storage modes of the index service
+const storage_modes = [ 'forestdb', 'memory_optimized', 'plasma' ];
+
+// the server writes 4 newlines after each config in a streaming response
+const separator = '\n\n\n\n';
+
+// the routes of the mock server, the handler is the name of a MockCluster method that is passed the request and the
+// captured parts of the path, streaming routes keep the response open and send the result again whenever it changes
+const routes = [
+  [ 'GET', /^\/pools$/, 'getPools' ],
+  [ 'GET', /^\/pools\/default$/, 'getPool' ],
+  [ 'GET', /^\/poolsStreaming\/default$/, 'getPool', true ],
+  [ 'POST', /^\/pools\/default$/, 'updatePool' ],
+  [ 'POST', /^\/settings\/web$/, 'updateCredentials' ],
+  [ 'POST', /^\/nodes\/self\/controller\/settings$/, 'updatePaths' ],
+  [ 'POST', /^\/node\/controller\/rename$/, 'renameNode' ],
+  [ 'POST', /^\/node\/controller\/setupServices$/, 'setupServices' ],
+  [ 'POST', /^\/controller\/addNode$/, 'addNode' ],
+  [ 'POST', /^\/controller\/ejectNode$/, 'ejectNode' ],
+  [ 'POST', /^\/controller\/(failOver|startGracefulFailover)$/, 'failover' ],
+  [ 'POST', /^\/controller\/setRecoveryType$/, 'setRecoveryType' ],
+  [ 'POST', /^\/controller\/rebalance$/, 'rebalance' ],
+  [ 'POST', /^\/controller\/stopRebalance$/, 'stopRebalance' ],
+  [ 'GET', /^\/pools\/default\/rebalanceProgress$/, 'getRebalanceProgress' ],
+  [ 'GET', /^\/pools\/default\/tasks$/, 'getTasks' ],
+  [ 'GET', /^\/pools\/default\/serverGroups$/, 'getServerGroups' ],
+  [ 'POST', /^\/pools\/default\/serverGroups$/, 'createServerGroup' ],
+  [ 'PUT', /^\/pools\/default\/serverGroups$/, 'updateServerGroups' ],
+  [ 'PUT', /^\/pools\/default\/serverGroups\/([^/]+)$/, 'renameServerGroup' ],
+  [ 'DELETE', /^\/pools\/default\/serverGroups\/([^/]+)$/, 'removeServerGroup' ],
+  [ 'POST', /^\/pools\/default\/serverGroups\/([^/]+)\/addNode$/, 'addNode' ],
+  [ 'GET', /^\/pools\/default\/buckets$/, 'getBuckets' ],
+  [ 'POST', /^\/pools\/default\/buckets$/, 'createBucket' ],
+  [ 'GET', /^\/pools\/default\/buckets\/([^/]+)$/, 'getBucket' ],
+  [ 'GET', /^\/pools\/default\/bucketsStreaming\/([^/]+)$/, 'getBucket', true ],
+  [ 'POST', /^\/pools\/default\/buckets\/([^/]+)$/, 'updateBucket' ],
+  [ 'DELETE', /^\/pools\/default\/buckets\/([^/]+)$/, 'removeBucket' ],
+  [ 'POST', /^\/pools\/default\/buckets\/([^/]+)\/controller\/doFlush$/, 'flushBucket' ],
+  [ 'POST', /^\/pools\/default\/buckets\/([^/]+)\/controller\/(compactBucket|cancelBucketCompaction)$/, 'compactBucket' ],
+  [ 'GET', /^\/settings\/autoFailover$/, 'getAutoFailover' ],
+  [ 'POST', /^\/settings\/autoFailover$/, 'updateAutoFailover' ],
+  [ 'POST', /^\/settings\/autoFailover\/resetCount$/, 'resetAutoFailoverCount' ],
+  [ 'GET', /^\/settings\/alerts$/, 'getAlerts' ],
+  [ 'POST', /^\/settings\/alerts$/, 'updateAlerts' ],
+  [ 'GET', /^\/internalSettings$/, 'getInternalSettings' ],
+  [ 'POST', /^\/internalSettings$/, 'updateInternalSettings' ],
+  [ 'GET', /^\/settings\/indexes$/, 'getIndexSettings' ],
+  [ 'POST', /^\/settings\/indexes$/, 'updateIndexSettings' ],
+];
+
+// an error response from the mock server
+class MockError extends Error {
+  constructor(status, body) {
+    super(`Mock response ${status}`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/// @name MockCluster
+/// @description An in-process mock of the Couchbase REST api for tests, it keeps the pools, nodes, buckets, server groups
+/// and settings in memory and validates requests the way the server does. Requests to endpoints that are not mocked
+/// respond w/ a 404
+/// @type {class}
+export default class MockCluster {
+  ///# @name constructor
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   host: '127.0.0.1', // the host to listen on
+  ///#   port: 0, // the port to listen on, 0 picks a free port
+  ///#   username: 'Administrator', // the admin username once the cluster is initialized
+  ///#   password: 'password', // the admin password once the cluster is initialized
+  ///#   initialized: false, // whether or not the credentials have been set, until then requests are not authenticated
+  ///#   services: 'kv', // the services of the first node
+  ///#   kv_memory: 256, // the memory quota of the kv / data service
+  ///# }
+  ///# ```
+  constructor({
+    host = '127.0.0.1',
+    port = 0,
+    username = 'Administrator',
+    password = 'password',
+    initialized = false,
+    services = 'kv',
+    kv_memory = 256,
+  } = {}) {
+    this.host = host;
+    this.port = port;
+    this.username = username;
+    this.password = password;
+    this.initialized = initialized;
+    // every request the server has handled, i.e. { method, endpoint, query, form, body, status }
+    this.requests = [];
+    // the open streaming responses, i.e. { res, send, last }
+    this.streams = [];
+    this.state = {
+      cluster_name: '',
+      memory: { memoryQuota: kv_memory, indexMemoryQuota: 256, ftsMemoryQuota: 256 },
+      nodes: [],
+      server_groups: [ { name: 'Group 1', uuid: '0' } ],
+      server_groups_rev: 1,
+      next_group: 1,
+      buckets: [],
+      auto_failover: { enabled: false, timeout: 120, count: 0 },
+      alerts: {
+        enabled: false,
+        sender: 'couchbase@localhost',
+        recipients: [ 'root@localhost' ],
+        alerts: [],
+        emailServer: { host: 'localhost', port: 25, user: '', pass: '', encrypt: false },
+      },
+      internal_settings: {
+        indexAwareRebalanceDisabled: false,
+        rebalanceIndexWaitingDisabled: false,
+        rebalanceIndexPausingDisabled: false,
+        rebalanceIgnoreViewCompactions: false,
+        rebalanceMovesPerNode: 1,
+        rebalanceMovesBeforeCompaction: 64,
+        maxParallelIndexers: 4,
+        maxParallelReplicaIndexers: 2,
+        maxBucketCount: 10,
+        gotraceback: 'crash',
+        indexAutoFailoverDisabled: true,
+        certUseSha1: false,
+        capiRequestLimit: null,
+        restRequestLimit: null,
+      },
+      index_settings: {
+        storageMode: '',
+        indexerThreads: 0,
+        logLevel: 'info',
+        maxRollbackPoints: 5,
+        memorySnapshotInterval: 200,
+        stableSnapshotInterval: 5000,
+      },
+      paths: { path: '/opt/couchbase/var/lib/couchbase/data', index_path: '/opt/couchbase/var/lib/couchbase/data' },
+      rebalance_status: 'none',
+    };
+    this.services = services;
+  }
+
+  ///# @name listen
+  ///# @description Starts the server, the first node's hostname uses the port that is being listened on
+  ///# @returns {MockCluster}
+  ///# @async
+  listen() {
+    debug('listen');
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        debug(`  port: ${this.port}`);
+        if (!this.state.nodes.length) {
+          this.state.nodes.push(node({
+            hostname: `${this.host}:${this.port}`,
+            services: this.services.split(','),
+            membership: 'active',
+            group: '0',
+            this_node: true,
+          }));
+        }
+        resolve(this);
+      });
+    });
+  }
+
+  ///# @name close
+  ///# @description Stops the server
+  ///# @async
+  close() {
+    debug('close');
+    // the server doesn't stop until every response has ended
+    this.streams.forEach(({ res }) => res.end());
+    this.streams = [];
+    return new Promise((resolve) => {
+      if (!this.server) {
+        return resolve();
+      }
+      this.server.close(() => resolve());
+    });
+  }
+
+  ///# @name connection
+  ///# @description Gets the options to connect to the mock server w/, i.e. `new RestApi(mock.connection())`
+  ///# @returns {object}
+  connection() {
+    return {
+      cluster_host: this.host,
+      cluster_port: this.port,
+      cluster_protocol: 'http',
+      username: this.username,
+      password: this.password,
+    };
+  }
+
+  ///# @name cluster
+  ///# @description Gets an instance of the Cluster class that is connected to the mock server
+  ///# @returns {Cluster}
+  cluster() {
+    return new Cluster(this.connection());
+  }
+
+  ///# @name handle
+  ///# @description Handles a request to the mock server
+  ///# @arg {IncomingMessage} req - The request
+  ///# @arg {ServerResponse} res - The response
+  handle(req, res) {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const { pathname, query } = url.parse(req.url, true);
+      const request = { method: req.method, endpoint: pathname, query, form: {}, body: undefined };
+      if (/json/.test(req.headers['content-type'])) {
+        request.body = parseJson(raw);
+      } else if (raw) {
+        request.form = querystring.parse(raw);
+      }
+      let status = 200;
+      let body;
+      let stream;
+      try {
+        if (this.initialized && !authorized(req.headers.authorization, this.username, this.password)) {
+          throw new MockError(401, '');
+        }
+        const [ , , handler, streaming, ...args ] = route(req.method, pathname);
+        if (!handler) {
+          throw new MockError(404, 'Not found.');
+        }
+        const send = () => this[handler](request, ...args.map(decodeURIComponent));
+        body = send();
+        if (streaming) {
+          stream = { res, send, last: JSON.stringify(body) };
+        }
+      } catch (err) {
+        // anything unexpected is reported the way the server reports its own crashes
+        status = err instanceof MockError ? err.status : 500;
+        body = err instanceof MockError ? err.body : { error: err.message };
+      }
+      debug(`${req.method} ${pathname} ${status}`);
+      this.requests.push(extend(request, { status }));
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      if (stream) {
+        res.write(`${stream.last}${separator}`);
+        this.streams.push(stream);
+        res.on('close', () => {
+          this.streams = this.streams.filter((item) => item !== stream);
+        });
+        return;
+      }
+      res.end(body === undefined ? '' : JSON.stringify(body));
+      if (req.method !== 'GET') {
+        this.notify();
+      }
+    });
+  }
+
+  ///# @name notify
+  ///# @description Sends the streaming responses their result again when it has changed, it is called after every
+  ///#   request that isn't a GET, call it after changing `state` directly, i.e. the status of a node
+  notify() {
+    this.streams = this.streams.filter((stream) => {
+      let body;
+      try {
+        body = JSON.stringify(stream.send());
+      } catch (err) {
+        // the server ends the stream when the resource is gone, i.e. a removed bucket
+        stream.res.end();
+        return false;
+      }
+      if (body !== stream.last) {
+        stream.last = body;
+        stream.res.write(`${body}${separator}`);
+      }
+      return true;
+    });
+  }
+
+  // pools
+
+  getPools() {
+    return {
+      isEnterprise: true,
+      implementationVersion: version,
+      pools: this.initialized ? [ { name: 'default', uri: '/pools/default?uuid=mock', streamingUri: '/poolsStreaming/default' } ] : [],
+    };
+  }
+
+  getPool() {
+    if (!this.initialized) {
+      throw new MockError(404, 'unknown pool');
+    }
+    return extend({
+      name: 'default',
+      clusterName: this.state.cluster_name,
+      nodes: this.state.nodes.map(nodeDetails),
+      buckets: { uri: '/pools/default/buckets' },
+      serverGroupsUri: `/pools/default/serverGroups?rev=${this.state.server_groups_rev}`,
+      rebalanceStatus: this.state.rebalance_status,
+    }, this.state.memory);
+  }
+
+  updatePool({ form }) {
+    const errors = {};
+    const memory = pick(form, [ 'memoryQuota', 'indexMemoryQuota', 'ftsMemoryQuota' ]);
+    const minimums = { memoryQuota: 100, indexMemoryQuota: 256, ftsMemoryQuota: 256 };
+    Object.keys(memory).forEach((key) => {
+      const value = Number(memory[key]);
+      if (!isInteger(memory[key]) || value < minimums[key]) {
+        errors[key] = `The ${key} quota is too small. The minimum is ${minimums[key]}MB.`;
+      }
+      memory[key] = value;
+    });
+    if (memory.memoryQuota && memory.memoryQuota < sumBy(this.state.buckets, 'ram_size')) {
+      errors.memoryQuota = 'The memory quota is smaller than the total RAM quota of the buckets.';
+    }
+    if (form.clusterName !== undefined && form.clusterName.length > 256) {
+      errors.clusterName = 'Cluster name must be 256 characters or less.';
+    }
+    invalid(errors);
+    extend(this.state.memory, memory);
+    if (form.clusterName !== undefined) {
+      this.state.cluster_name = form.clusterName;
+    }
+    return {};
+  }
+
+  // node provisioning
+
+  updateCredentials({ form }) {
+    const errors = [];
+    if (!form.username) {
+      errors.push('Username must not be empty');
+    }
+    if (!form.password || form.password.length < 6) {
+      errors.push('The password must be at least six characters.');
+    }
+    if (form.port !== 'SAME' && !isInteger(form.port)) {
+      errors.push('Port must be a number.');
+    }
+    invalid(errors);
+    this.username = form.username;
+    this.password = form.password;
+    this.initialized = true;
+    return { newBaseUri: `http://${this.host}:${this.port}/` };
+  }
+
+  updatePaths({ form }) {
+    if (this.initialized && this.state.nodes.length > 1) {
+      invalid([ 'Changing paths of nodes that are part of provisioned cluster is not supported' ]);
+    }
+    extend(this.state.paths, pick(form, [ 'path', 'index_path' ]));
+    return {};
+  }
+
+  renameNode({ form }) {
+    invalid(this.state.nodes.length > 1 ? [ 'Renaming is disallowed for nodes that are already part of a cluster' ] : []);
+    invalid(!form.hostname ? [ 'The hostname must not be empty' ] : []);
+    const self = find(this.state.nodes, { this_node: true });
+    self.hostname = `${form.hostname}:${this.port}`;
+    self.otp_node = `ns_1@${form.hostname}`;
+    return {};
+  }
+
+  setupServices({ form }) {
+    const services = (form.services || '').split(',').filter(Boolean);
+    invalid(this.initialized ? [ 'services are already configured' ] : []);
+    invalid(serviceErrors(services));
+    find(this.state.nodes, { this_node: true }).services = services;
+    return {};
+  }
+
+  // nodes and rebalance
+
+  addNode({ form }, uuid) {
+    let group = '0';
+    if (uuid !== undefined) {
+      if (!find(this.state.server_groups, { uuid })) {
+        throw new MockError(404, 'Server group not found');
+      }
+      group = uuid;
+    }
+    const hostname = (form.hostname || '').replace(/^https?:\/\//, '');
+    const services = (form.services || 'kv').split(',').filter(Boolean);
+    const errors = serviceErrors(services);
+    if (!hostname) {
+      errors.push('Hostname is required.');
+    } else if (this.findNode(hostname)) {
+      errors.push('Node is already part of cluster.');
+    }
+    if (form.user !== this.username || form.password !== this.password) {
+      errors.push('Authentication failed. Verify username and password.');
+    }
+    invalid(errors);
+    const added = node({ hostname: hostname.includes(':') ? hostname : `${hostname}:8091`, services, membership: 'inactiveAdded', group });
+    this.state.nodes.push(added);
+    this.state.server_groups_rev++;
+    return { otpNode: added.otp_node };
+  }
+
+  ejectNode({ form }) {
+    const target = this.findNode(form.otpNode);
+    if (!target) {
+      throw new MockError(400, 'Unknown server given.');
+    }
+    if (target.this_node || target.membership === 'active') {
+      throw new MockError(400, 'Only failed over or newly added nodes can be ejected, rebalance to remove an active node.');
+    }
+    this.state.nodes = this.state.nodes.filter((item) => item !== target);
+    this.state.server_groups_rev++;
+    return {};
+  }
+
+  failover({ form }) {
+    const target = this.findNode(form.otpNode);
+    if (!target) {
+      throw new MockError(404, 'Unknown server given.');
+    }
+    if (target.membership !== 'active') {
+      throw new MockError(400, 'Only active nodes can be failed over.');
+    }
+    if (this.state.nodes.filter(({ membership }) => membership === 'active').length === 1) {
+      throw new MockError(400, 'Last active node cannot be failed over.');
+    }
+    target.membership = 'inactiveFailed';
+    target.recovery_type = 'none';
+    return {};
+  }
+
+  setRecoveryType({ form }) {
+    const target = this.findNode(form.otpNode);
+    const errors = {};
+    if (!target || target.membership !== 'inactiveFailed') {
+      errors.otpNode = 'invalid node name or node can not be used for delta recovery';
+    }
+    if (![ 'full', 'delta' ].includes(form.recoveryType)) {
+      errors.recoveryType = 'recovery type must be either \'delta\' or \'full\'';
+    }
+    invalid(errors);
+    target.recovery_type = form.recoveryType;
+    return {};
+  }
+
+  rebalance({ form }) {
+    const known = (form.knownNodes || '').split(',').filter(Boolean).sort();
+    const ejected = (form.ejectedNodes || '').split(',').filter(Boolean);
+    const otp_nodes = this.state.nodes.map(({ otp_node }) => otp_node).sort();
+    if (known.join(',') !== otp_nodes.join(',') || ejected.some((otp_node) => !otp_nodes.includes(otp_node))) {
+      throw new MockError(400, { mismatch: 1 });
+    }
+    if (ejected.length === otp_nodes.length) {
+      throw new MockError(400, 'Cannot eject every node from the cluster.');
+    }
+    // the rebalance completes immediately, failed over nodes that were not recovered are removed as well
+    this.state.nodes = this.state.nodes.filter(({ otp_node, membership, recovery_type }) => {
+      return !ejected.includes(otp_node) && (membership !== 'inactiveFailed' || recovery_type !== 'none');
+    });
+    this.state.nodes.forEach((item) => {
+      item.membership = 'active';
+      item.recovery_type = 'none';
+    });
+    this.state.server_groups_rev++;
+    return {};
+  }
+
+  stopRebalance() {
+    this.state.rebalance_status = 'none';
+    return {};
+  }
+
+  // rebalances complete immediately, a running rebalance can be set in the state, i.e.
+  // `state.rebalance_status = 'running'` w/ `state.rebalance_progress = { 'ns_1@host': { progress: 0.5 } }`
+  getRebalanceProgress() {
+    if (this.state.rebalance_status !== 'running') {
+      return { status: 'none' };
+    }
+    return extend({ status: 'running' }, this.state.rebalance_progress);
+  }
+
+  getTasks() {
+    const task = { type: 'rebalance', status: this.state.rebalance_status === 'running' ? 'running' : 'notRunning', statusIsStale: false };
+    // the reason the last rebalance failed
+    if (this.state.rebalance_error) {
+      task.errorMessage = this.state.rebalance_error;
+    }
+    return [ task ];
+  }
+
+  // server groups
+
+  getServerGroups() {
+    return {
+      groups: this.state.server_groups.map(({ name, uuid }) => ({
+        name,
+        uri: `/pools/default/serverGroups/${uuid}`,
+        addNodeURI: `/pools/default/serverGroups/${uuid}/addNode`,
+        nodes: this.state.nodes.filter(({ group }) => group === uuid).map(nodeDetails),
+      })),
+      uri: `/pools/default/serverGroups?rev=${this.state.server_groups_rev}`,
+    };
+  }
+
+  createServerGroup({ form }) {
+    invalid(groupNameErrors(form.name, this.state.server_groups));
+    this.state.server_groups.push({ name: form.name, uuid: String(this.state.next_group++) });
+    this.state.server_groups_rev++;
+    return {};
+  }
+
+  renameServerGroup({ form }, uuid) {
+    const group = this.findGroup(uuid);
+    invalid(groupNameErrors(form.name, this.state.server_groups.filter((item) => item !== group)));
+    group.name = form.name;
+    this.state.server_groups_rev++;
+    return {};
+  }
+
+  removeServerGroup(request, uuid) {
+    const group = this.findGroup(uuid);
+    if (this.state.nodes.some((item) => item.group === uuid)) {
+      throw new MockError(400, '_: group is not empty');
+    }
+    this.state.server_groups = this.state.server_groups.filter((item) => item !== group);
+    this.state.server_groups_rev++;
+    return {};
+  }
+
+  updateServerGroups({ query, body = {} }) {
+    // the revision makes sure the groups have not changed since they were read
+    if (String(query.rev) !== String(this.state.server_groups_rev)) {
+      throw new MockError(409, 'Server groups have been changed since they were read, get them again and retry.');
+    }
+    const groups = body.groups || [];
+    const uuids = groups.map(({ uri = '' }) => uri.replace(/^.*\//, ''));
+    const membership = {};
+    groups.forEach(({ nodes = [] }, index) => {
+      nodes.forEach(({ otpNode }) => {
+        membership[otpNode] = membership[otpNode] === undefined ? uuids[index] : null;
+      });
+    });
+    const otp_nodes = this.state.nodes.map(({ otp_node }) => otp_node);
+    const valid = uuids.length === this.state.server_groups.length &&
+      uuids.every((uuid) => find(this.state.server_groups, { uuid })) &&
+      otp_nodes.every((otp_node) => membership[otp_node]) &&
+      Object.keys(membership).length === otp_nodes.length;
+    if (!valid) {
+      throw new MockError(400, 'Bad input, every server group and every node must be given and each node must be in one group.');
+    }
+    this.state.nodes.forEach((item) => {
+      item.group = membership[item.otp_node];
+    });
+    this.state.server_groups_rev++;
+    return {};
+  }
+
+  // buckets
+
+  getBuckets() {
+    return this.state.buckets.map((bucket) => this.bucketDetails(bucket));
+  }
+
+  getBucket(request, name) {
+    return this.bucketDetails(this.findBucket(name));
+  }
+
+  createBucket({ form, query }) {
+    const params = bucketParams(form);
+    const errors = this.bucketErrors(params);
+    if (!params.name) {
+      errors.name = 'Bucket name cannot be empty';
+    } else if (!/^[A-Za-z0-9._%-]+$/.test(params.name) || params.name.length > 100) {
+      errors.name = 'Bucket name can only contain characters in range A-Z, a-z, 0-9 as well as underscore, period, dash & percent.';
+    } else if (find(this.state.buckets, { name: params.name })) {
+      errors.name = 'Bucket with given name already exists';
+    }
+    if (this.state.buckets.length >= this.state.internal_settings.maxBucketCount) {
+      errors._ = `Cannot create more than ${this.state.internal_settings.maxBucketCount} buckets`;
+    }
+    invalid(errors, true);
+    if (String(query.just_validate) !== '1') {
+      this.state.buckets.push(params);
+    }
+    return {};
+  }
+
+  updateBucket({ form }, name) {
+    const bucket = this.findBucket(name);
+    const params = bucketParams(form, bucket);
+    const errors = this.bucketErrors(params, bucket);
+    [ 'bucketType', 'conflictResolutionType', 'replicaIndex' ].forEach((key) => {
+      if (form[key] !== undefined && String(form[key]) !== String(bucket[key])) {
+        errors[key] = `${key} cannot be changed once the bucket has been created`;
+      }
+    });
+    invalid(errors, true);
+    extend(bucket, omit(params, [ 'name' ]));
+    return {};
+  }
+
+  removeBucket(request, name) {
+    const bucket = this.findBucket(name);
+    this.state.buckets = this.state.buckets.filter((item) => item !== bucket);
+    return {};
+  }
+
+  flushBucket(request, name) {
+    const bucket = this.findBucket(name);
+    if (!bucket.flushEnabled) {
+      throw new MockError(400, { _: 'Flush is disabled for the bucket' });
+    }
+    bucket.item_count = 0;
+    return {};
+  }
+
+  compactBucket(request, name) {
+    this.findBucket(name);
+    return {};
+  }
+
+  // settings
+
+  getAutoFailover() {
+    return this.state.auto_failover;
+  }
+
+  updateAutoFailover({ form }) {
+    const errors = {};
+    if (![ 'true', 'false' ].includes(form.enabled)) {
+      errors.enabled = 'The value of "enabled" must be true or false';
+    }
+    if (form.enabled === 'true' && (!isInteger(form.timeout) || form.timeout < 30 || form.timeout > 3600)) {
+      errors.timeout = 'The value of "timeout" must be a positive integer in a range from 30 to 3600';
+    }
+    invalid(errors, true);
+    this.state.auto_failover.enabled = form.enabled === 'true';
+    if (form.timeout !== undefined) {
+      this.state.auto_failover.timeout = Number(form.timeout);
+    }
+    return {};
+  }
+
+  resetAutoFailoverCount() {
+    this.state.auto_failover.count = 0;
+    return {};
+  }
+
+  getAlerts() {
+    return extend({}, this.state.alerts, { emailServer: omit(this.state.alerts.emailServer, [ 'pass' ]) });
+  }
+
+  updateAlerts({ form }) {
+    const errors = {};
+    const email = /^[^@\s]+@[^@\s]+$/;
+    if (form.enabled === 'true') {
+      if (!email.test(form.sender || '')) {
+        errors.sender = 'sender is not a valid email';
+      }
+      if ((form.recipients || '').split(/[\s,]+/).filter(Boolean).some((recipient) => !email.test(recipient))) {
+        errors.recipients = 'recipients must be a comma separated list of valid emails';
+      }
+    }
+    if (form.emailPort !== undefined && (!isInteger(form.emailPort) || form.emailPort < 1 || form.emailPort > 65535)) {
+      errors.emailPort = 'emailPort must be a port number';
+    }
+    invalid(errors, true);
+    this.state.alerts = {
+      enabled: form.enabled === 'true',
+      sender: form.sender,
+      recipients: (form.recipients || '').split(/[\s,]+/).filter(Boolean),
+      alerts: (form.alerts || '').split(',').filter(Boolean),
+      emailServer: {
+        host: form.emailHost,
+        port: Number(form.emailPort),
+        user: form.emailUser,
+        // the stored password is kept when one isn't sent
+        pass: form.emailPass === undefined ? get(this.state.alerts, 'emailServer.pass') : form.emailPass,
+        encrypt: form.emailEncrypt === 'true',
+      },
+    };
+    return {};
+  }
+
+  getInternalSettings() {
+    return this.state.internal_settings;
+  }
+
+  updateInternalSettings({ form }) {
+    const settings = this.state.internal_settings;
+    const errors = {};
+    Object.keys(form).forEach((key) => {
+      if (!settings.hasOwnProperty(key)) {
+        errors[key] = 'Unknown parameter';
+      }
+    });
+    invalid(errors, true);
+    Object.keys(form).forEach((key) => {
+      const value = form[key];
+      if (value === '') {
+        return;
+      }
+      if (value === 'true' || value === 'false') {
+        settings[key] = value === 'true';
+      } else {
+        settings[key] = isInteger(value) ? Number(value) : value;
+      }
+    });
+    return {};
+  }
+
+  getIndexSettings() {
+    return this.state.index_settings;
+  }
+
+  updateIndexSettings({ form }) {
+    const settings = this.state.index_settings;
+    const errors = {};
+    if (form.storageMode !== undefined) {
+      if (!storage_modes.includes(form.storageMode)) {
+        errors.storageMode = `storageMode must be one of ${storage_modes.join(', ')}`;
+      } else if (settings.storageMode && settings.storageMode !== form.storageMode &&
+        this.state.nodes.some(({ services }) => services.includes('index'))) {
+        errors.storageMode = 'Changing the storage mode is not allowed while there are index nodes in the cluster';
+      }
+    }
+    invalid(errors, true);
+    Object.keys(form).forEach((key) => {
+      if (settings.hasOwnProperty(key)) {
+        settings[key] = isInteger(form[key]) ? Number(form[key]) : form[key];
+      }
+    });
+    return settings;
+  }
+
+  // helpers
+
+  // finds a node by its otpNode, which has to match exactly like it does on the server, or hostname w/ or w/o the port
+  findNode(name = '') {
+    if (name.includes('@')) {
+      return find(this.state.nodes, { otp_node: name });
+    }
+    const host = name.replace(/:[0-9]+$/, '');
+    return find(this.state.nodes, ({ hostname }) => hostname.replace(/:[0-9]+$/, '') === host);
+  }
+
+  // finds a server group by its uuid, a 404 is thrown when it does not exist
+  findGroup(uuid) {
+    const group = find(this.state.server_groups, { uuid });
+    if (!group) {
+      throw new MockError(404, 'Server group not found');
+    }
+    return group;
+  }
+
+  // finds a bucket by name, a 404 is thrown when it does not exist
+  findBucket(name) {
+    const bucket = find(this.state.buckets, { name });
+    if (!bucket) {
+      throw new MockError(404, 'Requested resource not found.');
+    }
+    return bucket;
+  }
+
+  // validates the settings of a bucket that is being created or updated
+  bucketErrors(params, current) {
+    const errors = {};
+    const others = sumBy(this.state.buckets.filter((bucket) => bucket !== current), 'ram_size');
+    if (![ 'membase', 'memcached', 'ephemeral' ].includes(params.bucketType)) {
+      errors.bucketType = 'invalid bucket type';
+    }
+    if (isNaN(params.ram_size)) {
+      errors.ramQuotaMB = 'RAM quota must be a number';
+    } else if (params.ram_size < 100) {
+      errors.ramQuotaMB = 'RAM quota cannot be less than 100 MB';
+    } else if (params.ram_size + others > this.state.memory.memoryQuota) {
+      errors.ramQuotaMB = 'RAM quota specified is too large to be provisioned into this cluster.';
+    }
+    if (params.bucketType !== 'memcached') {
+      if (!isInteger(params.replicaNumber) || params.replicaNumber < 0 || params.replicaNumber > 3) {
+        errors.replicaNumber = 'Replicas number must be equal to or less than 3';
+      }
+      const policies = eviction_policies[params.bucketType] || [];
+      if (policies.length && !policies.includes(params.evictionPolicy)) {
+        errors.evictionPolicy = `Eviction policy must be either '${policies.join('\' or \'')}' for ${params.bucketType} buckets`;
+      }
+    }
+    if (![ '3', '8' ].includes(String(params.threadsNumber))) {
+      errors.threadsNumber = 'The number of threads must be 3 or 8';
+    }
+    if (![ 'seqno', 'lww' ].includes(params.conflictResolutionType)) {
+      errors.conflictResolutionType = 'Conflict resolution type must be \'seqno\' or \'lww\'';
+    }
+    return errors;
+  }
+
+  // formats a bucket the way the server returns it
+  bucketDetails(bucket) {
+    const hosts = this.state.nodes.filter(({ membership, services }) => membership === 'active' && services.includes('kv'));
+    return {
+      name: bucket.name,
+      uri: `/pools/default/buckets/${encodeURIComponent(bucket.name)}`,
+      bucketType: bucket.bucketType,
+      authType: 'sasl',
+      replicaNumber: Number(bucket.replicaNumber),
+      replicaIndex: bucket.replicaIndex,
+      threadsNumber: Number(bucket.threadsNumber),
+      evictionPolicy: bucket.evictionPolicy,
+      conflictResolutionType: bucket.conflictResolutionType,
+      quota: { ram: bucket.ram_size * 1024 * 1024 * hosts.length, rawRAM: bucket.ram_size * 1024 * 1024 },
+      controllers: bucket.flushEnabled ? { flush: `/pools/default/buckets/${encodeURIComponent(bucket.name)}/controller/doFlush` } : {},
+      nodes: hosts.map(({ hostname, otp_node, status }) => ({ hostname, otpNode: otp_node, status })),
+      basicStats: { itemCount: bucket.item_count || 0, quotaPercentUsed: 0, opsPerSec: 0, diskUsed: 0, memUsed: 0 },
+      autoCompactionSettings: false,
+    };
+  }
+}
+
+///# @name createMockCluster
+///# @description Creates and starts a mock cluster
+///# @arg {object} options [{}] - The options of the `MockCluster` constructor
+///# @returns {MockCluster}
+///# @async
+export function createMockCluster(options = {}) {
+  return new MockCluster(options).listen();
+}
+
+// creates the state of a node
+function node({ hostname, services, membership, group, this_node = false }) {
+  return {
+    hostname,
+    otp_node: `ns_1@${hostname.replace(/:[0-9]+$/, '')}`,
+    services: sortBy(services),
+    membership,
+    recovery_type: 'none',
+    status: 'healthy',
+    group,
+    this_node,
+  };
+}
+
+// formats a node the way the server returns it
+function nodeDetails(item) {
+  return {
+    hostname: item.hostname,
+    otpNode: item.otp_node,
+    services: item.services,
+    status: item.status,
+    clusterMembership: item.membership,
+    recoveryType: item.recovery_type,
+    thisNode: item.this_node,
+    version,
+    ports: { direct: 11210, proxy: 11211 },
+  };
+}
+
+// converts a bucket form to the state of a bucket, the current settings are used for anything that is not posted
+function bucketParams(form, current = {}) {
+  const value = (key, fallback) => (form[key] === undefined || form[key] === '' ? fallback : form[key]);
+  return {
+    name: value('name', current.name),
+    bucketType: value('bucketType', current.bucketType || 'membase'),
+    ram_size: Number(value('ramQuotaMB', current.ram_size)),
+    replicaNumber: Number(value('replicaNumber', current.replicaNumber === undefined ? 1 : current.replicaNumber)),
+    replicaIndex: String(value('replicaIndex', current.replicaIndex ? '1' : '0')) === '1',
+    threadsNumber: Number(value('threadsNumber', current.threadsNumber || 3)),
+    evictionPolicy: value('evictionPolicy', current.evictionPolicy || 'valueOnly'),
+    conflictResolutionType: value('conflictResolutionType', current.conflictResolutionType || 'seqno'),
+    flushEnabled: String(value('flushEnabled', current.flushEnabled ? '1' : '0')) === '1',
+    item_count: current.item_count || 0,
+  };
+}
+
+// validates a list of services
+function serviceErrors(services) {
+  const unknown = services.filter((service) => !valid_services.includes(service));
+  if (!services.length) {
+    return [ 'At least one service has to be selected' ];
+  }
+  return unknown.length ? [ `Unknown services: ${JSON.stringify(unknown)}` ] : [];
+}
+
+// validates the name of a server group
+function groupNameErrors(name = '', groups) {
+  if (!name.trim()) {
+    return { name: 'name cannot be empty' };
+  }
+  if (name.length > 64) {
+    return { name: 'name cannot be longer than 64 bytes' };
+  }
+  if (find(groups, { name })) {
+    return { name: 'already exists' };
+  }
+  return {};
+}
+
+// throws a 400 when there are errors, the server returns them as a list or keyed by field
+function invalid(errors, nested = false) {
+  if (isEmpty(errors)) {
+    return;
+  }
+  throw new MockError(400, nested ? { errors } : errors);
+}
+
+// finds the route for a request
+function route(method, pathname) {
+  for (const [ route_method, pattern, handler, streaming = false ] of routes) {
+    const match = method === route_method && pattern.exec(pathname);
+    if (match) {
+      return [ route_method, pattern, handler, streaming, ...match.slice(1) ];
+    }
+  }
+  return [];
+}
+
+// whether or not the basic auth header matches the credentials
+function authorized(header = '', username, password) {
+  const [ scheme, encoded = '' ] = header.split(' ');
+  return scheme === 'Basic' && Buffer.from(encoded, 'base64').toString() === `${username}:${password}`;
+}
+
+// whether or not a value is an integer, form values are strings
+function isInteger(value) {
+  return /^-?[0-9]+$/.test(String(value));
+}
+
+// parses a json request body
+function parseJson(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    return undefined;
+  }
+}
@@ -5,7 +5,19 @@
 const debug = require('debug')('couchbase-rest-sdk:Node');
 import Base from './base';
 import {
+  AuthenticationError,
+  NetworkError,
+  ServerError,
+  TimeoutError,
+} from './errors';
+import * as schemas from './schemas';
+import { poll } from './utils';
+import {
+  extend,
+  find,
   get,
+  isObject,
+  pickBy,
 } from 'lodash';
 
 /// @name Node
@@ -37,6 +49,42 @@ export default class Node extends Base {
     this.node_host = node_host;
     this.node_port = node_port;
     this.node_protocol = node_protocol;
+    // the state of the node in the cluster, it is set by `fromDetails()`
+    this.otp_node = null;
+    this.services = [];
+    this.status = null;
+    this.membership = null;
+    this.version = null;
+    this.server_group = null;
+    this.alternate_addresses = {};
+  }
+
+  ///# @name fromDetails
+  ///# @description Sets the state of the node from its details in `Cluster.details()`, this is used by `Cluster.topology()`
+  ///# @arg {object} details - The details of the node, i.e. `{ otpNode, hostname, services, status, ... }`
+  ///# @arg {string} server_group [null] - The name of the server group the node is in
+  ///# @returns {Node}
+  fromDetails({
+    otpNode: otp_node,
+    hostname = '',
+    services = [],
+    status = null,
+    clusterMembership: membership = null,
+    version = null,
+    alternateAddresses: alternate_addresses = {},
+  } = {}, server_group = null) {
+    const [ , host = hostname, port ] = hostname.match(/^(.+):([0-9]+)$/) || [];
+    return extend(this, {
+      node_host: host,
+      node_port: port ? Number(port) : this.node_port,
+      otp_node,
+      services,
+      status,
+      membership,
+      version,
+      server_group,
+      alternate_addresses,
+    });
   }
 
   ///# @name configure
@@ -52,13 +100,15 @@ export default class Node extends Base {
   ///# ```
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-node-provisioning.html
   ///# @async
-  async configure({
-    data_path,
-    hostname,
-    index_path,
-    services,
-  } = {}) {
+  async configure(options = {}) {
     debug('configure');
+    schemas.validate(schemas.configure, options);
+    const {
+      data_path,
+      hostname,
+      index_path,
+      services,
+    } = options;
     debug(`  data_path: ${data_path}`);
     debug(`  hostname: ${hostname}`);
     debug(`  index_path: ${index_path}`);
@@ -154,27 +204,25 @@ export default class Node extends Base {
   ///# @arg {object}
   ///# ```js
   ///# {
-  ///#   node: '['ns_1', // The node to eject
+  ///#   node: 'ns_1', // The node to eject, defaults to the otpNode from the topology or ns_1
   ///#   hostname: '', // The host to eject
   ///# }
   ///# ```
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-cluster-removenode.html
   ///# @async
   eject({
-    node = 'ns_1',
-    hostname = this.node_host,
+    node,
+    hostname,
   } = {}) {
     debug('eject');
-    debug(`  node: ${node}`);
-    debug(`  hostname: ${hostname}`);
-    return this.post('/controller/ejectNode', {
+    const otp_node = otpNode(this, node, hostname);
+    debug(`  otp_node: ${otp_node}`);
+    return this.post('/controller/ejectNode', extend({
       form: {
-        otpNode: `${node}@${hostname}`,
+        otpNode: otp_node,
       },
-      host: this.cluster.cluster_host,
-      protocol: this.cluster.cluster_protocol,
-      port: this.cluster.cluster_port,
-    });
+      idempotent: false,
+    }, clusterHost(this)));
   }
 
   ///# @name failover
@@ -182,30 +230,32 @@ export default class Node extends Base {
   ///# @arg {object}
   ///# ```js
   ///# {
-  ///#   node: '['ns_1', // The node to eject
-  ///#   hostname: '', // The host to eject
+  ///#   graceful: true, // Whether or not to fail over gracefully
+  ///#   node: 'ns_1', // The node to fail over, defaults to the otpNode from the topology or ns_1
+  ///#   hostname: '', // The host to fail over
   ///# }
   ///# ```
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-cluster-removenode.html
   ///# @async
   failover({
     graceful = true,
-    node = 'ns_1',
-    hostname = this.node_host,
+    node,
+    hostname,
   } = {}) {
     debug('failover');
-    debug(`  node: ${node}`);
-    debug(`  hostname: ${hostname}`);
+    const otp_node = otpNode(this, node, hostname);
+    debug(`  otp_node: ${otp_node}`);
     debug(`  graceful: ${graceful}`);
     let endpoint = '/controller/startGracefulFailover';
     if (!graceful) {
       endpoint = '/controller/failOver';
     }
-    return this.post(endpoint, {
+    return this.post(endpoint, extend({
       form: {
-        otpNode: `${node}@${hostname}`,
+        otpNode: otp_node,
       },
-    });
+      idempotent: false,
+    }, clusterHost(this)));
   }
 
   ///# @name recover
@@ -214,32 +264,32 @@ export default class Node extends Base {
   ///# ```js
   ///# {
   ///#   recovery_type: 'full', // The recovery type to use, can be: full, delta
-  ///#   node: '['ns_1', // The node to eject
-  ///#   hostname: '', // The host to eject
-  ///#   rebalance: false, // Whether or not to automatically rebalance after the recovery type has been set
+  ///#   node: 'ns_1', // The node to recover, defaults to the otpNode from the topology or ns_1
+  ///#   hostname: '', // The host to recover
+  ///#   rebalance: false, // Whether or not to rebalance after the recovery type has been set, can be an object of rebalance options
   ///# }
   ///# ```
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-cluster-removenode.html
   ///# @async
   async recover({
     recover_type = 'full',
-    node = 'ns_1',
-    hostname = this.node_host,
+    node,
+    hostname,
     rebalance = false,
   } = {}) {
     debug('recover');
-    debug(`  node: ${node}`);
-    debug(`  hostname: ${hostname}`);
+    const otp_node = otpNode(this, node, hostname);
+    debug(`  otp_node: ${otp_node}`);
     // post the recover_type
-    await this.post('/controller/setRecoveryType', {
+    await this.post('/controller/setRecoveryType', extend({
       form: {
-        otpNode: `${node}@${hostname}`,
+        otpNode: otp_node,
         recoveryType: recover_type,
       },
-    });
+    }, clusterHost(this)));
     // do we need to rebalance?
     if (rebalance) {
-      await this.cluster.rebalance();
+      await this.cluster.rebalance(isObject(rebalance) ? rebalance : {});
     }
     return this;
   }
@@ -253,7 +303,7 @@ export default class Node extends Base {
   ///#   cluster_protocol: '', // the cluster protocol to use
   ///#   cluster_port: 8091, // the cluster port to use
   ///#   password: 'password', // the cluster password
-  ///#   rebalance: false, // whether or not to rebalance after joining the cluster
+  ///#   rebalance: false, // whether or not to rebalance after joining the cluster, can be an object of rebalance options
   ///#   username: 'Administrator', // the cluster username
   ///# }
   ///# ```
@@ -271,7 +321,6 @@ export default class Node extends Base {
     debug(`  cluster_protocol: ${cluster_protocol}`);
     debug(`  cluster_host: ${cluster_host}`);
     debug(`  cluster_port: ${cluster_port}`);
-    debug(`  password: ${password}`);
     debug(`  username: ${username}`);
     // join the cluster
     await this.post('/node/controller/doJoinCluster', {
@@ -281,11 +330,84 @@ export default class Node extends Base {
         user: username,
         password,
       },
+      idempotent: false,
     });
     // should we rebalance?
     if (rebalance && this.cluster) {
-      await this.cluster.rebalance();
+      await this.cluster.rebalance(isObject(rebalance) ? rebalance : {});
     }
     return this;
   }
+
+  ///# @name waitUntilReady
+  ///# @description Waits until the node's REST port is up, and if it is part of a cluster until it is healthy
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   interval: 1000, // the number of milliseconds between checks
+  ///#   timeout: 60000, // the number of milliseconds to wait before giving up, 0 waits forever
+  ///# }
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-cluster-get.html
+  ///# @async
+  async waitUntilReady({
+    interval = 1000,
+    timeout = 60000,
+  } = {}) {
+    debug('waitUntilReady');
+    debug(`  interval: ${interval}`);
+    debug(`  timeout: ${timeout}`);
+    await poll(async () => {
+      let pools;
+      try {
+        pools = await this.get('/pools', { retry: { attempts: 1 } });
+      } catch (err) {
+        // the node is still starting up, requests often time out while it boots (the poll's own timeout isn't thrown here)
+        if (err instanceof NetworkError || err instanceof ServerError || err instanceof TimeoutError) {
+          return false;
+        }
+        throw err;
+      }
+      // the node has not been provisioned yet, so there is nothing else to check
+      if (!pools.pools || !pools.pools.length) {
+        return true;
+      }
+      const { nodes = [] } = await this.get(`/pools/${this.pool}`)
+        .catch((err) => {
+          if (err instanceof AuthenticationError) {
+            throw err;
+          }
+          return {};
+        });
+      const { status, clusterMembership } = find(nodes, { thisNode: true }) || {};
+      debug(`  status: ${status}`);
+      debug(`  clusterMembership: ${clusterMembership}`);
+      return status === 'healthy' && [ 'active', 'inactiveAdded' ].includes(clusterMembership);
+    }, {
+      interval,
+      timeout,
+      message: `Node ${this.node_host} was not ready within ${timeout}ms`,
+    });
+    return this;
+  }
+}
+
+// gets the otpNode of a node, the otpNode from the topology is used unless a node name or hostname is given
+function otpNode(instance, node, hostname) {
+  if (instance.otp_node && !node && !hostname) {
+    return instance.otp_node;
+  }
+  return `${node || 'ns_1'}@${hostname || instance.node_host}`;
+}
+
+// the cluster wide requests are sent to the cluster when the node belongs to one, as the node may be down
+function clusterHost({ cluster }) {
+  if (!cluster) {
+    return {};
+  }
+  return pickBy({
+    host: cluster.cluster_host,
+    protocol: cluster.cluster_protocol,
+    port: cluster.cluster_port,
+  });
 }
@@ -0,0 +1,352 @@
+////
+/// @author Aaron Benton
+/// @page app/plan
+////
+import {
+  extend,
+  find,
+  get,
+  isArray,
+  isPlainObject,
+  isString,
+  mapValues,
+  pick,
+  pickBy,
+  reduce,
+} from 'lodash';
+
+// the spec keys of the memory quotas
+const memory_keys = [ 'kv_memory', 'index_memory', 'fts_memory' ];
+
+// the spec keys of the cluster wide settings that are objects
+const settings_keys = [ 'auto_failover', 'alerts', 'index_settings', 'internal_settings' ];
+
+// the internal settings that are part of a spec, they use the names accepted by `setInternalSettings()`
+const internal_keys = [
+  'capiRequestLimit',
+  'certUseSha1',
+  'gotraceback',
+  'indexAutoFailoverDisabled',
+  'indexAwareRebalanceDisabled',
+  'maxBucketCount',
+  'maxParallelIndexers',
+  'maxParallelReplicaIndexers',
+  'rebalanceIgnoreViewCompactions',
+  'rebalanceIndexPausingDisabled',
+  'rebalanceIndexWaitingDisabled',
+  'rebalanceMovesBeforeCompaction',
+  'rebalanceMovesPerNode',
+  'restRequestLimit',
+];
+
+// the keys that hold passwords or other secrets
+const secret_keys = [ 'email_pass', 'password', 'sasl_password' ];
+
+///# @name redacted
+///# @description The value secrets are replaced with, redacted values in a spec are ignored by `plan()` and `apply()`
+export const redacted = '<redacted>';
+
+// the spec keys that hold comma-delimited lists, they are compared regardless of order
+const list_keys = [ 'alerts', 'recipients', 'services' ];
+
+// the bucket options that are not compared, bucket_priority is used instead of threads_number
+const ignored_bucket_keys = [ 'name', 'threads_number', 'wait' ];
+
+// the service names accepted by `useServices()` and what the server calls them
+const service_aliases = {
+  data: 'kv',
+  query: 'n1ql',
+  idx: 'index',
+  'full text': 'fts',
+  'full-text': 'fts',
+};
+
+// the prefix of each action in the readable diff
+const symbols = {
+  create: '+',
+  update: '~',
+  remove: '-',
+};
+
+/// @name Plan
+/// @description The changes needed to make a cluster match a spec, each change is
+/// `{ section, action, name, field, from, to }` where action is one of: create, update, remove
+/// @type {class}
+export default class Plan {
+  ///# @name constructor
+  ///# @arg {array} changes [] - An array of changes
+  constructor(changes = []) {
+    this.changes = changes;
+  }
+
+  ///# @name diff
+  ///# @description Compares the desired spec with the current spec of a cluster, only the settings in the desired spec
+  ///#   are compared
+  ///# @arg {object} desired - The spec the cluster should match
+  ///# @arg {object} current - The spec of the live cluster
+  ///# @arg {object} options [{}] - `{ prune: false }` when prune is true nodes, server groups and buckets that are
+  ///#   not in the desired spec are removed
+  ///# @returns {Plan}
+  static diff(desired = {}, current = {}, { prune = false } = {}) {
+    const changes = [];
+    desired = omitRedacted(desired);
+    // memory quotas
+    memory_keys.forEach((name) => {
+      if (desired[name] !== undefined && !same(desired[name], current[name])) {
+        changes.push({ section: 'memory', action: 'update', name, from: current[name], to: desired[name] });
+      }
+    });
+    // cluster name and index storage mode
+    [ 'cluster_name', 'index_storage_mode' ].forEach((name) => {
+      if (desired[name] !== undefined && !same(desired[name], current[name])) {
+        changes.push({ section: 'cluster', action: 'update', name, from: current[name], to: desired[name] });
+      }
+    });
+    // auto failover, alerts, index and internal settings are objects of settings
+    settings_keys.forEach((section) => {
+      settingsChanges(section, desired[section], current[section]).forEach((change) => changes.push(change));
+    });
+    // server groups, created before the nodes are added to them and removed once they have been emptied
+    const current_groups = current.server_groups || [];
+    if (desired.server_groups) {
+      desired.server_groups
+        .filter((name) => !current_groups.includes(name))
+        .forEach((name) => changes.push({ section: 'server_groups', action: 'create', name }));
+      if (prune) {
+        current_groups
+          .filter((name) => !desired.server_groups.includes(name))
+          .forEach((name) => changes.push({ section: 'server_groups', action: 'remove', name }));
+      }
+    }
+    // nodes
+    if (desired.nodes) {
+      const desired_nodes = desired.nodes.map(normalizeNode);
+      const current_nodes = (current.nodes || []).map(normalizeNode);
+      desired_nodes.forEach((node) => {
+        const existing = find(current_nodes, { hostname: node.hostname });
+        if (!existing) {
+          changes.push({ section: 'nodes', action: 'create', name: node.hostname, to: pickBy(node, (value, key) => key !== 'hostname') });
+          return;
+        }
+        [ 'services', 'server_group' ].forEach((field) => {
+          if (node[field] !== undefined && !same(node[field], existing[field], field)) {
+            changes.push({ section: 'nodes', action: 'update', name: node.hostname, field, from: existing[field], to: node[field] });
+          }
+        });
+      });
+      if (prune) {
+        current_nodes
+          .filter(({ hostname }) => !find(desired_nodes, { hostname }))
+          .forEach(({ hostname }) => changes.push({ section: 'nodes', action: 'remove', name: hostname }));
+      }
+    }
+    // buckets
+    if (desired.buckets) {
+      const current_buckets = current.buckets || [];
+      desired.buckets.map(normalizeBucket).forEach((bucket) => {
+        const existing = find(current_buckets, { name: bucket.name });
+        if (!existing) {
+          changes.push({ section: 'buckets', action: 'create', name: bucket.name, to: pickBy(bucket, (value, key) => key !== 'name') });
+          return;
+        }
+        Object.keys(bucket)
+          .filter((field) => !ignored_bucket_keys.includes(field) && existing[field] !== undefined)
+          .filter((field) => !same(bucket[field], existing[field]))
+          .forEach((field) => {
+            changes.push({ section: 'buckets', action: 'update', name: bucket.name, field, from: existing[field], to: bucket[field] });
+          });
+      });
+      if (prune) {
+        current_buckets
+          .filter(({ name }) => !find(desired.buckets, { name }))
+          .forEach(({ name }) => changes.push({ section: 'buckets', action: 'remove', name }));
+      }
+    }
+    return new Plan(changes);
+  }
+
+  ///# @name hasChanges
+  ///# @description Whether or not the cluster needs to be changed
+  ///# @returns {boolean}
+  hasChanges() {
+    return this.changes.length > 0;
+  }
+
+  ///# @name section
+  ///# @description Gets the changes of a section, optionally only w/ an action
+  ///# @arg {string} section - The section, can be: memory, cluster, auto_failover, alerts, index_settings,
+  ///#   internal_settings, server_groups, nodes, buckets
+  ///# @arg {string} action [undefined] - The action, can be: create, update, remove
+  ///# @returns {array}
+  section(section, action) {
+    return this.changes.filter((change) => change.section === section && (!action || change.action === action));
+  }
+
+  ///# @name toString
+  ///# @description Gets a readable diff w/ a line for each change, i.e. `~ memory.kv_memory: 512 => 1024`
+  ///# @returns {string}
+  toString() {
+    if (!this.hasChanges()) {
+      return 'No changes, the cluster matches the spec';
+    }
+    return this.changes.map(describe).join('\n');
+  }
+}
+
+///# @name normalizeNode
+///# @description Converts a node from a spec to `{ hostname, services, server_group }`, the default port is removed from
+///#   the hostname and the services are sorted w/ their aliases replaced, i.e. `data` is `kv`
+///# @arg {string|object} node - A hostname or `{ hostname, services, server_group }`
+///# @returns {object}
+export function normalizeNode(node) {
+  if (isString(node)) {
+    node = { hostname: node };
+  }
+  return pickBy({
+    hostname: node.hostname.replace(/:8091$/, ''),
+    services: node.services === undefined ? undefined : services(node.services),
+    server_group: node.server_group,
+  }, (value) => value !== undefined);
+}
+
+///# @name currentSpec
+///# @description Reads the live state of a cluster as a spec
+///# @arg {Cluster} cluster - The cluster to read
+///# @returns {object}
+///# @async
+export async function currentSpec(cluster) {
+  const indexes = cluster.indexes();
+  const [ details, buckets, { groups = [] }, auto_failover, alerts, internal_settings, index_settings ] = await Promise.all([
+    cluster.details(),
+    cluster.buckets(),
+    cluster.serverGroups(),
+    cluster.getAutoFailover(),
+    cluster.getEmailSettings(),
+    cluster.getInternalSettings(),
+    indexes.settings(),
+  ]);
+  const { storage_mode: index_storage_mode, ...index_options } = indexes.optionsFromSettings(index_settings);
+  return {
+    cluster_name: details.clusterName,
+    kv_memory: details.memoryQuota,
+    index_memory: details.indexMemoryQuota,
+    fts_memory: details.ftsMemoryQuota,
+    index_storage_mode,
+    server_groups: groups.map(({ name }) => name),
+    nodes: get(details, 'nodes', []).map(({ hostname, services = [] }) => {
+      const group = find(groups, ({ nodes = [] }) => find(nodes, { hostname })) || {};
+      return normalizeNode({ hostname, services, server_group: group.name });
+    }),
+    buckets: buckets.map((bucket) => cluster.bucket(bucket.name).optionsFromDetails(bucket)),
+    auto_failover: pick(auto_failover, [ 'enabled', 'timeout' ]),
+    alerts: pickBy({
+      enabled: alerts.enabled,
+      sender: alerts.sender,
+      recipients: list(alerts.recipients || []),
+      alerts: list(alerts.alerts || []),
+      email_host: get(alerts, 'emailServer.host'),
+      email_port: get(alerts, 'emailServer.port'),
+      email_user: get(alerts, 'emailServer.user'),
+      email_encrypt: get(alerts, 'emailServer.encrypt'),
+    }, (value) => value !== undefined),
+    index_settings: index_options,
+    internal_settings: pickBy(pick(internal_settings, internal_keys), (value) => value !== null),
+  };
+}
+
+///# @name redact
+///# @description Replaces the passwords and other secrets in a spec w/ `redacted`
+///# @arg {*} value - The spec, or any value in it
+///# @returns {*} - A copy of the value
+export function redact(value) {
+  if (isArray(value)) {
+    return value.map(redact);
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  return mapValues(value, (item, key) => (secret_keys.includes(key) && item ? redacted : redact(item)));
+}
+
+///# @name omitRedacted
+///# @description Removes the redacted values from a spec, so secrets that were never filled in are left as they are
+///# @arg {*} value - The spec, or any value in it
+///# @returns {*} - A copy of the value
+export function omitRedacted(value) {
+  if (isArray(value)) {
+    return value.map(omitRedacted);
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  return mapValues(pickBy(value, (item) => item !== redacted), omitRedacted);
+}
+
+// compares an object of settings, the password is never returned by the server so it can't be compared
+function settingsChanges(section, desired, current = {}) {
+  if (!desired) {
+    return [];
+  }
+  return Object.keys(desired)
+    .filter((name) => name !== 'email_pass' && !same(desired[name], current[name], name))
+    .map((name) => ({ section, action: 'update', name, from: current[name], to: desired[name] }));
+}
+
+// converts an array or a comma / space delimited list to a sorted comma-delimited list
+function list(value) {
+  const items = isArray(value) ? value : String(value).split(/[\s,]+/);
+  return items.filter(Boolean).sort().join(',');
+}
+
+// converts a list of services to a sorted comma-delimited list of the names the server uses
+function services(value) {
+  const items = isArray(value) ? value : [ value ];
+  return list(items.map((item) => reduce(service_aliases, (result, name, alias) => {
+    return result.replace(new RegExp(`\\b${alias}\\b`, 'g'), name);
+  }, String(item))));
+}
+
+// the server calls couchbase buckets membase
+function normalizeBucket(bucket) {
+  return bucket.bucket_type === 'couchbase' ? extend({}, bucket, { bucket_type: 'membase' }) : bucket;
+}
+
+// whether or not a desired value matches the current value
+function same(desired, current, key) {
+  if (list_keys.includes(key)) {
+    return list(desired) === list(current || []);
+  }
+  return String(desired) === String(current);
+}
+
+// formats a value for the readable diff
+function format(value) {
+  if (value === undefined || value === null) {
+    return '(none)';
+  }
+  return isString(value) ? value : JSON.stringify(value);
+}
+
+// describes a change as a line of the readable diff
+function describe({ section, action, name, field, from, to }) {
+  const symbol = symbols[action];
+  switch (section) {
+    case 'memory':
+    case 'auto_failover':
+    case 'alerts':
+    case 'index_settings':
+    case 'internal_settings':
+      return `${symbol} ${section}.${name}: ${format(from)} => ${format(to)}`;
+    case 'cluster':
+      return `${symbol} ${name}: ${format(from)} => ${format(to)}`;
+    case 'server_groups':
+      return `${symbol} server group ${name}`;
+    default: {
+      const type = section === 'nodes' ? 'node' : 'bucket';
+      if (action === 'update') {
+        return `${symbol} ${type} ${name} ${field}: ${format(from)} => ${format(to)}`;
+      }
+      return `${symbol} ${type} ${name}${to && Object.keys(to).length ? ` ${format(to)}` : ''}`;
+    }
+  }
+}
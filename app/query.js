@@ -0,0 +1,317 @@
+////
+/// @author Aaron Benton
+/// @page app/query
+////
+const debug = require('debug')('couchbase-rest-sdk:Query');
+import Base from './base';
+import {
+  QueryError,
+  RequestError,
+  createError,
+} from './errors';
+import { channel } from './utils';
+import { StringDecoder } from 'string_decoder';
+import {
+  get,
+  isArray,
+  isNumber,
+  isPlainObject,
+  reduce,
+} from 'lodash';
+
+// incrementally parses a query response, each item in the results array is pushed as soon as it is complete
+// and everything else is kept so the rest of the envelope can be parsed at the end
+class ResultsParser {
+  constructor(push) {
+    this.push = push;
+    this.envelope = '';
+    this.row = '';
+    this.depth = 0;
+    this.results_depth = 0;
+    this.in_results = false;
+    this.in_string = false;
+    this.escaped = false;
+  }
+
+  // adds a character to the current row or the envelope
+  append(character) {
+    if (this.in_results) {
+      this.row += character;
+    } else {
+      this.envelope += character;
+    }
+  }
+
+  // pushes the current row if there is one
+  flush() {
+    if (this.row.trim()) {
+      this.push(JSON.parse(this.row));
+    }
+    this.row = '';
+  }
+
+  write(text) {
+    for (let i = 0; i < text.length; i++) {
+      const character = text.charAt(i);
+      if (this.in_string) {
+        this.append(character);
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (character === '\\') {
+          this.escaped = true;
+        } else if (character === '"') {
+          this.in_string = false;
+        }
+      } else if (character === '"') {
+        this.in_string = true;
+        this.append(character);
+      } else if (this.in_results && this.depth === this.results_depth && (character === ',' || character === ']')) {
+        // the end of a row
+        this.flush();
+        if (character === ']') {
+          this.in_results = false;
+          this.depth--;
+          this.envelope += character;
+        }
+      } else if (character === '{' || character === '[') {
+        this.depth++;
+        if (character === '[' && this.depth === 2 && /"results"\s*:\s*$/.test(this.envelope)) {
+          this.envelope += character;
+          this.in_results = true;
+          this.results_depth = this.depth;
+        } else {
+          this.append(character);
+        }
+      } else {
+        if (character === '}' || character === ']') {
+          this.depth--;
+        }
+        this.append(character);
+      }
+    }
+  }
+
+  // parses the rest of the envelope, the results have already been pushed
+  end() {
+    return this.envelope.trim() ? JSON.parse(this.envelope) : {};
+  }
+}
+
+/// @name Query
+/// @description Runs N1QL queries against a node running the query service
+/// @reference https://developer.couchbase.com/documentation/server/5.0/n1ql/n1ql-rest-api/index.html
+/// @type {class}
+export default class Query extends Base {
+  ///# @name constructor
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   cluster_host: 'localhost', // the hostname / ip address of a node in the cluster
+  ///#   cluster_port: 8091, // the port to use, defaults to 8091
+  ///#   cluster_protocol: 'http', // the http protocol to use, defaults to http
+  ///#   password: '', // the cluster admin password
+  ///#   username: '', // the cluster admin username
+  ///# }
+  ///# ```
+  constructor({
+    ...options
+  } = {}) {
+    super(options);
+  }
+
+  ///# @name execute
+  ///# @description Runs a query and resolves w/ all of the results
+  ///# @arg {string} statement - The N1QL statement to run
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   args: [], // an array of values for the positional parameters ($1, $2, ...)
+  ///#   named: {}, // an object of values for the named parameters ($name), the $ is optional
+  ///#   consistency: 'not_bounded', // the scan consistency, can be: not_bounded, request_plus, statement_plus
+  ///#   timeout: '75s', // the query timeout, a number is treated as milliseconds
+  ///#   readonly: false, // whether or not the query is only allowed to read, read only queries can be retried
+  ///# }
+  ///# ```
+  ///# @returns {object} - `{ request_id, status, results, metrics, errors, warnings, signature }`
+  ///# @throws {QueryError} - When the query fails
+  ///# @async
+  async execute(statement, options = {}) {
+    debug('execute');
+    debug(`  statement: ${statement}`);
+    const { protocol, host, port } = await this.discover('n1ql');
+    const endpoint = '/query/service';
+    const response = await this.post(endpoint, {
+      body: queryBody(statement, options),
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      protocol,
+      host,
+      port,
+      idempotent: options.readonly === true,
+    })
+      .catch((err) => {
+        throw queryError(err);
+      });
+    // a body that isn't json is resolved as a string
+    if (!isPlainObject(response)) {
+      throw invalidResponse(new Error('the body is not a json object'), { method: 'POST', endpoint });
+    }
+    return queryResult(response, { method: 'POST', endpoint });
+  }
+
+  ///# @name rows
+  ///# @description Runs a query and streams the results as they are received, rows are parsed one at a time
+  ///# so large result sets do not have to be held in memory
+  ///# @arg {string} statement - The N1QL statement to run
+  ///# @arg {object} options [{}] - The same options as `execute()`
+  ///# @returns {AsyncIterator} - i.e. `for await (const row of query.rows('SELECT ...')) {}`
+  rows(statement, options = {}) {
+    debug('rows');
+    debug(`  statement: ${statement}`);
+    let request;
+    const { push, end, iterator } = channel({
+      pause: () => request.pause(),
+      resume: () => request.resume(),
+      close: () => request && request.abort(),
+    });
+    this.discover('n1ql')
+      .then(({ protocol, host, port }) => {
+        const endpoint = '/query/service';
+        const decoder = new StringDecoder('utf8');
+        const parser = new ResultsParser(push);
+        let status;
+        // a row that can't be parsed stops the request, nothing after it can be trusted
+        let failed = false;
+        const fail = (err) => {
+          failed = true;
+          request.abort();
+          end(invalidResponse(err, { method: 'POST', endpoint }));
+        };
+        request = this.stream({
+          method: 'POST',
+          endpoint,
+          body: queryBody(statement, options),
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          protocol,
+          host,
+          port,
+        });
+        request
+          .on('response', ({ statusCode }) => {
+            status = statusCode;
+          })
+          .on('data', (chunk) => {
+            if (failed) {
+              return;
+            }
+            try {
+              parser.write(decoder.write(chunk));
+            } catch (err) {
+              fail(err);
+            }
+          })
+          .on('error', (err) => end(createError(err, { method: 'POST', endpoint })))
+          .on('end', () => {
+            if (failed) {
+              return;
+            }
+            let envelope;
+            try {
+              parser.write(decoder.end());
+              envelope = parser.end();
+            } catch (err) {
+              // errors that are not from the query service, i.e. a 401 aren't json
+              if (status >= 400) {
+                end(createError({ statusCode: status, error: parser.envelope }, { method: 'POST', endpoint }));
+              } else {
+                end(invalidResponse(err, { method: 'POST', endpoint }));
+              }
+              return;
+            }
+            try {
+              queryResult(envelope, { status, method: 'POST', endpoint });
+              end();
+            } catch (err) {
+              end(err);
+            }
+          });
+      })
+      .catch(end);
+    return iterator;
+  }
+}
+
+// builds the request body for a query
+function queryBody(statement, {
+  args,
+  named = {},
+  consistency,
+  timeout,
+  readonly,
+} = {}) {
+  const body = reduce(named, (previous, value, key) => {
+    previous[key.charAt(0) === '$' ? key : `$${key}`] = value;
+    return previous;
+  }, { statement });
+  if (args) {
+    body.args = args;
+  }
+  if (consistency) {
+    body.scan_consistency = consistency;
+  }
+  if (timeout) {
+    body.timeout = isNumber(timeout) ? `${timeout}ms` : timeout;
+  }
+  if (readonly !== undefined) {
+    body.readonly = readonly;
+  }
+  return body;
+}
+
+// normalizes the response envelope from the query service, if the query failed a QueryError is thrown
+function queryResult(response = {}, { status, method, endpoint } = {}) {
+  const errors = get(response, 'errors', []);
+  if ((status && status >= 400) || (errors.length && response.status !== 'success')) {
+    throw new QueryError(errors.map(({ msg }) => msg).join('; ') || `Query ${response.status}`, {
+      status,
+      method,
+      endpoint,
+      body: response,
+      errors: errors.map(({ msg }) => msg),
+      codes: errors.map(({ code }) => code),
+    });
+  }
+  return {
+    request_id: response.requestID,
+    status: response.status,
+    results: get(response, 'results', []),
+    metrics: get(response, 'metrics', {}),
+    errors,
+    warnings: get(response, 'warnings', []),
+    signature: response.signature,
+  };
+}
+
+// converts a failed request to the query service into a QueryError
+function queryError(err) {
+  if (!(err instanceof RequestError) || !isArray(get(err, 'body.errors'))) {
+    return err;
+  }
+  try {
+    return queryResult(err.body, err);
+  } catch (error) {
+    return error;
+  }
+}
+
+// converts a response from the query service that can't be parsed into a QueryError
+function invalidResponse(err, { method, endpoint }) {
+  return new QueryError(`The query service sent an invalid response: ${err.message}`, {
+    method,
+    endpoint,
+    errors: [ err.message ],
+  });
+}
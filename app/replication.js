@@ -0,0 +1,281 @@
+////
+/// @author Aaron Benton
+/// @page app/replication
+////
+const debug = require('debug')('couchbase-rest-sdk:Replication');
+import Base from './base';
+import {
+  extend,
+  reduce,
+} from 'lodash';
+
+// maps the replication setting names to the form fields the server expects
+const settings_map = {
+  checkpoint_interval: 'checkpointInterval', // the number of seconds between checkpoints, 60 - 14400
+  compression_type: 'compressionType', // the compression to use, can be: None, Auto, Snappy
+  doc_batch_size_kb: 'docBatchSizeKb', // the size of a batch of documents in kb, 10 - 10000
+  failure_restart_interval: 'failureRestartInterval', // the number of seconds to wait after a failure before restarting, 1 - 300
+  filter_expression: 'filterExpression', // a regular expression documents keys must match to be replicated
+  log_level: 'logLevel', // the log level, can be: Error, Info, Debug, Trace
+  network_usage_limit: 'networkUsageLimit', // the bandwidth limit in MB per second, 0 is unlimited
+  optimistic_replication_threshold: 'optimisticReplicationThreshold', // documents smaller than this are replicated optimistically
+  pause_requested: 'pauseRequested', // whether or not the replication is paused
+  source_nozzle_per_node: 'sourceNozzlePerNode', // the number of source nozzles per node, 1 - 100
+  stats_interval: 'statsInterval', // the number of milliseconds between statistics updates, 200 - 600000
+  target_nozzle_per_node: 'targetNozzlePerNode', // the number of target nozzles per node, 1 - 100
+  worker_batch_size: 'workerBatchSize', // the number of mutations in a batch, 500 - 10000
+};
+
+/// @name Replication
+/// @description Handles Cross Datacenter Replication (XDCR) operations
+/// @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-xdcr-intro.html
+/// @type {class}
+export default class Replication extends Base {
+  ///# @name constructor
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   cluster_host: 'localhost', // the hostname / ip address of a node in the cluster
+  ///#   cluster_port: 8091, // the port to use, defaults to 8091
+  ///#   cluster_protocol: 'http', // the http protocol to use, defaults to http
+  ///#   password: '', // the cluster admin password
+  ///#   username: '', // the cluster admin username
+  ///# }
+  ///# ```
+  constructor({
+    ...options
+  } = {}) {
+    super(options);
+  }
+
+  ///# @name remoteClusters
+  ///# @description Gets all of the remote cluster references
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-xdcr-get-ref.html
+  ///# @async
+  remoteClusters() {
+    debug('remoteClusters');
+    return this.get(`/pools/${this.pool}/remoteClusters`);
+  }
+
+  ///# @name addRemoteCluster
+  ///# @description Creates a reference to a remote cluster
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   name: '', // the name of the reference
+  ///#   hostname: '', // the hostname / ip address and port of a node in the remote cluster, i.e. 10.0.0.1:8091
+  ///#   username: '', // the remote cluster admin username
+  ///#   password: '', // the remote cluster admin password
+  ///#   demand_encryption: false, // whether or not to encrypt the replicated data
+  ///#   certificate: '', // the remote cluster certificate, required when demand_encryption is true
+  ///# }
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-xdcr-create-ref.html
+  ///# @async
+  addRemoteCluster({
+    name,
+    hostname,
+    username,
+    password,
+    demand_encryption = false,
+    certificate,
+  } = {}) {
+    debug('addRemoteCluster');
+    debug(`  name: ${name}`);
+    debug(`  hostname: ${hostname}`);
+    return this.post(`/pools/${this.pool}/remoteClusters`, {
+      form: remoteClusterForm({ name, hostname, username, password, demand_encryption, certificate }),
+      idempotent: false,
+    });
+  }
+
+  ///# @name editRemoteCluster
+  ///# @description Updates a reference to a remote cluster, all of the settings must be passed
+  ///# @arg {string} name - The current name of the reference
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   name: '', // the new name of the reference, defaults to the current name
+  ///#   hostname: '', // the hostname / ip address and port of a node in the remote cluster, i.e. 10.0.0.1:8091
+  ///#   username: '', // the remote cluster admin username
+  ///#   password: '', // the remote cluster admin password
+  ///#   demand_encryption: false, // whether or not to encrypt the replicated data
+  ///#   certificate: '', // the remote cluster certificate, required when demand_encryption is true
+  ///# }
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-xdcr-create-ref.html
+  ///# @async
+  editRemoteCluster(name, {
+    name: new_name = name,
+    hostname,
+    username,
+    password,
+    demand_encryption = false,
+    certificate,
+  } = {}) {
+    debug('editRemoteCluster');
+    debug(`  name: ${name}`);
+    debug(`  new_name: ${new_name}`);
+    debug(`  hostname: ${hostname}`);
+    return this.post(`/pools/${this.pool}/remoteClusters/${encodeURIComponent(name)}`, {
+      form: remoteClusterForm({ name: new_name, hostname, username, password, demand_encryption, certificate }),
+    });
+  }
+
+  ///# @name removeRemoteCluster
+  ///# @description Deletes a reference to a remote cluster
+  ///# @arg {string} name - The name of the reference
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-xdcr-delete-ref.html
+  ///# @async
+  removeRemoteCluster(name) {
+    debug('removeRemoteCluster');
+    debug(`  name: ${name}`);
+    return this.delete(`/pools/${this.pool}/remoteClusters/${encodeURIComponent(name)}`);
+  }
+
+  ///# @name list
+  ///# @description Gets all of the replications, they are the xdcr tasks of the cluster
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-get-cluster-tasks.html
+  ///# @async
+  async list() {
+    debug('list');
+    const tasks = await this.get(`/pools/${this.pool}/tasks`);
+    return tasks.filter(({ type }) => type === 'xdcr');
+  }
+
+  ///# @name create
+  ///# @description Creates a replication, the id of the replication is returned i.e. `{ id: '' }`
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   from_bucket: '', // the name of the bucket to replicate from
+  ///#   to_cluster: '', // the name of the remote cluster reference to replicate to
+  ///#   to_bucket: '', // the name of the bucket in the remote cluster to replicate to
+  ///#   replication_type: 'continuous', // the type of replication
+  ///#   ...settings, // any of the settings accepted by `updateSettings()`
+  ///# }
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-xdcr-create-replication.html
+  ///# @async
+  create({
+    from_bucket,
+    to_cluster,
+    to_bucket,
+    replication_type = 'continuous',
+    ...settings
+  } = {}) {
+    debug('create');
+    debug(`  from_bucket: ${from_bucket}`);
+    debug(`  to_cluster: ${to_cluster}`);
+    debug(`  to_bucket: ${to_bucket}`);
+    return this.post('/controller/createReplication', {
+      form: extend({
+        fromBucket: from_bucket,
+        toCluster: to_cluster,
+        toBucket: to_bucket,
+        replicationType: replication_type,
+      }, settingsForm(settings)),
+      idempotent: false,
+    });
+  }
+
+  ///# @name cancel
+  ///# @description Deletes a replication
+  ///# @arg {string} id - The id of the replication, i.e. `{remote cluster uuid}/{from bucket}/{to bucket}`
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-xdcr-delete-replication.html
+  ///# @async
+  cancel(id) {
+    debug('cancel');
+    debug(`  id: ${id}`);
+    return this.delete(`/controller/cancelXDCR/${encodeURIComponent(id)}`);
+  }
+
+  ///# @name pause
+  ///# @description Pauses a replication
+  ///# @arg {string} id - The id of the replication
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-xdcr-pause-resume.html
+  ///# @async
+  pause(id) {
+    debug('pause');
+    return this.updateSettings(id, { pause_requested: true });
+  }
+
+  ///# @name resume
+  ///# @description Resumes a paused replication
+  ///# @arg {string} id - The id of the replication
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-xdcr-pause-resume.html
+  ///# @async
+  resume(id) {
+    debug('resume');
+    return this.updateSettings(id, { pause_requested: false });
+  }
+
+  ///# @name settings
+  ///# @description Gets the settings of a replication, or the default settings for all replications if there is no id
+  ///# @arg {string} id [''] - The id of the replication
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-xdcr-adv-settings.html
+  ///# @async
+  settings(id) {
+    debug('settings');
+    debug(`  id: ${id}`);
+    return this.get(id ? `/settings/replications/${encodeURIComponent(id)}` : '/settings/replications');
+  }
+
+  ///# @name updateSettings
+  ///# @description Updates the settings of a replication, or the default settings for all replications if there is no id
+  ///# @arg {string} id [''] - The id of the replication
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   checkpoint_interval: 600, // the number of seconds between checkpoints, 60 - 14400
+  ///#   compression_type: 'Auto', // the compression to use, can be: None, Auto, Snappy
+  ///#   doc_batch_size_kb: 2048, // the size of a batch of documents in kb, 10 - 10000
+  ///#   failure_restart_interval: 10, // the number of seconds to wait after a failure before restarting, 1 - 300
+  ///#   filter_expression: '', // a regular expression documents keys must match to be replicated
+  ///#   log_level: 'Info', // the log level, can be: Error, Info, Debug, Trace
+  ///#   network_usage_limit: 0, // the bandwidth limit in MB per second, 0 is unlimited
+  ///#   optimistic_replication_threshold: 256, // documents smaller than this (in bytes) are replicated optimistically
+  ///#   pause_requested: false, // whether or not the replication is paused, only for a single replication
+  ///#   source_nozzle_per_node: 2, // the number of source nozzles per node, 1 - 100
+  ///#   stats_interval: 1000, // the number of milliseconds between statistics updates, 200 - 600000
+  ///#   target_nozzle_per_node: 2, // the number of target nozzles per node, 1 - 100
+  ///#   worker_batch_size: 500, // the number of mutations in a batch, 500 - 10000
+  ///# }
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-xdcr-adv-settings.html
+  ///# @async
+  updateSettings(id, settings = {}) {
+    debug('updateSettings');
+    debug(`  id: ${id}`);
+    const form = settingsForm(settings);
+    debug(`  settings: ${JSON.stringify(form)}`);
+    return this.post(id ? `/settings/replications/${encodeURIComponent(id)}` : '/settings/replications', {
+      form,
+    });
+  }
+}
+
+// converts the remote cluster options to the form fields the server expects
+function remoteClusterForm({ name, hostname, username, password, demand_encryption, certificate }) {
+  const form = {
+    name,
+    hostname,
+    username,
+    password,
+    demandEncryption: demand_encryption ? 1 : 0,
+  };
+  if (certificate) {
+    form.certificate = certificate;
+  }
+  return form;
+}
+
+// converts the replication settings to the form fields the server expects, unknown or undefined settings are ignored
+function settingsForm(settings = {}) {
+  return reduce(settings, (previous, value, key) => {
+    if (settings_map[key] && value !== undefined) {
+      previous[settings_map[key]] = value;
+    }
+    return previous;
+  }, {});
+}
@@ -0,0 +1,181 @@
+////
+/// @author Aaron Benton
+/// @page app/schemas
+////
+const debug = require('debug')('couchbase-rest-sdk:schemas');
+import Joi from 'joi';
+import { ValidationError } from './errors';
+
+// the services a node can run, including the aliases accepted by `Node.useServices()`
+const service_names = '(kv|n1ql|index|fts|data|query|idx|full[ -]text)';
+
+// the alerts that can be sent by email
+const alert_names = '(auto_failover_node|auto_failover_maximum_reached|auto_failover_other_nodes_down|' +
+  'auto_failover_cluster_too_small|auto_failover_disabled|ip|disk|overhead|ep_oom_errors|ep_item_commit_failed|' +
+  'audit_dropped_events|indexer_ram_max_usage|ep_clock_cas_drift_threshold_exceeded|communication_issue)';
+
+// an email address, the server only checks for an @
+const email = '[^@\\s,]+@[^@\\s,]+';
+
+// a comma-delimited list of services
+const services = pattern(
+  new RegExp(`^\\s*${service_names}(\\s*,\\s*${service_names})*\\s*$`),
+  'services',
+  'must be a comma-delimited list of: kv, n1ql, index, fts',
+);
+
+// a time of day, i.e. the allowed compaction period
+const time = pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'time', 'must be in HH:MM format').allow('');
+
+// the options that can either be a boolean or an object of options
+const toggle = Joi.alternatives().try(Joi.boolean(), Joi.object());
+
+///# @name memory
+///# @description The options of `Cluster.memory()`
+export const memory = Joi.object().keys({
+  kv_memory: Joi.number().integer().min(100),
+  index_memory: Joi.number().integer().min(256),
+  fts_memory: Joi.number().integer().min(256),
+});
+
+///# @name configure
+///# @description The options of `Node.configure()`
+export const configure = Joi.object().keys({
+  data_path: Joi.string().allow(''),
+  hostname: Joi.string().allow(''),
+  index_path: Joi.string().allow(''),
+  services,
+});
+
+///# @name initialize
+///# @description The options of `Cluster.initialize()`, bucket objects are validated w/ the `bucket` schema and node
+///#   objects w/ the `addNode` schema
+export const initialize = memory.concat(configure).keys({
+  buckets: Joi.array().items(Joi.string(), Joi.object()),
+  cluster_name: Joi.string().allow('').max(256),
+  index_storage_mode: Joi.string().valid('forestdb', 'memory_optimized', 'plasma'),
+  nodes: Joi.array(),
+  password: Joi.string().min(6),
+  rebalance: toggle,
+  username: Joi.string(),
+});
+
+///# @name addNode
+///# @description The options of `Cluster.addNode()` and `ServerGroup.addNode()`
+export const addNode = Joi.object().keys({
+  cluster_host: Joi.string(),
+  node_host: Joi.string(),
+  hostname: Joi.string(),
+  services,
+  retry: Joi.object(),
+}).or('cluster_host', 'node_host', 'hostname');
+
+///# @name bucket
+///# @description The options of `Bucket.create()`, `Bucket.update()` and `Bucket.validate()`
+export const bucket = Joi.object().keys({
+  abort_outside_allowed_time: Joi.boolean(),
+  allowed_time_period_start: time,
+  allowed_time_period_stop: time,
+  auth_type: Joi.string().valid('none', 'sasl').allow(null),
+  auto_compaction_defined: Joi.boolean(),
+  bucket_priority: Joi.string().valid('default', 'high'),
+  bucket_type: Joi.string().valid('couchbase', 'membase', 'memcached', 'ephemeral'),
+  conflict_resolution_type: Joi.string().valid('seqno', 'lww'),
+  database_fragmentation_percentage_threshold: Joi.number().integer().min(2).max(100).allow(null),
+  database_fragmentation_size_threshold: Joi.number().integer().min(1).allow(null),
+  document_replicas: Joi.number().integer().min(0).max(3),
+  eviction_policy: Joi.string().valid('valueOnly', 'fullEviction', 'noEviction', 'nruEviction'),
+  flush_enabled: Joi.boolean(),
+  index_compaction_mode: Joi.string().valid('circular', 'append'),
+  index_replicas: Joi.number().integer().min(0).max(1),
+  name: Joi.string().regex(/^[\w.%-]+$/).max(100),
+  parallel_compaction: Joi.boolean(),
+  ram_size: Joi.number().integer().min(100),
+  sasl_password: Joi.string().allow('', null),
+  threads_number: Joi.number().valid(3, 8).allow(null),
+  view_fragmentation_percentage_threshold: Joi.number().integer().min(2).max(100).allow(null),
+  view_fragmentation_size_threshold: Joi.number().integer().min(1).allow(null),
+  wait: toggle,
+});
+
+///# @name autoFailover
+///# @description The options of `Cluster.setAutoFailover()`
+export const autoFailover = Joi.object().keys({
+  enabled: Joi.boolean(),
+  timeout: Joi.number().integer().min(30).max(3600),
+});
+
+///# @name emailSettings
+///# @description The options of `Cluster.setEmailSettings()`
+export const emailSettings = Joi.object().keys({
+  alerts: pattern(new RegExp(`^${alert_names}(,${alert_names})*$`), 'alerts', 'must be a comma-delimited list of alerts')
+    .allow(''),
+  email_encrypt: Joi.boolean(),
+  email_host: Joi.string().allow(''),
+  email_port: Joi.number().integer().min(1).max(65535),
+  email_pass: Joi.string().allow(''),
+  email_user: Joi.string().allow(''),
+  enabled: Joi.boolean(),
+  recipients: pattern(new RegExp(`^${email}([\\s,]+${email})*$`), 'recipients', 'must be a list of email addresses')
+    .allow(''),
+  sender: pattern(new RegExp(`^${email}$`), 'sender', 'must be an email address'),
+});
+
+///# @name internalSettings
+///# @description The options of `Cluster.setInternalSettings()`
+export const internalSettings = Joi.object().keys({
+  capiRequestLimit: Joi.number().integer().min(0).allow(null),
+  certUseSha1: Joi.boolean(),
+  gotraceback: Joi.string().valid('none', 'single', 'all', 'system', 'crash'),
+  indexAutoFailoverDisabled: Joi.boolean(),
+  indexAwareRebalanceDisabled: Joi.boolean(),
+  maxBucketCount: Joi.number().integer().min(1),
+  maxParallelIndexers: Joi.number().integer().min(1),
+  maxParallelReplicaIndexers: Joi.number().integer().min(1),
+  rebalanceIgnoreViewCompactions: Joi.boolean(),
+  rebalanceIndexPausingDisabled: Joi.boolean(),
+  rebalanceIndexWaitingDisabled: Joi.boolean(),
+  rebalanceMovesBeforeCompaction: Joi.number().integer().min(1),
+  rebalanceMovesPerNode: Joi.number().integer().min(1).max(64),
+  restRequestLimit: Joi.number().integer().min(0).allow(null),
+});
+
+///# @name validate
+///# @description Validates the options of a method before any request is sent, unknown options are rejected so typos
+///#   are not silently ignored
+///# @arg {object} schema - One of the schemas exported by this module
+///# @arg {object} options [{}] - The options to validate
+///# @returns {object} - The options
+///# @throws {ValidationError} - When the options are invalid, `errors` lists every problem and `fields` holds the
+///#   messages keyed by option
+export function validate(schema, options = {}) {
+  const { error } = Joi.validate(options, schema, { abortEarly: false, language: { root: 'options' } });
+  if (!error) {
+    return options;
+  }
+  const errors = error.details.map(({ message }) => message.replace(/"/g, ''));
+  // every problem of an option is joined, so the fields have the same shape as the ones from the server
+  const fields = error.details.reduce((previous, { path }, index) => {
+    const key = path || 'options';
+    previous[key] = previous[key] ? `${previous[key]}; ${errors[index]}` : errors[index];
+    return previous;
+  }, {});
+  debug(`  invalid: ${JSON.stringify(fields)}`);
+  throw new ValidationError(errors.join('; '), {
+    errors,
+    fields,
+  });
+}
+
+// a string schema w/ a readable message for when it does not match the pattern
+function pattern(regex, name, message) {
+  return Joi.string().regex(regex, name).options({
+    language: {
+      string: {
+        regex: {
+          name: message,
+        },
+      },
+    },
+  });
+}
@@ -0,0 +1,82 @@
+////
+/// @author Aaron Benton
+/// @page app/search-hit
+////
+import {
+  get,
+  keys,
+} from 'lodash';
+
+/// @name SearchHit
+/// @description A single document that matched a full-text search query
+/// @type {class}
+export default class SearchHit {
+  ///# @name constructor
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   id: '', // the id of the document
+  ///#   index: '', // the name of the index partition the hit is from
+  ///#   score: 0, // the relevance of the document to the query
+  ///#   fields: {}, // the stored fields that were requested
+  ///#   fragments: {}, // the highlighted fragments keyed by field, i.e. { name: [ '<mark>hotel</mark> california' ] }
+  ///#   locations: {}, // where each term matched keyed by field then term
+  ///#   sort: [], // the values the hit was sorted by
+  ///#   explanation: null, // how the score was calculated, only when explain was requested
+  ///# }
+  ///# ```
+  constructor({
+    id,
+    index,
+    score = 0,
+    fields = {},
+    fragments = {},
+    locations = {},
+    sort = [],
+    explanation = null,
+  } = {}) {
+    this.id = id;
+    this.index = index;
+    this.score = score;
+    this.fields = fields;
+    this.fragments = fragments;
+    this.locations = locations;
+    this.sort = sort;
+    this.explanation = explanation;
+  }
+
+  ///# @name field
+  ///# @description Gets the value of a stored field
+  ///# @arg {string} name - The name of the field
+  ///# @returns {*}
+  field(name) {
+    return this.fields[name];
+  }
+
+  ///# @name highlights
+  ///# @description Gets the highlighted fragments of a field, or of every field when there is no name
+  ///# @arg {string} name [undefined] - The name of the field
+  ///# @returns {array}
+  highlights(name) {
+    if (name) {
+      return get(this.fragments, name, []);
+    }
+    return keys(this.fragments).reduce((previous, field) => previous.concat(this.fragments[field]), []);
+  }
+
+  ///# @name terms
+  ///# @description Gets the terms that matched, optionally only in a single field
+  ///# @arg {string} name [undefined] - The name of the field
+  ///# @returns {array}
+  terms(name) {
+    const fields = name ? [ name ] : keys(this.locations);
+    return fields.reduce((previous, field) => {
+      keys(get(this.locations, field, {})).forEach((term) => {
+        if (!previous.includes(term)) {
+          previous.push(term);
+        }
+      });
+      return previous;
+    }, []);
+  }
+}
@@ -1,19 +1,23 @@
 ////
 /// @author Aaron Benton
-/// @page app/cluster
+/// @page app/server-group
 ////
-const debug = require('debug')('couchbase-rest-sdk:Bucket');
+const debug = require('debug')('couchbase-rest-sdk:ServerGroup');
 import Base from './base';
+import { CouchbaseError } from './errors';
+import * as schemas from './schemas';
 import {
   concat,
   extend,
   findIndex,
+  isObject,
+  isPlainObject,
   isString,
   reduce,
   pick,
 } from 'lodash';
 
-/// @name Bucket
+/// @name ServerGroup
 /// @description Represents and Handles Server Group operations
 /// @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-rza.html
 /// @type {class}
@@ -44,8 +48,8 @@ export default class ServerGroup extends Base {
     return this.get(`/pools/${this.pool}/serverGroups`);
   }
 
-  ///# @name groups
-  ///# @description Creates a bucket in the cluster
+  ///# @name create
+  ///# @description Creates a server group in the cluster
   ///# @arg {string} name [''] - The name of the server group to create
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-servergroup-post-create.html
   ///# @async
@@ -54,6 +58,7 @@ export default class ServerGroup extends Base {
     debug(`  name: ${name}`);
     await this.post(`/pools/${this.pool}/serverGroups`, {
       form: { name },
+      idempotent: false,
     });
     return this.details(name);
   }
@@ -96,7 +101,7 @@ export default class ServerGroup extends Base {
     }
     debug(`  uuid: ${uuid}`);
     await this.put(`/pools/${this.pool}/serverGroups/${uuid}`, {
-      form: {
+      data: {
         name: new_name,
       },
     });
@@ -120,59 +125,63 @@ export default class ServerGroup extends Base {
     return this;
   }
 
-  ///# @name group
-  ///# @description Adds one or more nodes to a server group
+  ///# @name addMembers
+  ///# @description Moves one or more nodes that are in the cluster to a server group
   ///# @arg {string|array} nodes [''] - A string or an array of hostnames, ip addresses or Node instances to add to the group
   ///# @arg {string} name [''] - The name of the server group to add the nodes to
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-servergroup-put-membership.html
   ///# @async
   async addMembers(nodes = [], name = this.name) {
-    debug('group');
+    debug('addMembers');
     debug(`  nodes: ${nodes}`);
     debug(`  name: ${name}`);
     // if nodes is a string, convert it to an array
     if (isString(nodes)) {
       nodes = nodes.split(',');
     }
-    // ensure that that each value in the nodes array is just a string for the host / ip
+    // ensure that that each value in the nodes array is just a string for the host / ip w/out the port
     nodes = nodes.map((item) => {
-      if (isString(item)) {
-        return item;
+      if (!isString(item)) {
+        item = reduce(pick(item, [ 'hostname', 'node_host', 'ip', 'ip_address' ]), (previous, value) => {
+          if (!previous && value) {
+            previous = value;
+          }
+          return previous;
+        }, '');
       }
-      return reduce(pick(item, [ 'hostname', 'node_host', 'ip', 'ip_address' ]), (previous, value) => {
-        if (!previous && value) {
-          previous = value;
-        }
-        return previous;
-      }, '');
+      return item.trim().replace(/:[0-9]+$/, '');
     });
     // get all of the groups so we can build something to post back
-    const server_groups = await this.groups()
-      .then(({ groups, uri }) => {
-        return {
-          rev: uri.replace(`/pools/${this.pool}/serverGroups?rev=`, ''),
-          groups: groups.map((group) => {
-            // filter out any of the nodes to add from the given groups
-            group.nodes = group.nodes.reduce((previous, { hostname, otpNode }) => {
-              // strip the ports
-              hostname = hostname.replace(/:[0-9]+$/, '');
-              // if the array of nodes to add to the group does not contain the hostname keep it in place
-              if (!nodes.includes(hostname)) {
-                previous.push({ otpNode });
-              }
-              return previous;
-            }, []);
-            return group;
-          }),
-        };
+    const { groups, uri } = await this.groups();
+    const rev = uri.replace(`/pools/${this.pool}/serverGroups?rev=`, '');
+    // the otpNode of each node in the cluster by its hostname w/out the port
+    const otp_nodes = reduce(groups, (previous, group) => {
+      group.nodes.forEach(({ hostname, otpNode }) => {
+        previous[hostname.replace(/:[0-9]+$/, '')] = otpNode;
       });
+      return previous;
+    }, {});
+    const missing = nodes.filter((item) => !otp_nodes[item]);
+    if (missing.length) {
+      throw new CouchbaseError(`The nodes are not in the cluster: ${missing.join(', ')}`, { nodes: missing });
+    }
+    const server_groups = {
+      rev,
+      // filter out any of the nodes to add from the given groups
+      groups: groups.map((group) => {
+        group.nodes = group.nodes
+          .filter(({ hostname }) => !nodes.includes(hostname.replace(/:[0-9]+$/, '')))
+          .map(({ otpNode }) => ({ otpNode }));
+        return group;
+      }),
+    };
     // get the group index that we need to add the nodes to
     const index = findIndex(server_groups.groups, { name });
     // add all of the nodes onto the correct group
     server_groups.groups[index].nodes = concat(
       server_groups.groups[index].nodes,
       nodes.map((item) => {
-        return { otpNode: `ns_1@${item}` };
+        return { otpNode: otp_nodes[item] };
       }),
     );
     await this.put(
@@ -188,7 +197,8 @@ export default class ServerGroup extends Base {
   ///# @name addNodes
   ///# @description Adds multiple nodes to a cluster in a server group and optionally rebalances
   ///# @arg {array} nodes [] - An array of nodes to add to the cluster
-  ///# @arg {boolean} rebalance [true] - Whether or not to rebalance automatically after all of the nodes have been added
+  ///# @arg {boolean|object} rebalance [true] - Whether or not to rebalance automatically after all of the nodes have been added,
+  ///#   an object of `rebalance()` options can be passed as well
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-servergroup-post-add.html
   ///# @async
   async addNodes({ name = this.name, uuid, nodes, rebalance = true } = {}) {
@@ -208,7 +218,7 @@ export default class ServerGroup extends Base {
         // otherwise add the node to the cluster
         add_nodes.push(this.addNode(
           extend(
-            pick(node, [ 'hostname', 'cluster_host', 'node_host', 'services' ]),
+            pick(node, isPlainObject(node) ? [ 'hostname', 'cluster_host', 'node_host', 'services' ] : [ 'cluster_host', 'node_host' ]),
             { name, uuid },
           ),
         ));
@@ -218,7 +228,7 @@ export default class ServerGroup extends Base {
     await Promise.all(add_nodes);
     // should we rebalance now?
     if (rebalance && this.cluster) {
-      await this.cluster.rebalance();
+      await this.cluster.rebalance(isObject(rebalance) ? rebalance : {});
     }
     return nodes;
   }
@@ -232,13 +242,16 @@ export default class ServerGroup extends Base {
   ///#   node_host: '', // the hostname or ip address of the node to add
   ///#   hostname: '', // the hostname or ip address of the node to add
   ///#   services: '', // a comma-delimited list of services to add, can be: kv, n1ql, index, fts
+  ///#   retry: {}, // overrides the retry policy, the request is only retried if `non_idempotent` is true
   ///# }
   ///# ```
   ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rest-servergroup-post-add.html
   ///# @async
-  async addNode({ name = this.name, uuid, cluster_host, node_host, hostname, services } = {}) {
+  async addNode({ name = this.name, uuid, ...options } = {}) {
     debug('addNode');
-    hostname = node_host || hostname || cluster_host;
+    schemas.validate(schemas.addNode, options);
+    const { cluster_host, node_host, services, retry } = options;
+    const hostname = node_host || options.hostname || cluster_host;
     if (!uuid) { // get the uuid by name if its not set
       uuid = await this.details(name).then(({ uuid: id }) => id);
     }
@@ -252,6 +265,8 @@ export default class ServerGroup extends Base {
         user: this.username,
         password: this.password,
       },
+      retry,
+      idempotent: false,
     });
   }
 }
@@ -0,0 +1,141 @@
+////
+/// @author Aaron Benton
+/// @page app/stats
+////
+import {
+  filter,
+  groupBy,
+  isNumber,
+  keyBy,
+  last,
+  mapValues,
+  reduce,
+  sortBy,
+  uniq,
+  values,
+} from 'lodash';
+
+// the metrics that are a percentage or a ratio, i.e. vb_active_resident_items_ratio, they are averaged across the nodes
+// instead of summed
+const ratio_metrics = /(^percent_|_ratio$|_rate$|_fragmentation$|_percent$)/;
+
+/// @name Stats
+/// @description Holds time-series samples normalized to `{ timestamp, metric, value, node }`
+/// @type {class}
+export default class Stats {
+  ///# @name constructor
+  ///# @arg {array} samples [] - An array of `{ timestamp, metric, value, node }` samples
+  constructor(samples = []) {
+    this.samples = sortBy(samples, 'timestamp');
+  }
+
+  ///# @name fromResponse
+  ///# @description Normalizes a stats response from the server into a Stats instance
+  ///# @arg {object} response [{}] - The stats response, i.e. `{ op: { samples: { timestamp: [], ops: [] } } }`
+  ///# @arg {string} node [undefined] - The node the stats are for, undefined when the stats are for the whole cluster
+  ///# @returns {Stats}
+  static fromResponse({ op: { samples = {} } = {} } = {}, node) {
+    const { timestamp: timestamps = [], ...metrics } = samples;
+    return new Stats(reduce(metrics, (previous, values, metric) => {
+      values.forEach((value, index) => {
+        previous.push({ timestamp: timestamps[index], metric, value, node });
+      });
+      return previous;
+    }, []));
+  }
+
+  ///# @name metrics
+  ///# @description Gets the names of all of the metrics that have samples
+  ///# @returns {array}
+  metrics() {
+    return uniq(this.samples.map(({ metric }) => metric)).sort();
+  }
+
+  ///# @name nodes
+  ///# @description Gets the nodes that have samples
+  ///# @returns {array}
+  nodes() {
+    return uniq(filter(this.samples.map(({ node }) => node))).sort();
+  }
+
+  ///# @name series
+  ///# @description Gets the samples of a metric in the order they were taken
+  ///# @arg {string} metric - The name of the metric, i.e. ops
+  ///# @arg {string} node [undefined] - Only include the samples from this node
+  ///# @returns {array}
+  series(metric, node) {
+    return this.samples.filter((sample) => sample.metric === metric && (node === undefined || sample.node === node));
+  }
+
+  ///# @name latest
+  ///# @description Gets the most recent value of a metric, when there are multiple nodes the latest value of each node is
+  ///#   summed, or averaged for ratio metrics (the nodes don't take their samples at exactly the same time)
+  ///# @arg {string} metric - The name of the metric, i.e. mem_used
+  ///# @arg {string} node [undefined] - Only include the samples from this node
+  ///# @returns {number}
+  latest(metric, node) {
+    const series = this.series(metric, node);
+    if (!series.length) {
+      return undefined;
+    }
+    return combine(metric, intervals(series)[0]);
+  }
+
+  ///# @name average
+  ///# @description Gets the average value of a metric over a window of time ending w/ the most recent sample,
+  ///#   when there are multiple nodes the values taken in the same sample interval are summed first, or averaged for ratio
+  ///#   metrics
+  ///# @arg {string} metric - The name of the metric, i.e. ops
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   window: 0, // the number of milliseconds to average over, 0 averages every sample
+  ///#   node: undefined, // only include the samples from this node
+  ///# }
+  ///# ```
+  ///# @returns {number}
+  average(metric, { window = 0, node } = {}) {
+    const series = this.series(metric, node);
+    if (!series.length) {
+      return undefined;
+    }
+    const totals = intervals(series, window).map((samples) => combine(metric, samples));
+    return totals.reduce((total, value) => total + value, 0) / totals.length;
+  }
+
+  ///# @name byNode
+  ///# @description Breaks the samples down by node
+  ///# @returns {object} - An object of Stats instances keyed by node
+  byNode() {
+    return mapValues(groupBy(filter(this.samples, 'node'), 'node'), (samples) => new Stats(samples));
+  }
+}
+
+// groups the samples of a series by the sample interval they were taken in, newest first, w/ the latest sample of each
+// node in each interval. The interval is the smallest time between two samples of the same node, when there is a window
+// only the intervals that start within it are included
+function intervals(series, window = 0) {
+  const gaps = reduce(groupBy(series, 'node'), (previous, samples) => {
+    samples.slice(1).forEach(({ timestamp }, index) => previous.push(timestamp - samples[index].timestamp));
+    return previous;
+  }, []).filter((gap) => gap > 0);
+  // when no node has more than one sample they are all from the latest interval
+  const interval = gaps.length ? Math.min(...gaps) : Infinity;
+  const newest = last(series).timestamp;
+  const groups = groupBy(series, ({ timestamp }) => Math.floor((newest - timestamp) / interval));
+  return sortBy(Object.keys(groups).map(Number))
+    .filter((index) => !window || !index || index * interval <= window)
+    .map((index) => values(keyBy(groups[index], 'node')));
+}
+
+// combines the samples of the nodes taken in the same interval, ratios are averaged and everything else is summed
+function combine(metric, samples) {
+  const numbers = samples.filter(({ value }) => isNumber(value));
+  const total = sum(numbers);
+  return ratio_metrics.test(metric) && numbers.length ? total / numbers.length : total;
+}
+
+// sums the values of an array of samples
+function sum(samples) {
+  return samples.reduce((total, { value }) => total + (isNumber(value) ? value : 0), 0);
+}
@@ -0,0 +1,184 @@
+////
+/// @author Aaron Benton
+/// @page app/users
+////
+const debug = require('debug')('couchbase-rest-sdk:Users');
+import Base from './base';
+import { NotFoundError } from './errors';
+import {
+  find,
+  isString,
+} from 'lodash';
+
+/// @name Users
+/// @description Handles Role Based Access Control (RBAC) user operations
+/// @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rbac.html
+/// @type {class}
+export default class Users extends Base {
+  ///# @name constructor
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   cluster_host: 'localhost', // the hostname / ip address of a node in the cluster
+  ///#   cluster_port: 8091, // the port to use, defaults to 8091
+  ///#   cluster_protocol: 'http', // the http protocol to use, defaults to http
+  ///#   password: '', // the cluster admin password
+  ///#   username: '', // the cluster admin username
+  ///# }
+  ///# ```
+  constructor({
+    ...options
+  } = {}) {
+    super(options);
+  }
+
+  ///# @name list
+  ///# @description Gets all of the users and their roles, i.e. `[ { id, domain, name, roles: [ { role, bucket_name } ] } ]`
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rbac.html
+  ///# @async
+  list() {
+    debug('list');
+    return this.get('/settings/rbac/users');
+  }
+
+  ///# @name details
+  ///# @description Gets a single user
+  ///# @arg {string} id - The id of the user
+  ///# @arg {string} domain ['local'] - The domain of the user, can be: local, external
+  ///# @throws {NotFoundError} - When the user does not exist
+  ///# @async
+  async details(id, domain = 'local') {
+    debug('details');
+    debug(`  id: ${id}`);
+    debug(`  domain: ${domain}`);
+    const user = find(await this.list(), { id, domain });
+    if (!user) {
+      throw new NotFoundError(`User ${id} does not exist in the ${domain} domain`, {
+        method: 'GET',
+        endpoint: '/settings/rbac/users',
+      });
+    }
+    return user;
+  }
+
+  ///# @name roles
+  ///# @description Gets all of the roles that can be assigned to users
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rbac.html
+  ///# @async
+  roles() {
+    debug('roles');
+    return this.get('/settings/rbac/roles');
+  }
+
+  ///# @name upsert
+  ///# @description Creates or updates a user
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   id: '', // the id / username of the user
+  ///#   domain: 'local', // the domain of the user, can be: local, external
+  ///#   name: '', // the full name of the user
+  ///#   password: '', // the password of the user, only for local users
+  ///#   roles: [], // an array of roles, i.e. [ { role: 'bucket_full_access', bucket_name: 'travel' }, { role: 'admin' } ]
+  ///# }
+  ///# ```
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rbac.html
+  ///# @async
+  async upsert({
+    id,
+    domain = 'local',
+    name,
+    password,
+    roles = [],
+  } = {}) {
+    debug('upsert');
+    debug(`  id: ${id}`);
+    debug(`  domain: ${domain}`);
+    debug(`  name: ${name}`);
+    const form = {
+      roles: Users.formatRoles(roles),
+    };
+    debug(`  roles: ${form.roles}`);
+    if (name) {
+      form.name = name;
+    }
+    if (password && domain === 'local') {
+      form.password = password;
+    }
+    await this.put(`/settings/rbac/users/${domain}/${encodeURIComponent(id)}`, {
+      data: form,
+    });
+    return this;
+  }
+
+  ///# @name remove
+  ///# @description Deletes a user
+  ///# @arg {string} id - The id of the user
+  ///# @arg {string} domain ['local'] - The domain of the user, can be: local, external
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rbac.html
+  ///# @async
+  async remove(id, domain = 'local') {
+    debug('remove');
+    debug(`  id: ${id}`);
+    debug(`  domain: ${domain}`);
+    await this.delete(`/settings/rbac/users/${domain}/${encodeURIComponent(id)}`);
+    return this;
+  }
+
+  ///# @name changePassword
+  ///# @description Changes the password of a local user, when the user is the current user the instance is updated as well
+  ///# @arg {string} id - The id of the user
+  ///# @arg {string} password - The new password
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rbac.html
+  ///# @async
+  async changePassword(id, password) {
+    debug('changePassword');
+    debug(`  id: ${id}`);
+    if (id === this.username) {
+      await this.post('/controller/changePassword', {
+        form: { password },
+      });
+      this.password = password;
+      return this;
+    }
+    // other users are updated with their existing name and roles
+    const { name, roles } = await this.details(id);
+    return this.upsert({ id, name, password, roles });
+  }
+
+  ///# @name checkPermissions
+  ///# @description Checks whether or not the current user has each permission
+  ///# @arg {array|string} permissions - An array or a comma-delimited list of permissions, i.e. `cluster.bucket[travel].data!read`
+  ///# @returns {object} - An object of booleans keyed by permission
+  ///# @reference https://developer.couchbase.com/documentation/server/5.0/rest-api/rbac.html
+  ///# @async
+  checkPermissions(permissions = []) {
+    debug('checkPermissions');
+    if (!isString(permissions)) {
+      permissions = permissions.join(',');
+    }
+    debug(`  permissions: ${permissions}`);
+    return this.post('/settings/rbac/checkPermissions', {
+      body: permissions,
+      headers: {
+        'Content-Type': 'text/plain',
+      },
+      json: false,
+    });
+  }
+
+  ///# @name formatRoles
+  ///# @description Converts an array of roles into the comma-delimited list the server expects
+  ///# @arg {array} roles [] - An array of roles, i.e. `[ { role: 'bucket_full_access', bucket_name: 'travel' } ]`
+  ///# @returns {string} - i.e. `bucket_full_access[travel]`
+  static formatRoles(roles = []) {
+    return roles
+      .map((role) => {
+        if (isString(role)) {
+          return role;
+        }
+        return role.bucket_name ? `${role.role}[${role.bucket_name}]` : role.role;
+      })
+      .join(',');
+  }
+}
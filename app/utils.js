@@ -0,0 +1,138 @@
+////
+/// @author Aaron Benton
+/// @page app/utils
+////
+import { TimeoutError } from './errors';
+
+///# @name delay
+///# @description Resolves after the given number of milliseconds
+///# @arg {number} ms [0] - The number of milliseconds to wait
+///# @async
+export function delay(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+///# @name poll
+///# @description Calls the check function until it resolves a truthy value, the value is returned
+///# @arg {function} check - An async function that resolves a truthy value when polling should stop
+///# @arg {object}
+///# ```js
+///# {
+///#   interval: 1000, // the number of milliseconds to wait between checks
+///#   timeout: 0, // the number of milliseconds before giving up, 0 waits forever
+///#   message: '', // the message of the error thrown when the timeout is reached
+///# }
+///# ```
+///# @async
+export async function poll(check, {
+  interval = 1000,
+  timeout = 0,
+  message = 'Timed out waiting for the operation to complete',
+} = {}) {
+  const started = Date.now();
+  while (true) { // eslint-disable-line no-constant-condition
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    const elapsed = Date.now() - started;
+    if (timeout && elapsed >= timeout) {
+      throw new TimeoutError(message);
+    }
+    await delay(timeout ? Math.min(interval, timeout - elapsed) : interval);
+  }
+}
+
+///# @name channel
+///# @description Creates an async iterator that values are pushed onto, i.e. from a stream
+///# @arg {object}
+///# ```js
+///# {
+///#   high_water: 1000, // the number of buffered values that causes pause to be called
+///#   pause: null, // a function called when the consumer is falling behind
+///#   resume: null, // a function called once the consumer has caught up
+///#   close: null, // a function called when the consumer stops iterating early
+///# }
+///# ```
+///# @returns {object} - `{ push(value), end(err), iterator }`
+export function channel({
+  high_water = 1000,
+  pause,
+  resume,
+  close,
+} = {}) {
+  const values = [];
+  const waiting = [];
+  let done = false;
+  let failure;
+  let paused = false;
+  const iterator = {
+    next() {
+      if (values.length) {
+        const value = values.shift();
+        if (paused && values.length < high_water / 2) {
+          paused = false;
+          if (resume) {
+            resume();
+          }
+        }
+        return Promise.resolve({ value, done: false });
+      }
+      if (failure) {
+        const err = failure;
+        failure = null;
+        return Promise.reject(err);
+      }
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    return() {
+      if (!done) {
+        done = true;
+        values.length = 0;
+        if (close) {
+          close();
+        }
+      }
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+  return {
+    push(value) {
+      if (done) {
+        return;
+      }
+      if (waiting.length) {
+        waiting.shift().resolve({ value, done: false });
+        return;
+      }
+      values.push(value);
+      if (!paused && pause && values.length >= high_water) {
+        paused = true;
+        pause();
+      }
+    },
+    end(err) {
+      if (done) {
+        return;
+      }
+      done = true;
+      failure = err;
+      while (waiting.length) {
+        const { resolve, reject } = waiting.shift();
+        if (failure) {
+          reject(failure);
+          failure = null;
+        } else {
+          resolve({ value: undefined, done: true });
+        }
+      }
+    },
+    iterator,
+  };
+}
@@ -0,0 +1,328 @@
+////
+/// @author Aaron Benton
+/// @page app/watcher
+////
+const debug = require('debug')('couchbase-rest-sdk:Watcher');
+import EventEmitter from 'events';
+import { StringDecoder } from 'string_decoder';
+import { createError, NetworkError, TimeoutError } from './errors';
+import { channel } from './utils';
+import {
+  extend,
+  find,
+  get,
+  isEqual,
+  sortBy,
+} from 'lodash';
+
+// the server writes 4 newlines after each config in a streaming response
+const separator = '\n\n\n\n';
+
+/// @name Watcher
+/// @description Follows one of the streaming endpoints, every config the server sends is emitted as a `snapshot` along
+/// w/ the `change`s from the previous one. When the stream ends or fails it is reconnected w/ an exponential backoff,
+/// the first snapshot after a reconnect is compared to the last one so nothing that changed in between is missed.
+/// It is also an async iterator of `{ snapshot, changes }`, i.e. `for await (const { changes } of cluster.watch()) {}`
+/// @type {class}
+export default class Watcher extends EventEmitter {
+  ///# @name constructor
+  ///# @arg {Base} instance - The instance the streaming requests are sent w/, i.e. a Cluster or a Bucket
+  ///# @arg {object}
+  ///# ```js
+  ///# {
+  ///#   endpoint: '', // the streaming endpoint
+  ///#   diff: null, // a function that is passed the previous and the current snapshot, it returns a list of changes
+  ///#   interval: 1000, // the number of milliseconds to wait before the first reconnect, it doubles w/ each attempt
+  ///#   max_interval: 30000, // the most number of milliseconds to wait between reconnects
+  ///#   attempts: 0, // the number of reconnects in a row w/out a snapshot before giving up, 0 never gives up
+  ///#   idle_timeout: 60000, // the number of milliseconds w/out any data before the stream is reconnected, i.e. when
+  ///#     the connection is silently dropped, 0 waits forever
+  ///# }
+  ///# ```
+  constructor(instance, {
+    endpoint,
+    diff = () => [],
+    interval = 1000,
+    max_interval = 30000,
+    attempts = 0,
+    idle_timeout = 60000,
+  } = {}) {
+    super();
+    this.instance = instance;
+    this.endpoint = endpoint;
+    this.diff = diff;
+    this.interval = interval;
+    this.max_interval = max_interval;
+    this.attempts = attempts;
+    this.idle_timeout = idle_timeout;
+    // the last config the server sent
+    this.snapshot = null;
+    // the number of reconnects since the last snapshot
+    this.attempt = 0;
+    this.closed = false;
+    this.channels = [];
+  }
+
+  ///# @name start
+  ///# @description Opens the stream
+  ///# @returns {Watcher}
+  start() {
+    debug('start');
+    debug(`  endpoint: ${this.endpoint}`);
+    this.connect();
+    return this;
+  }
+
+  ///# @name connect
+  ///# @description Sends the streaming request and parses each config as it arrives, the request is aborted and
+  ///#   reconnected when nothing arrives for `idle_timeout`
+  connect() {
+    if (this.closed) {
+      return;
+    }
+    const { endpoint } = this;
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    let status;
+    let done = false;
+    // the request can both error and end, it is only reconnected once
+    const finish = (err) => {
+      if (done) {
+        return;
+      }
+      done = true;
+      clearTimeout(this.idle_timer);
+      // the request is rejected again on every attempt, i.e. bad credentials or a bucket that doesn't exist
+      if (err && err.status >= 400 && err.status < 500) {
+        this.fail(err);
+        return;
+      }
+      this.reconnect(err);
+    };
+    // restarts the countdown each time the server sends something
+    const idle = () => {
+      clearTimeout(this.idle_timer);
+      if (!this.idle_timeout || done) {
+        return;
+      }
+      this.idle_timer = setTimeout(() => {
+        request.abort();
+        finish(new TimeoutError(`The stream didn't send anything for ${this.idle_timeout}ms`, { method: 'GET', endpoint }));
+      }, this.idle_timeout);
+    };
+    const request = this.request = this.instance.stream({ endpoint, json: false });
+    idle();
+    request
+      .on('response', ({ statusCode }) => {
+        idle();
+        status = statusCode;
+        if (status < 400) {
+          this.emit('connect');
+        }
+      })
+      .on('data', (chunk) => {
+        idle();
+        buffer += decoder.write(chunk);
+        if (status >= 400) {
+          return;
+        }
+        const parts = buffer.split(separator);
+        buffer = parts.pop();
+        parts.filter((part) => part.trim()).forEach((part) => this.receive(part));
+      })
+      .on('error', (err) => finish(createError(err, { method: 'GET', endpoint })))
+      .on('end', () => {
+        buffer += decoder.end();
+        if (status >= 400) {
+          finish(createError({ statusCode: status, error: parse(buffer) }, { method: 'GET', endpoint }));
+          return;
+        }
+        // the server closes the stream when it restarts or the bucket is removed
+        finish();
+      });
+  }
+
+  ///# @name receive
+  ///# @description Parses a config and emits it w/ its changes
+  ///# @arg {string} part - The config as json
+  receive(part) {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(part);
+    } catch (err) {
+      debug(`  invalid config: ${err.message}`);
+      return;
+    }
+    const changes = this.snapshot ? this.diff(this.snapshot, snapshot) : [];
+    debug(`  changes: ${changes.length}`);
+    this.snapshot = snapshot;
+    this.attempt = 0;
+    this.emit('snapshot', snapshot, changes);
+    changes.forEach((change) => this.emit('change', change));
+    this.channels.forEach(({ push }) => push({ snapshot, changes }));
+  }
+
+  ///# @name reconnect
+  ///# @description Waits for the backoff and then opens the stream again
+  ///# @arg {Error} err - Why the stream ended, it is undefined when the server ended it
+  reconnect(err) {
+    if (this.closed) {
+      return;
+    }
+    this.attempt++;
+    if (this.attempts && this.attempt > this.attempts) {
+      this.fail(err || new NetworkError(`The stream ended ${this.attempts} times w/out a config`, {
+        method: 'GET',
+        endpoint: this.endpoint,
+      }));
+      return;
+    }
+    const wait = Math.min(this.max_interval, this.interval * Math.pow(2, this.attempt - 1));
+    debug(`  reconnecting in ${wait}ms (attempt ${this.attempt})${err ? `: ${err.message}` : ''}`);
+    this.emit('reconnect', { attempt: this.attempt, wait, error: err });
+    this.timer = setTimeout(() => this.connect(), wait);
+  }
+
+  ///# @name fail
+  ///# @description Stops watching because of an error that a reconnect won't fix, it is emitted when there are
+  ///#   `error` listeners and thrown by the async iterators
+  ///# @arg {Error} err - The error
+  fail(err) {
+    debug(`  failed: ${err.message}`);
+    const channels = this.channels;
+    this.channels = [];
+    channels.forEach(({ end }) => end(err));
+    if (this.listenerCount('error')) {
+      this.emit('error', err);
+    }
+    this.close();
+  }
+
+  ///# @name close
+  ///# @description Stops watching, the stream is aborted and the async iterators are ended
+  ///# @returns {Watcher}
+  close() {
+    if (this.closed) {
+      return this;
+    }
+    debug('close');
+    this.closed = true;
+    clearTimeout(this.timer);
+    clearTimeout(this.idle_timer);
+    if (this.request) {
+      this.request.abort();
+    }
+    this.channels.forEach(({ end }) => end());
+    this.channels = [];
+    this.emit('close');
+    return this;
+  }
+
+  // every iterator gets each snapshot, the watcher is closed once the last one stops early and nothing else is listening
+  [Symbol.asyncIterator]() {
+    const item = channel({
+      close: () => {
+        this.channels = this.channels.filter((other) => other !== item);
+        if (!this.channels.length && !this.listenerCount('snapshot') && !this.listenerCount('change')) {
+          this.close();
+        }
+      },
+    });
+    if (this.closed) {
+      item.end();
+    } else {
+      this.channels.push(item);
+    }
+    return item.iterator;
+  }
+}
+
+///# @name clusterChanges
+///# @description The changes between two configs of `/poolsStreaming/default`, i.e.
+///#   `{ type: 'node_status_changed', otp_node, hostname, from: 'healthy', to: 'unhealthy' }`, the types are:
+///#   node_added, node_removed, node_status_changed, node_membership_changed, node_services_changed,
+///#   rebalance_status_changed, quota_changed, cluster_name_changed
+///# @arg {object} previous - The previous config
+///# @arg {object} current - The current config
+///# @returns {array}
+export function clusterChanges(previous, current) {
+  return nodeChanges(previous.nodes, current.nodes).concat(valueChanges(previous, current, {
+    rebalanceStatus: 'rebalance_status_changed',
+    memoryQuota: 'quota_changed',
+    indexMemoryQuota: 'quota_changed',
+    ftsMemoryQuota: 'quota_changed',
+    clusterName: 'cluster_name_changed',
+  }));
+}
+
+///# @name bucketChanges
+///# @description The changes between two configs of `/pools/default/bucketsStreaming/<name>`, i.e.
+///#   `{ type: 'bucket_quota_changed', bucket, from: 100, to: 200 }` the quota is the ram per node in MB, the types are:
+///#   node_added, node_removed, node_status_changed, node_membership_changed, node_services_changed,
+///#   bucket_quota_changed, bucket_replicas_changed, bucket_eviction_policy_changed
+///# @arg {object} previous - The previous config
+///# @arg {object} current - The current config
+///# @returns {array}
+export function bucketChanges(previous, current) {
+  const changes = nodeChanges(previous.nodes, current.nodes);
+  const from = get(previous, 'quota.rawRAM');
+  const to = get(current, 'quota.rawRAM');
+  if (from !== to) {
+    changes.push({ type: 'bucket_quota_changed', bucket: current.name, from: megabytes(from), to: megabytes(to) });
+  }
+  return changes.concat(valueChanges(previous, current, {
+    replicaNumber: 'bucket_replicas_changed',
+    evictionPolicy: 'bucket_eviction_policy_changed',
+  }).map(({ type, ...change }) => extend({ type, bucket: current.name }, change)));
+}
+
+// the changes of the nodes in a config, they are matched by their otpNode or the hostname when there isn't one
+function nodeChanges(before = [], after = []) {
+  const key = (item) => item.otpNode || item.hostname;
+  const fields = {
+    status: 'node_status_changed',
+    clusterMembership: 'node_membership_changed',
+    services: 'node_services_changed',
+  };
+  const changes = [];
+  after.forEach((item) => {
+    const node = { otp_node: item.otpNode, hostname: item.hostname };
+    const old = find(before, (other) => key(other) === key(item));
+    if (!old) {
+      changes.push(extend({ type: 'node_added' }, node));
+      return;
+    }
+    Object.keys(fields).forEach((field) => {
+      // the order of the services doesn't matter
+      const normalize = (value) => (Array.isArray(value) ? sortBy(value) : value);
+      if (!isEqual(normalize(old[field]), normalize(item[field]))) {
+        changes.push(extend({ type: fields[field] }, node, { from: old[field], to: item[field] }));
+      }
+    });
+  });
+  before
+    .filter((item) => !find(after, (other) => key(other) === key(item)))
+    .forEach((item) => changes.push({ type: 'node_removed', otp_node: item.otpNode, hostname: item.hostname }));
+  return changes;
+}
+
+// the changes of the top level values of a config, fields is the type of the change keyed by the field
+function valueChanges(previous, current, fields) {
+  return Object.keys(fields)
+    .filter((field) => !isEqual(previous[field], current[field]))
+    .map((field) => ({ type: fields[field], field, from: previous[field], to: current[field] }));
+}
+
+// converts bytes to MB
+function megabytes(bytes) {
+  return bytes === undefined ? bytes : Math.round(bytes / 1024 / 1024);
+}
+
+// parses an error body, errors like a 401 aren't json
+function parse(body) {
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    return body;
+  }
+}
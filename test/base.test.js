@@ -0,0 +1,69 @@
+import test from 'ava';
+import http from 'http';
+import { AuthenticationError, NetworkError, ServerError } from '../dist';
+import Base from '../dist/base';
+
+const retry = { attempts: 3, delay: 5, jitter: false };
+
+// starts a server that responds w/ each status in order, the last one is repeated
+test.beforeEach(async (t) => {
+  t.context.statuses = [];
+  t.context.requests = [];
+  t.context.server = http.createServer((req, res) => {
+    const { statuses, requests } = t.context;
+    requests.push(`${req.method} ${req.url}`);
+    const status = statuses[Math.min(requests.length, statuses.length) - 1];
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(status < 400 ? { ok: true } : { error: `status ${status}` }));
+  });
+  await new Promise((resolve) => t.context.server.listen(0, '127.0.0.1', resolve));
+  t.context.base = new Base({ cluster_host: '127.0.0.1', cluster_port: t.context.server.address().port, retry });
+});
+
+test.afterEach.always((t) => new Promise((resolve) => t.context.server.close(resolve)));
+
+test('a retryable status is retried until the request succeeds', async (t) => {
+  const { base } = t.context;
+  t.context.statuses = [ 503, 502, 200 ];
+  t.deepEqual(await base.get('/pools'), { ok: true });
+  t.deepEqual(t.context.requests, [ 'GET /pools', 'GET /pools', 'GET /pools' ]);
+});
+
+test('the error is thrown once the attempts run out', async (t) => {
+  const { base } = t.context;
+  t.context.statuses = [ 503 ];
+  const err = await t.throws(base.get('/pools'), ServerError);
+  t.is(err.status, 503);
+  t.is(t.context.requests.length, 3);
+});
+
+test('statuses that are not retryable are thrown right away', async (t) => {
+  const { base } = t.context;
+  t.context.statuses = [ 401, 200 ];
+  await t.throws(base.get('/pools'), AuthenticationError);
+  t.is(t.context.requests.length, 1);
+});
+
+test('requests that are not idempotent are only retried when allowed', async (t) => {
+  const { base } = t.context;
+  t.context.statuses = [ 503, 200 ];
+  await t.throws(base.post('/controller/addNode', { idempotent: false }), ServerError);
+  t.is(t.context.requests.length, 1);
+  t.deepEqual(await base.post('/controller/addNode', { idempotent: false, retry: { non_idempotent: true } }), { ok: true });
+  t.is(t.context.requests.length, 2);
+});
+
+test('a refused connection is retried even when the request is not idempotent', async (t) => {
+  const { server } = t.context;
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  const base = new Base({ cluster_host: '127.0.0.1', cluster_port: port, retry });
+  const attempts = [];
+  base.use({ beforeRequest(options, { attempt }) { attempts.push(attempt); } });
+  const err = await t.throws(base.post('/controller/addNode', { idempotent: false }), NetworkError);
+  t.is(err.code, 'ECONNREFUSED');
+  t.deepEqual(attempts, [ 1, 2, 3 ]);
+  // the server is already closed
+  t.context.server = { close: (done) => done() };
+});
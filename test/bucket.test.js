@@ -0,0 +1,56 @@
+import test from 'ava';
+import { Bucket } from '../dist';
+
+// a bucket whose view is served from the rows, it pages the way the server does
+function viewBucket(rows) {
+  const bucket = new Bucket({ name: 'test' });
+  bucket.requests = [];
+  bucket.discover = async () => ({ protocol: 'http', host: 'localhost', port: 8092 });
+  bucket.get = async (endpoint, { data }) => {
+    bucket.requests.push(data);
+    let start = 0;
+    if (data.startkey !== undefined) {
+      const key = JSON.parse(data.startkey);
+      start = rows.findIndex((row) => {
+        return row.key > key || (row.key === key && (data.startkey_docid === undefined || row.id >= data.startkey_docid));
+      });
+      start = start === -1 ? rows.length : start;
+    }
+    return { rows: rows.slice(start + Number(data.skip), start + Number(data.skip) + Number(data.limit)) };
+  };
+  return bucket;
+}
+
+// collects the rows of an async iterator
+async function collect(iterator) {
+  const rows = [];
+  for await (const row of iterator) {
+    rows.push(row);
+  }
+  return rows;
+}
+
+test('view pages from the last row instead of skipping', async (t) => {
+  const rows = Array.from({ length: 25 }, (value, index) => ({ id: `doc${100 + index}`, key: Math.floor(index / 2), value: null }));
+  const bucket = viewBucket(rows);
+  t.deepEqual(await collect(bucket.view('ddoc', 'view', { page_size: 10 })), rows);
+  t.deepEqual(bucket.requests.map(({ startkey, startkey_docid, skip }) => `${startkey} ${startkey_docid} ${skip}`), [
+    'undefined undefined 0',
+    '4 doc109 1',
+    '9 doc119 1',
+  ]);
+});
+
+test('view skips every row identical to the last one', async (t) => {
+  // a document that emits the same key more than once, across the end of a page
+  const rows = [ 'a', 'b', 'c', 'c', 'c', 'c', 'c', 'd' ].map((key) => ({ id: `doc-${key}`, key, value: null }));
+  const bucket = viewBucket(rows);
+  t.deepEqual(await collect(bucket.view('ddoc', 'view', { page_size: 3 })), rows);
+});
+
+test('view stops at the limit and only skips rows on the first page', async (t) => {
+  const rows = Array.from({ length: 30 }, (value, index) => ({ id: `doc${100 + index}`, key: index, value: null }));
+  const bucket = viewBucket(rows);
+  t.deepEqual(await collect(bucket.view('ddoc', 'view', { skip: 5, limit: 12, page_size: 5 })), rows.slice(5, 17));
+  t.deepEqual(bucket.requests.map(({ skip, limit }) => `${skip} ${limit}`), [ '5 5', '1 5', '1 2' ]);
+});
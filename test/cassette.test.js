@@ -0,0 +1,72 @@
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import RestApi, { Cassette, CouchbaseError, createMockCluster, NotFoundError } from '../dist';
+
+test.beforeEach(async (t) => {
+  t.context.mock = await createMockCluster({ username: 'Administrator', password: 's3cret-pass' });
+  t.context.file = path.join(os.tmpdir(), `cassette-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.json`);
+});
+
+test.afterEach.always((t) => {
+  if (fs.existsSync(t.context.file)) {
+    fs.unlinkSync(t.context.file);
+  }
+  return t.context.mock.close();
+});
+
+test('a recorded cassette is replayed w/out a cluster', async (t) => {
+  const { mock, file } = t.context;
+  const recorded = await record(mock, file);
+  const { port } = mock;
+  await mock.close();
+  const cluster = new RestApi({ cassette: { file } }).cluster('127.0.0.1', { cluster_port: port });
+  t.is(cluster.cassette.mode, 'replay');
+  await cluster.initialize({ cluster_name: 'recorded', kv_memory: 512, services: 'kv' });
+  t.deepEqual(await cluster.details(), recorded);
+  // errors are replayed as well
+  await t.throws(cluster.bucket('missing').details(), NotFoundError);
+});
+
+test('credentials are scrubbed before the cassette is written', async (t) => {
+  const { mock, file } = t.context;
+  await record(mock, file);
+  const contents = fs.readFileSync(file, 'utf8');
+  t.false(contents.includes('s3cret-pass'));
+  const { interactions } = JSON.parse(contents);
+  const credentials = interactions.find(({ request }) => request.endpoint === '/settings/web');
+  t.is(credentials.request.form.username, '<scrubbed>');
+  t.is(credentials.request.form.password, '<scrubbed>');
+});
+
+test('replaying a request that was not recorded throws', async (t) => {
+  const { mock, file } = t.context;
+  await record(mock, file);
+  const cassette = new Cassette({ file, mode: 'replay' });
+  const err = t.throws(() => cassette.next({ method: 'GET', endpoint: '/pools/nope' }), CouchbaseError);
+  t.is(err.endpoint, '/pools/nope');
+  // each interaction is only played once until the cassette is rewound
+  const details = cassette.interactions.filter(({ request }) => `${request.method} ${request.endpoint}` === 'GET /pools/default');
+  const { request } = details[0];
+  details.forEach(() => cassette.next(request));
+  t.throws(() => cassette.next(request), /No recorded response/);
+  t.truthy(cassette.rewind().next(request));
+});
+
+test('the options of a cassette are checked', (t) => {
+  t.throws(() => new Cassette(), /needs a file/);
+  t.throws(() => new Cassette({ file: 'cassette.json', match: [ 'headers' ] }), /not: headers/);
+  t.throws(() => new Cassette({ file: 'cassette.json', mode: 'play' }), /not: play/);
+  t.is(new Cassette({ file: path.join(os.tmpdir(), 'does-not-exist.json') }).mode, 'record');
+});
+
+// records the requests of initializing the mock cluster and reading it back
+async function record(mock, file) {
+  const api = new RestApi(Object.assign(mock.connection(), { cassette: { file, mode: 'record' } }));
+  const cluster = api.cluster(mock.host, { cluster_port: mock.port });
+  await cluster.initialize({ cluster_name: 'recorded', kv_memory: 512, services: 'kv' });
+  const details = await cluster.details();
+  await cluster.bucket('missing').details().catch(() => {});
+  return details;
+}
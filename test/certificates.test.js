@@ -0,0 +1,84 @@
+import test from 'ava';
+import url from 'url';
+import { Certificates } from '../dist';
+
+const pem = '-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----\n';
+
+test.beforeEach((t) => {
+  t.context.certificates = new Certificates({ cluster_host: '10.0.0.1', username: 'Administrator', password: 'password' });
+  t.context.requests = stub(t.context.certificates, ({ endpoint }) => {
+    if (endpoint === '/pools/default/certificate') {
+      return pem;
+    }
+    if (endpoint === '/controller/uploadClusterCA') {
+      return JSON.stringify([ { subject: 'CN=Test CA', type: 'uploaded', pem } ]);
+    }
+    return {};
+  });
+});
+
+test('clusterCA resolves w/ the PEM as is', async (t) => {
+  const { certificates, requests } = t.context;
+  t.is(await certificates.clusterCA(), pem);
+  t.false(requests[0].json);
+});
+
+test('uploadClusterCA posts the raw certificate and parses the details', async (t) => {
+  const { certificates, requests } = t.context;
+  const details = await certificates.uploadClusterCA(Buffer.from(pem));
+  t.deepEqual(details, [ { subject: 'CN=Test CA', type: 'uploaded', pem } ]);
+  t.is(requests[0].method, 'POST');
+  t.is(requests[0].body, pem);
+  t.is(requests[0].headers['Content-Type'], 'application/octet-stream');
+});
+
+test('nodeCertificate adds the REST port to the encoded hostname', async (t) => {
+  const { certificates, requests } = t.context;
+  await certificates.nodeCertificate();
+  await certificates.nodeCertificate('10.0.0.2:9000');
+  t.deepEqual(requests.map(({ endpoint }) => endpoint), [
+    '/pools/default/certificate/node/10.0.0.1%3A8091',
+    '/pools/default/certificate/node/10.0.0.2%3A9000',
+  ]);
+});
+
+test('reloadNodeCertificate is sent to the node', async (t) => {
+  const { certificates, requests } = t.context;
+  await certificates.reloadNodeCertificate('10.0.0.2');
+  t.is(requests[0].host, '10.0.0.2');
+  t.is(requests[0].endpoint, '/node/controller/reloadCertificate');
+});
+
+test('updateClientCertAuth posts the settings as json', async (t) => {
+  const { certificates, requests } = t.context;
+  const prefixes = [ { path: 'subject.cn', prefix: '', delimiter: '' } ];
+  await certificates.updateClientCertAuth({ state: 'enable', prefixes });
+  t.deepEqual(requests[0].body, { state: 'enable', prefixes });
+  t.is(requests[0].headers['Content-Type'], 'application/json');
+});
+
+test('https requests use the secure port and the tls settings', async (t) => {
+  const certificates = new Certificates({
+    cluster_host: '10.0.0.1',
+    cluster_protocol: 'https',
+    tls: { ca: pem, rejectUnauthorized: false },
+  });
+  const requests = stub(certificates, () => ({ state: 'disable', prefixes: [] }));
+  await certificates.clientCertAuth();
+  t.is(requests[0].protocol, 'https:');
+  t.is(requests[0].port, 18091);
+  t.is(requests[0].ca, pem);
+  t.false(requests[0].rejectUnauthorized);
+});
+
+// replaces the transport of an instance, each request is recorded and answered by the handler
+function stub(instance, handler) {
+  const requests = [];
+  instance.transport = async ({ method, uri, body, headers, json, ca, rejectUnauthorized }) => {
+    const { protocol, hostname: host, port, pathname } = url.parse(uri);
+    const request = { method, protocol, host, port: Number(port), endpoint: pathname, body, headers, json, ca, rejectUnauthorized };
+    requests.push(request);
+    return handler(request);
+  };
+  return requests;
+}
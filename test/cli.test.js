@@ -0,0 +1,162 @@
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockCluster } from '../dist';
+import run from '../dist/cli';
+
+test.beforeEach(async (t) => {
+  t.context.mock = await createMockCluster({ username: 'Administrator', password: 'password' });
+  const { mock } = t.context;
+  t.context.env = { COUCHBASE_HOST: mock.host, COUCHBASE_PORT: String(mock.port) };
+  t.context.files = [];
+});
+
+test.afterEach.always((t) => {
+  t.context.files.forEach((file) => fs.unlinkSync(file));
+  return t.context.mock.close();
+});
+
+test('cluster init and info print a table or json', async (t) => {
+  const { mock, env } = t.context;
+  let result = await cli([ 'cluster', 'init', '--services', 'kv,n1ql', '--kv-memory', '512', '--cluster-name', 'test' ], env);
+  t.is(result.code, 0);
+  t.is(result.stdout, `key      value\ncluster  ${mock.host}\nstatus   initialized\n`);
+  t.is(mock.state.cluster_name, 'test');
+  t.is(mock.state.memory.memoryQuota, 512);
+  result = await cli([ 'cluster', 'info' ], env);
+  t.is(result.code, 0);
+  const [ header, row ] = result.stdout.trim().split('\n');
+  t.deepEqual(header.split(/\s+/), [ 'hostname', 'services', 'status', 'membership', 'version' ]);
+  t.deepEqual(row.split(/\s+/).slice(0, 4), [ `${mock.host}:${mock.port}`, 'kv,n1ql', 'healthy', 'active' ]);
+  result = await cli([ 'cluster', 'info', '--json' ], env);
+  t.deepEqual(JSON.parse(result.stdout).map(({ hostname, services }) => `${hostname} ${services}`), [
+    `${mock.host}:${mock.port} kv,n1ql`,
+  ]);
+});
+
+test('node add, failover, recover and eject change the node', async (t) => {
+  const { mock, env } = t.context;
+  await cli([ 'cluster', 'init', '--kv-memory', '512' ], env);
+  let result = await cli([ 'node', 'add', '10.0.0.2', '--services', 'kv', '--rebalance', '--json' ], env);
+  t.is(result.code, 0, result.stderr);
+  t.deepEqual(JSON.parse(result.stdout), { hostname: '10.0.0.2', status: 'added and rebalanced' });
+  const added = () => mock.state.nodes.find(({ hostname }) => hostname === '10.0.0.2:8091');
+  t.is(added().membership, 'active');
+  result = await cli([ 'node', 'failover', '10.0.0.2', '--hard', '--json' ], env);
+  t.is(result.code, 0, result.stderr);
+  t.is(JSON.parse(result.stdout).status, 'failed over');
+  t.is(added().membership, 'inactiveFailed');
+  result = await cli([ 'node', 'recover', '10.0.0.2', '--recovery-type', 'delta', '--json' ], env);
+  t.is(result.code, 0, result.stderr);
+  t.is(JSON.parse(result.stdout).status, 'delta recovery set');
+  t.is(added().recovery_type, 'delta');
+  result = await cli([ 'rebalance', '--eject', '10.0.0.2', '--wait', '--json' ], env);
+  t.is(result.code, 0, result.stderr);
+  t.deepEqual(JSON.parse(result.stdout), { status: 'rebalanced' });
+  t.falsy(added());
+});
+
+test('node add puts the node in a server group', async (t) => {
+  const { mock, env } = t.context;
+  await cli([ 'cluster', 'init', '--kv-memory', '512' ], env);
+  t.is((await cli([ 'server-group', 'create', 'Rack 2' ], env)).code, 0);
+  const result = await cli([ 'node', 'add', '10.0.0.2', '--server-group', 'Rack 2' ], env);
+  t.is(result.code, 0, result.stderr);
+  const group = mock.state.server_groups.find(({ name }) => name === 'Rack 2');
+  t.is(mock.state.nodes[1].group, group.uuid);
+  t.is(mock.state.nodes[1].membership, 'inactiveAdded');
+});
+
+test('bucket create, list and delete', async (t) => {
+  const { mock, env } = t.context;
+  await cli([ 'cluster', 'init', '--kv-memory', '512' ], env);
+  let result = await cli([ 'bucket', 'create', 'travel', '--ram-size', '200', '--flush-enabled' ], env);
+  t.is(result.code, 0, result.stderr);
+  t.is(mock.state.buckets[0].flushEnabled, true);
+  result = await cli([ 'bucket', 'list', '--json' ], env);
+  t.deepEqual(JSON.parse(result.stdout), [ { name: 'travel', type: 'membase', ram_size: 200, replicas: 0, items: 0 } ]);
+  result = await cli([ 'bucket', 'list' ], env);
+  t.is(result.stdout.split('\n')[0], 'name    type     ram_size  replicas  items');
+  result = await cli([ 'bucket', 'delete', 'travel' ], env);
+  t.is(result.code, 0, result.stderr);
+  t.deepEqual(mock.state.buckets, []);
+});
+
+test('server-group create, rename and move', async (t) => {
+  const { mock, env } = t.context;
+  await cli([ 'cluster', 'init', '--kv-memory', '512' ], env);
+  await cli([ 'node', 'add', '10.0.0.2', '--rebalance' ], env);
+  let result = await cli([ 'server-group', 'create', 'Rack 2' ], env);
+  t.is(result.code, 0, result.stderr);
+  result = await cli([ 'server-group', 'rename', 'Rack 2', 'Rack 3', '--json' ], env);
+  t.is(result.code, 0, result.stderr);
+  t.deepEqual(JSON.parse(result.stdout), { name: 'Rack 3', status: 'renamed from Rack 2' });
+  result = await cli([ 'server-group', 'move', '10.0.0.2', '--to', 'Rack 3', '--json' ], env);
+  t.is(result.code, 0, result.stderr);
+  t.deepEqual(JSON.parse(result.stdout), { hostnames: '10.0.0.2', server_group: 'Rack 3', status: 'moved' });
+  const group = mock.state.server_groups.find(({ name }) => name === 'Rack 3');
+  t.is(mock.state.nodes[1].group, group.uuid);
+});
+
+test('errors from the cluster are printed w/ an exit code of 1', async (t) => {
+  const { env } = t.context;
+  await cli([ 'cluster', 'init', '--kv-memory', '512' ], env);
+  const result = await cli([ 'bucket', 'create', 'travel', '--ram-size', '50' ], env);
+  t.is(result.code, 1);
+  t.is(result.stdout, '');
+  t.regex(result.stderr, /^Error: .*ram_size/);
+});
+
+test('usage is printed for help, unknown commands and missing arguments', async (t) => {
+  const { env } = t.context;
+  let result = await cli([ '--help' ], env);
+  t.is(result.code, 0);
+  t.regex(result.stdout, /^Usage: couchbase-rest/);
+  result = await cli([ 'nope' ], env);
+  t.is(result.code, 1);
+  t.regex(result.stderr, /^Usage: couchbase-rest/);
+  result = await cli([ 'server-group', 'rename', 'Rack 2' ], env);
+  t.is(result.code, 1);
+  t.regex(result.stderr, /^Missing arguments for server-group rename/);
+});
+
+test('flags take precedence over the environment which takes precedence over the config file', async (t) => {
+  const { mock } = t.context;
+  await cli([ 'cluster', 'init', '--kv-memory', '512' ], t.context.env);
+  const config = configFile(t, { host: mock.host, port: mock.port, password: 'from-file' });
+  // the password from the config file is wrong
+  let result = await cli([ 'cluster', 'info', '--config', config ], {});
+  t.is(result.code, 1);
+  t.regex(result.stderr, /^Error: /);
+  // the environment overrides it
+  result = await cli([ 'cluster', 'info', '--config', config ], { COUCHBASE_PASSWORD: 'password' });
+  t.is(result.code, 0, result.stderr);
+  // and a flag overrides the environment
+  result = await cli([ 'cluster', 'info', '--config', config, '--password', 'from-flag' ], { COUCHBASE_PASSWORD: 'password' });
+  t.is(result.code, 1);
+  result = await cli([ 'cluster', 'info', '--config', config, '--password', 'password' ], { COUCHBASE_PASSWORD: 'from-env' });
+  t.is(result.code, 0, result.stderr);
+});
+
+test('a missing config file is an error', async (t) => {
+  const result = await cli([ 'cluster', 'info', '--config', path.join(os.tmpdir(), 'does-not-exist.json') ], {});
+  t.is(result.code, 1);
+  t.regex(result.stderr, /^Error: ENOENT/);
+});
+
+// runs the command line tool and captures what it writes
+async function cli(argv, env) {
+  const output = { stdout: '', stderr: '' };
+  const stream = (name) => ({ write: (chunk) => { output[name] += chunk; } });
+  const code = await run(argv, { env, stdout: stream('stdout'), stderr: stream('stderr') });
+  return Object.assign({ code }, output);
+}
+
+// writes a config file that is removed after the test
+function configFile(t, contents) {
+  const file = path.join(os.tmpdir(), `couchbase-rest-${process.pid}-${Date.now()}.json`);
+  fs.writeFileSync(file, JSON.stringify(contents));
+  t.context.files.push(file);
+  return file;
+}
@@ -0,0 +1,156 @@
+import test from 'ava';
+import RestApi, {
+  CouchbaseError,
+  createMockCluster,
+  TimeoutError,
+} from '../dist';
+
+test.beforeEach(async (t) => {
+  t.context.mock = await createMockCluster({ initialized: true });
+  const { mock } = t.context;
+  t.context.cluster = new RestApi(mock.connection()).cluster(mock.host, { cluster_port: mock.port });
+  t.context.otp_node = mock.state.nodes[0].otp_node;
+});
+
+test.afterEach.always((t) => t.context.mock.close());
+
+// starts a rebalance in the mock that stays running until it is finished by the test
+function running(mock, otp_node, progress = 0.5) {
+  mock.state.rebalance_status = 'running';
+  mock.state.rebalance_progress = { [otp_node]: { progress } };
+}
+
+test('rebalance w/ wait resolves once the rebalance completes and emits the progress', async (t) => {
+  const { mock, cluster, otp_node } = t.context;
+  running(mock, otp_node, 0.25);
+  const overall = [];
+  const nodes = [];
+  const onProgress = ({ progress }) => {
+    overall.push(progress);
+    mock.state.rebalance_progress[otp_node].progress += 0.25;
+    if (overall.length === 3) {
+      mock.state.rebalance_status = 'none';
+    }
+  };
+  const onNode = (details) => nodes.push(details);
+  cluster.on('rebalance_progress', onProgress);
+  cluster.on('node_progress', onNode);
+  try {
+    await cluster.rebalance({ wait: true, interval: 10 });
+  } finally {
+    cluster.removeListener('rebalance_progress', onProgress);
+    cluster.removeListener('node_progress', onNode);
+  }
+  t.deepEqual(overall, [ 25, 50, 75 ]);
+  t.deepEqual(nodes, [ 25, 50, 75 ].map((progress) => ({ otp_node, progress })));
+});
+
+test('rebalance w/ wait passes the progress to on_progress', async (t) => {
+  const { mock, cluster, otp_node } = t.context;
+  running(mock, otp_node);
+  const calls = [];
+  await cluster.rebalance({
+    wait: true,
+    interval: 10,
+    on_progress: (details) => {
+      calls.push(details);
+      mock.state.rebalance_status = 'none';
+    },
+  });
+  t.deepEqual(calls, [ { progress: 50, nodes: { [otp_node]: 50 } } ]);
+});
+
+test('rebalance w/ a timeout stops the rebalance and rejects w/ a TimeoutError', async (t) => {
+  const { mock, cluster, otp_node } = t.context;
+  running(mock, otp_node);
+  const err = await t.throws(cluster.rebalance({ wait: true, interval: 10, timeout: 50 }), TimeoutError);
+  t.regex(err.message, /did not complete within 50ms/);
+  t.truthy(mock.requests.find(({ endpoint }) => endpoint === '/controller/stopRebalance'));
+  t.is(mock.state.rebalance_status, 'none');
+});
+
+test('rebalance rejects w/ the reason from the tasks when the rebalance fails', async (t) => {
+  const { mock, cluster, otp_node } = t.context;
+  running(mock, otp_node);
+  cluster.once('rebalance_progress', () => {
+    mock.state.rebalance_status = 'none';
+    mock.state.rebalance_error = 'Rebalance exited with reason {buckets_shutdown_wait_failed}';
+  });
+  const err = await t.throws(cluster.rebalance({ wait: true, interval: 10 }), CouchbaseError);
+  t.is(err.message, 'Rebalance exited with reason {buckets_shutdown_wait_failed}');
+});
+
+test('stopRebalance rejects anything waiting on the rebalance', async (t) => {
+  const { mock, cluster, otp_node } = t.context;
+  running(mock, otp_node);
+  const waiting = cluster.waitForRebalance({ interval: 10 });
+  await cluster.stopRebalance();
+  const err = await t.throws(waiting, CouchbaseError);
+  t.is(err.message, 'Rebalance was stopped');
+});
+
+test('removeNodes fails over the nodes, rebalances them out and emits each step', async (t) => {
+  const { mock, cluster } = t.context;
+  await cluster.addNodes({ nodes: [ { hostname: '10.0.0.2', services: 'kv' }, { hostname: '10.0.0.3', services: 'index' } ] });
+  const steps = [];
+  const onProgress = ({ step, hostname }) => steps.push(`${step} ${hostname}`);
+  cluster.on('remove_progress', onProgress);
+  let removed;
+  try {
+    removed = await cluster.removeNodes([ '10.0.0.2', '10.0.0.3' ], { graceful: false, interval: 10 });
+  } finally {
+    cluster.removeListener('remove_progress', onProgress);
+  }
+  t.deepEqual(removed, [
+    { hostname: '10.0.0.2:8091', otp_node: 'ns_1@10.0.0.2', failover: 'hard' },
+    { hostname: '10.0.0.3:8091', otp_node: 'ns_1@10.0.0.3', failover: 'hard' },
+  ]);
+  t.deepEqual(steps, [ 'hard_failover 10.0.0.2:8091', 'hard_failover 10.0.0.3:8091' ]);
+  t.deepEqual(mock.state.nodes.map(({ hostname }) => hostname), [ `${mock.host}:${mock.port}` ]);
+});
+
+test('rollingReplace swaps each node and emits each step', async (t) => {
+  const { mock, cluster } = t.context;
+  await cluster.addNodes({ nodes: [ { hostname: '10.0.0.2', services: 'kv' } ] });
+  const steps = [];
+  const onProgress = ({ step, hostname }) => steps.push(`${step} ${hostname}`);
+  cluster.on('replace_progress', onProgress);
+  try {
+    await cluster.rollingReplace([ [ '10.0.0.2', '10.0.0.12' ] ], { interval: 10 });
+  } finally {
+    cluster.removeListener('replace_progress', onProgress);
+  }
+  t.deepEqual(steps, [ 'health_check null', 'add 10.0.0.12', 'health_check 10.0.0.12' ]);
+  t.deepEqual(mock.state.nodes.map(({ hostname, services }) => `${hostname} ${services}`), [
+    `${mock.host}:${mock.port} kv`,
+    '10.0.0.12:8091 kv',
+  ]);
+});
+
+test('recoverNodes refuses to remove the other failed over nodes unless eject_others is passed', async (t) => {
+  const { mock, cluster } = t.context;
+  await cluster.addNodes({ nodes: [ { hostname: '10.0.0.2', services: 'kv' }, { hostname: '10.0.0.3', services: 'kv' } ] });
+  mock.state.nodes.slice(1).forEach((item) => {
+    item.membership = 'inactiveFailed';
+  });
+  const err = await t.throws(cluster.recoverNodes({ nodes: [ '10.0.0.2' ], interval: 10 }), CouchbaseError);
+  t.deepEqual(err.nodes, [ 'ns_1@10.0.0.3' ]);
+  t.is(mock.state.nodes[1].recovery_type, 'none');
+  const recovered = await cluster.recoverNodes({ nodes: [ '10.0.0.2' ], eject_others: true, interval: 10 });
+  t.deepEqual(recovered, { delta: [ { hostname: '10.0.0.2:8091', otp_node: 'ns_1@10.0.0.2' } ], full: [] });
+  t.deepEqual(mock.state.nodes.map(({ hostname, membership }) => `${hostname} ${membership}`), [
+    `${mock.host}:${mock.port} active`,
+    '10.0.0.2:8091 active',
+  ]);
+});
+
+test('recoverNodes recovers every failed over node by default', async (t) => {
+  const { mock, cluster } = t.context;
+  await cluster.addNodes({ nodes: [ { hostname: '10.0.0.2', services: 'kv' }, { hostname: '10.0.0.3', services: 'kv' } ] });
+  mock.state.nodes.slice(1).forEach((item) => {
+    item.membership = 'inactiveFailed';
+  });
+  const { delta } = await cluster.recoverNodes({ interval: 10 });
+  t.is(delta.length, 2);
+  t.true(mock.state.nodes.every(({ membership }) => membership === 'active'));
+});
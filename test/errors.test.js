@@ -0,0 +1,76 @@
+import test from 'ava';
+import {
+  AuthenticationError,
+  ConflictError,
+  CouchbaseError,
+  NetworkError,
+  NotFoundError,
+  RequestError,
+  ServerError,
+  TimeoutError,
+  ValidationError,
+} from '../dist';
+import { createError } from '../dist/errors';
+
+const context = { method: 'POST', endpoint: '/pools/default' };
+
+test('each status is mapped to its error class', (t) => {
+  const classes = {
+    400: ValidationError,
+    401: AuthenticationError,
+    403: AuthenticationError,
+    404: NotFoundError,
+    409: ConflictError,
+    418: RequestError,
+    500: ServerError,
+    503: ServerError,
+  };
+  Object.keys(classes).forEach((status) => {
+    const err = createError({ statusCode: Number(status), error: 'nope' }, context);
+    t.true(err instanceof classes[status], status);
+    t.true(err instanceof RequestError);
+    t.true(err instanceof CouchbaseError);
+    t.is(err.status, Number(status));
+    t.is(err.method, 'POST');
+    t.is(err.endpoint, '/pools/default');
+  });
+});
+
+test('the validation errors of a response are kept by field', (t) => {
+  const err = createError({
+    statusCode: 400,
+    error: { errors: { ramQuotaMB: 'RAM quota cannot be less than 100 MB', name: 'Bucket with given name already exists' } },
+  }, context);
+  t.true(err instanceof ValidationError);
+  t.is(err.message, 'RAM quota cannot be less than 100 MB; Bucket with given name already exists');
+  t.deepEqual(err.errors, [ 'RAM quota cannot be less than 100 MB', 'Bucket with given name already exists' ]);
+  t.is(err.fields.ramQuotaMB, 'RAM quota cannot be less than 100 MB');
+});
+
+test('a list of errors is joined and a body w/out one uses the status', (t) => {
+  t.is(createError({ statusCode: 400, error: [ 'first', 'second' ] }, context).message, 'first; second');
+  t.deepEqual(createError({ statusCode: 400, error: [ 'first' ] }, context).fields, {});
+  t.is(createError({ statusCode: 401, error: '' }, context).message, 'Unauthorized');
+  t.is(createError({ statusCode: 404 }, context).message, 'Not Found');
+  t.is(createError({ statusCode: 500, error: { reason: { code: 1 } } }, context).message, '{"code":1}');
+});
+
+test('requests that never got a response are network or timeout errors', (t) => {
+  const refused = createError({
+    message: 'Error: connect ECONNREFUSED',
+    cause: { code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' },
+  }, context);
+  t.true(refused instanceof NetworkError);
+  t.is(refused.code, 'ECONNREFUSED');
+  t.is(refused.message, 'connect ECONNREFUSED');
+  t.is(refused.status, undefined);
+  const timeout = createError({ message: 'Error: ESOCKETTIMEDOUT', error: { code: 'ESOCKETTIMEDOUT' } }, context);
+  t.true(timeout instanceof TimeoutError);
+  t.is(timeout.code, 'ESOCKETTIMEDOUT');
+  t.is(createError({}, context).message, 'Unknown Error');
+});
+
+test('errors have the name of their class', (t) => {
+  t.is(new ConflictError('stale', context).name, 'ConflictError');
+  t.is(new CouchbaseError('failed', { nodes: [ 'a' ] }).nodes[0], 'a');
+});
@@ -0,0 +1,108 @@
+import test from 'ava';
+import url from 'url';
+import { Fts, SearchHit } from '../dist';
+
+const index = {
+  type: 'fulltext-index',
+  name: 'hotels',
+  uuid: 'c0ffee',
+  sourceType: 'couchbase',
+  sourceName: 'travel',
+  params: { mapping: { default_analyzer: 'standard' } },
+  planParams: { maxPartitionsPerPIndex: 171, nodePlanParams: { '': { '': { canRead: true, canWrite: false } } } },
+};
+
+test.beforeEach((t) => {
+  t.context.fts = new Fts({ cluster_host: '127.0.0.1', username: 'Administrator', password: 'password' });
+  t.context.requests = stub(t.context.fts, ({ method, endpoint }) => {
+    if (endpoint === '/pools/default') {
+      return { nodes: [ { hostname: '127.0.0.1:8091', services: [ 'kv', 'fts' ], status: 'healthy', thisNode: true } ] };
+    }
+    if (method === 'GET' && endpoint === '/api/index/hotels') {
+      return { status: 'ok', indexDef: index };
+    }
+    if (endpoint === '/api/stats/index/hotels') {
+      return { 'travel:hotels:doc_count': 10, 'travel:hotels:num_mutations_to_index': 2, 'travel:other:doc_count': 5 };
+    }
+    if (endpoint === '/api/index/hotels/query') {
+      return { hits: [ { id: 'hotel_1', score: 1.5, fields: { name: 'Hotel' } } ], total_hits: 1, max_score: 1.5, took: 2500000 };
+    }
+    return { status: 'ok' };
+  });
+});
+
+test('requests are sent to the port of the fts service', async (t) => {
+  const { fts, requests } = t.context;
+  await fts.remove('hotels');
+  t.deepEqual(requests.map(({ method, port, endpoint }) => `${method} ${port} ${endpoint}`), [
+    'GET 8091 /pools/default',
+    'DELETE 8094 /api/index/hotels',
+  ]);
+});
+
+test('create puts the definition of the index', async (t) => {
+  const { fts, requests } = t.context;
+  await fts.create({ name: 'travel alias', type: 'fulltext-alias', params: { targets: { hotels: {} } } });
+  const { method, endpoint, body } = requests[1];
+  t.is(method, 'PUT');
+  t.is(endpoint, '/api/index/travel%20alias');
+  t.deepEqual(body, { type: 'fulltext-alias', name: 'travel alias', sourceType: 'nil', params: { targets: { hotels: {} } } });
+});
+
+test('update keeps the current definition and sends its uuid', async (t) => {
+  const { fts, requests } = t.context;
+  await fts.update('hotels', { params: { mapping: { default_analyzer: 'en' } } });
+  const { body } = requests.find(({ method }) => method === 'PUT');
+  t.deepEqual(body, {
+    type: 'fulltext-index',
+    name: 'hotels',
+    sourceType: 'couchbase',
+    sourceName: 'travel',
+    params: { mapping: { default_analyzer: 'en' } },
+    planParams: index.planParams,
+    uuid: 'c0ffee',
+  });
+});
+
+test('status removes the prefix of the stats of the index', async (t) => {
+  t.deepEqual(await t.context.fts.status('hotels'), { doc_count: 10, mutations_to_index: 2, ingest_paused: true });
+});
+
+test('pauseIngest and resumeIngest post to the ingest control of the index', async (t) => {
+  const { fts, requests } = t.context;
+  await fts.pauseIngest('hotels');
+  await fts.resumeIngest('hotels');
+  t.deepEqual(requests.filter(({ method }) => method === 'POST').map(({ endpoint }) => endpoint), [
+    '/api/index/hotels/ingestControl/pause',
+    '/api/index/hotels/ingestControl/resume',
+  ]);
+});
+
+test('search builds the query and wraps each hit in a SearchHit', async (t) => {
+  const { fts, requests } = t.context;
+  const result = await fts.search('hotels', { query: '+name:hotel', fields: [ 'name' ], highlight: true, explain: false, timeout: 500 });
+  t.deepEqual(requests[1].body, {
+    query: { query: '+name:hotel' },
+    size: 10,
+    from: 0,
+    fields: [ 'name' ],
+    highlight: {},
+    ctl: { timeout: 500 },
+  });
+  t.true(result.hits[0] instanceof SearchHit);
+  t.is(result.hits[0].field('name'), 'Hotel');
+  t.is(result.total_hits, 1);
+  t.is(result.took, 3);
+});
+
+// replaces the transport of an instance, each request is recorded and answered by the handler
+function stub(instance, handler) {
+  const requests = [];
+  instance.transport = async ({ method, uri, qs, form, body, headers }) => {
+    const { port, pathname } = url.parse(uri);
+    const request = { method, port: Number(port), endpoint: pathname, qs, form, body, headers };
+    requests.push(request);
+    return handler(request);
+  };
+  return requests;
+}
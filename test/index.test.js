@@ -0,0 +1,12 @@
+import test from 'ava';
+import RestApi, * as sdk from '../dist';
+
+test('exports the RestApi as the default', (t) => {
+  t.is(typeof RestApi, 'function');
+  t.truthy(new RestApi().cluster('localhost'));
+});
+
+test('exports the classes, errors and the mock cluster', (t) => {
+  [ 'Bucket', 'Cluster', 'Node', 'MockCluster', 'createMockCluster', 'CouchbaseError', 'ValidationError', 'Watcher' ]
+    .forEach((name) => t.is(typeof sdk[name], 'function', name));
+});
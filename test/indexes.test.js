@@ -0,0 +1,94 @@
+import test from 'ava';
+import url from 'url';
+import { Indexes, TimeoutError } from '../dist';
+
+test.beforeEach((t) => {
+  t.context.status = [
+    { index: '#primary', bucket: 'travel', status: 'Ready' },
+    { index: 'by_type', bucket: 'travel', status: 'Created' },
+    { index: 'by`name', bucket: 'travel', status: 'Created' },
+    { index: 'by_type', bucket: 'beer', status: 'Created' },
+  ];
+  t.context.indexes = new Indexes({ cluster_host: '127.0.0.1', username: 'Administrator', password: 'password' });
+  t.context.requests = stub(t.context.indexes, ({ endpoint }) => {
+    if (endpoint === '/indexStatus') {
+      return { indexes: t.context.status };
+    }
+    return {};
+  });
+  // the statements are sent through the query service, they are recorded instead
+  t.context.statements = [];
+  t.context.indexes.execute = async (statement) => {
+    t.context.statements.push(statement);
+    return { results: [] };
+  };
+});
+
+test('list gets the indexes from /indexStatus, optionally of a single bucket', async (t) => {
+  const { indexes, requests } = t.context;
+  t.is((await indexes.list()).length, 4);
+  t.deepEqual((await indexes.list('beer')).map(({ index }) => index), [ 'by_type' ]);
+  t.deepEqual(requests.map(({ method, endpoint }) => `${method} ${endpoint}`), [ 'GET /indexStatus', 'GET /indexStatus' ]);
+});
+
+test('create and createPrimary escape the names and add the WITH clause', async (t) => {
+  const { indexes, statements } = t.context;
+  await indexes.create({ bucket: 'travel', name: 'by`name', fields: [ 'type', 'LOWER(name)' ], where: 'type = "hotel"' });
+  await indexes.create({ bucket: 'travel', name: 'by_type', fields: 'type', defer_build: true, nodes: '10.0.0.1:8091' });
+  await indexes.createPrimary({ bucket: 'travel' });
+  t.deepEqual(statements, [
+    'CREATE INDEX `by``name` ON `travel`(type, LOWER(name)) WHERE type = "hotel" USING GSI',
+    'CREATE INDEX `by_type` ON `travel`(type) USING GSI WITH {"defer_build":true,"nodes":["10.0.0.1:8091"]}',
+    'CREATE PRIMARY INDEX ON `travel` USING GSI',
+  ]);
+});
+
+test('build builds every deferred index of the bucket in a single statement', async (t) => {
+  const { indexes, statements } = t.context;
+  t.deepEqual(await indexes.build('travel'), [ 'by_type', 'by`name' ]);
+  t.deepEqual(statements, [ 'BUILD INDEX ON `travel`(`by_type`, `by``name`) USING GSI' ]);
+});
+
+test('build does nothing when there are no deferred indexes', async (t) => {
+  const { indexes, statements } = t.context;
+  t.context.status = [];
+  t.deepEqual(await indexes.build('travel'), []);
+  t.deepEqual(statements, []);
+});
+
+test('waitUntilOnline checks /indexStatus until the indexes are ready', async (t) => {
+  const { indexes, status } = t.context;
+  const requests = stub(indexes, () => {
+    // the index is built by the third check
+    if (requests.length === 3) {
+      status[1].status = 'Ready';
+    }
+    return { indexes: status };
+  });
+  await indexes.waitUntilOnline('travel', 'by_type', { interval: 1 });
+  t.is(requests.length, 3);
+});
+
+test('waitUntilOnline throws a TimeoutError when the indexes are not ready in time', async (t) => {
+  const { indexes } = t.context;
+  await t.throws(indexes.waitUntilOnline('travel', [], { interval: 1, timeout: 20 }), TimeoutError);
+});
+
+test('updateSettings converts the options into form fields and back', async (t) => {
+  const { indexes, requests } = t.context;
+  await indexes.updateSettings({ storage_mode: 'plasma', threads: 4, nope: true });
+  t.is(requests[0].endpoint, '/settings/indexes');
+  t.deepEqual(requests[0].form, { storageMode: 'plasma', indexerThreads: 4 });
+  t.deepEqual(indexes.optionsFromSettings(requests[0].form), { storage_mode: 'plasma', threads: 4 });
+});
+
+// replaces the transport of an instance, each request is recorded and answered by the handler
+function stub(instance, handler) {
+  const requests = [];
+  instance.transport = async ({ method, uri, qs, form, body, headers }) => {
+    const request = { method, endpoint: url.parse(uri).pathname, qs, form, body, headers };
+    requests.push(request);
+    return handler(request);
+  };
+  return requests;
+}
@@ -0,0 +1,99 @@
+import test from 'ava';
+import RestApi, { createMockCluster, NotFoundError } from '../dist';
+import { logger, redact, runHooks } from '../dist/middleware';
+
+test.beforeEach(async (t) => {
+  t.context.mock = await createMockCluster({ username: 'Administrator', password: 'password' });
+  const { mock } = t.context;
+  t.context.api = new RestApi(mock.connection());
+  t.context.options = { cluster_port: mock.port };
+});
+
+test.afterEach.always((t) => t.context.mock.close());
+
+test('redact replaces the credentials and other secrets recursively', (t) => {
+  t.deepEqual(redact({
+    username: 'Administrator',
+    headers: { Authorization: 'Basic abc' },
+    form: [ { saslPassword: 'secret', name: 'default' } ],
+    empty: { password: '' },
+  }), {
+    username: '<redacted>',
+    headers: { Authorization: '<redacted>' },
+    form: [ { saslPassword: '<redacted>', name: 'default' } ],
+    empty: { password: '' },
+  });
+  t.deepEqual(redact({ token: 'abc' }, '***'), { token: '***' });
+  t.is(redact('password'), 'password');
+});
+
+test('runHooks passes the value through each hook in order', async (t) => {
+  const middleware = [
+    { beforeRequest: (value) => value + 1 },
+    {},
+    { beforeRequest: async (value) => value * 2 },
+    { beforeRequest: () => undefined },
+  ];
+  t.is(await runHooks(middleware, 'beforeRequest', 1, {}), 4);
+  t.is(await runHooks(middleware, 'afterResponse', 1, {}), 1);
+});
+
+test('the logger has every hook', (t) => {
+  t.is(typeof logger.beforeRequest, 'function');
+  t.is(typeof logger.afterResponse, 'function');
+  t.is(typeof logger.onError, 'function');
+});
+
+test('middleware hooks are called w/ each request and can change the result', async (t) => {
+  const { mock, api, options } = t.context;
+  const calls = [];
+  api.use({
+    beforeRequest(request, { method, endpoint, attempt }) {
+      calls.push(`before ${method} ${endpoint} ${attempt}`);
+      request.headers['X-Test'] = 'yes';
+    },
+    afterResponse(result, { endpoint }) {
+      calls.push(`after ${endpoint}`);
+      return Object.assign({}, result, { seen: true });
+    },
+  });
+  const cluster = api.cluster(mock.host, options);
+  const pools = await cluster.get('/pools');
+  t.true(pools.seen);
+  t.deepEqual(calls, [ 'before GET /pools 1', 'after /pools' ]);
+});
+
+test('onError can replace the error or resolve w/ a result instead', async (t) => {
+  const { mock, api, options } = t.context;
+  const cluster = api.cluster(mock.host, options);
+  const replaced = cluster.use({ onError: (error) => (error instanceof NotFoundError ? 'missing' : undefined) });
+  t.is(await replaced.get('/pools/default/buckets/nope'), 'missing');
+  const other = new RestApi(mock.connection()).cluster(mock.host, options).use({ onError: () => new Error('changed') });
+  await t.throws(other.get('/pools/default/buckets/nope'), 'changed');
+});
+
+test('the clusters of RestApi instances w/ different middleware are not shared', async (t) => {
+  const { mock, options } = t.context;
+  const calls = [];
+  const first = new RestApi(Object.assign(mock.connection(), { middleware: [ { beforeRequest() { calls.push('first'); } } ] }));
+  const second = new RestApi(Object.assign(mock.connection(), { middleware: [ { beforeRequest() { calls.push('second'); } } ] }));
+  t.is(first.cluster(mock.host, options), first.cluster(mock.host, options));
+  t.not(first.cluster(mock.host, options), second.cluster(mock.host, options));
+  await first.cluster(mock.host, options).get('/pools');
+  await second.cluster(mock.host, options).get('/pools');
+  t.deepEqual(calls, [ 'first', 'second' ]);
+  // middleware added later is inherited by the clusters created afterwards
+  const before = first.cluster(mock.host, options);
+  first.use({});
+  t.not(first.cluster(mock.host, options), before);
+});
+
+test('the nodes of clusters w/ different middleware are not shared', (t) => {
+  const { mock, api, options } = t.context;
+  const cluster = api.cluster(mock.host, options);
+  t.is(cluster.node('10.0.0.2'), cluster.node('10.0.0.2'));
+  t.not(cluster.node('10.0.0.2'), cluster.node('10.0.0.3'));
+  const other = new RestApi(Object.assign(mock.connection(), { middleware: [] })).cluster(mock.host, options);
+  t.not(other.node('10.0.0.2'), cluster.node('10.0.0.2'));
+  t.deepEqual(other.node('10.0.0.2').middleware, []);
+});
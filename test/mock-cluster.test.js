@@ -0,0 +1,116 @@
+import test from 'ava';
+import RestApi, {
+  ConflictError,
+  createMockCluster,
+  ValidationError,
+} from '../dist';
+
+test.beforeEach(async (t) => {
+  t.context.mock = await createMockCluster({ username: 'Administrator', password: 'password' });
+  const { mock } = t.context;
+  t.context.cluster = new RestApi(mock.connection()).cluster(mock.host, { cluster_port: mock.port });
+});
+
+test.afterEach.always((t) => t.context.mock.close());
+
+test('initialize sets the quotas, credentials and cluster name and adds the nodes', async (t) => {
+  const { mock, cluster } = t.context;
+  await cluster.initialize({
+    cluster_name: 'test',
+    kv_memory: 512,
+    services: 'kv,n1ql',
+    nodes: [ { hostname: '10.0.0.2', services: 'kv' } ],
+  });
+  const details = await cluster.details();
+  t.is(details.clusterName, 'test');
+  t.is(details.memoryQuota, 512);
+  t.deepEqual(details.nodes.map(({ hostname, clusterMembership }) => `${hostname} ${clusterMembership}`), [
+    `${mock.host}:${mock.port} active`,
+    '10.0.0.2:8091 active',
+  ]);
+  t.deepEqual(details.nodes[0].services, [ 'kv', 'n1ql' ]);
+  t.true(mock.initialized);
+});
+
+test('addNodes adds each node and rebalances them in', async (t) => {
+  const { mock, cluster } = t.context;
+  await cluster.initialize({ kv_memory: 512, services: 'kv' });
+  await cluster.addNodes({ nodes: [ { hostname: '10.0.0.2', services: 'kv' }, { hostname: '10.0.0.3', services: 'index' } ] });
+  t.deepEqual(mock.state.nodes.map(({ hostname, membership }) => `${hostname} ${membership}`), [
+    `${mock.host}:${mock.port} active`,
+    '10.0.0.2:8091 active',
+    '10.0.0.3:8091 active',
+  ]);
+  const rebalances = mock.requests.filter(({ endpoint }) => endpoint === '/controller/rebalance');
+  t.is(rebalances.length, 1);
+});
+
+test('ServerGroup.addMembers moves nodes into a group', async (t) => {
+  const { mock, cluster } = t.context;
+  await cluster.initialize({ kv_memory: 512, services: 'kv', nodes: [ { hostname: '10.0.0.2', services: 'kv' } ] });
+  await cluster.serverGroup('Rack 2').create();
+  await cluster.serverGroup('Rack 2').addMembers([ '10.0.0.2' ]);
+  const { groups } = await cluster.serverGroups();
+  t.deepEqual(groups.map(({ name, nodes }) => `${name}: ${nodes.map(({ hostname }) => hostname).join(',')}`), [
+    `Group 1: ${mock.host}:${mock.port}`,
+    'Rack 2: 10.0.0.2:8091',
+  ]);
+  const update = mock.requests.find(({ method }) => method === 'PUT');
+  t.is(update.endpoint, '/pools/default/serverGroups');
+  t.truthy(update.query.rev);
+});
+
+test('ServerGroup.addMembers sends the otpNode the cluster reports', async (t) => {
+  const { mock, cluster } = t.context;
+  await cluster.initialize({ kv_memory: 512, services: 'kv', nodes: [ { hostname: '10.0.0.2', services: 'kv' } ] });
+  mock.state.nodes[1].otp_node = 'ns_1@node2.example.com';
+  await cluster.serverGroup('Rack 2').create();
+  await cluster.serverGroup('Rack 2').addMembers('10.0.0.2:8091');
+  const update = mock.requests.find(({ method }) => method === 'PUT');
+  t.deepEqual(update.body.groups[1].nodes, [ { otpNode: 'ns_1@node2.example.com' } ]);
+  await t.throws(cluster.serverGroup('Rack 2').addMembers([ '10.0.0.9' ]), /not in the cluster: 10\.0\.0\.9/);
+});
+
+test('ServerGroup.rename and remove change the group by its uuid', async (t) => {
+  const { mock, cluster } = t.context;
+  await cluster.initialize({ kv_memory: 512, services: 'kv' });
+  await cluster.serverGroup('Rack 2').create();
+  await cluster.serverGroup('Rack 2').rename('Rack 3');
+  t.deepEqual(mock.state.server_groups.map(({ name }) => name), [ 'Group 1', 'Rack 3' ]);
+  await cluster.serverGroup('Rack 3').remove();
+  t.deepEqual(mock.state.server_groups.map(({ name }) => name), [ 'Group 1' ]);
+});
+
+test('ServerGroup.addMembers is rejected when the groups changed since they were read', async (t) => {
+  const { cluster } = t.context;
+  await cluster.initialize({ kv_memory: 512, services: 'kv', nodes: [ { hostname: '10.0.0.2', services: 'kv' } ] });
+  await cluster.serverGroup('Rack 2').create();
+  const group = cluster.serverGroup('Rack 2');
+  const groups = group.groups.bind(group);
+  // another client changes the groups between the read and the update, so the revision is stale
+  group.groups = async () => {
+    const result = await groups();
+    await cluster.serverGroup('Rack 3').create();
+    return result;
+  };
+  const err = await t.throws(group.addMembers([ '10.0.0.2' ]), ConflictError);
+  t.is(err.status, 409);
+});
+
+test('invalid requests respond w/ a 4xx ValidationError', async (t) => {
+  const { mock, cluster } = t.context;
+  await cluster.initialize({ kv_memory: 512, services: 'kv' });
+  // the joi schemas allow it, the server rejects it because the cluster doesn't have that much memory left
+  const err = await t.throws(cluster.addBucket('bucket1', { ram_size: 1024 }), ValidationError);
+  t.is(err.status, 400);
+  t.truthy(err.fields.ramQuotaMB);
+  t.is(mock.state.buckets.length, 0);
+});
+
+test('requests w/ the wrong credentials are rejected once the cluster is initialized', async (t) => {
+  const { mock, cluster } = t.context;
+  await cluster.initialize({ kv_memory: 512, services: 'kv' });
+  const other = new RestApi({ username: 'Administrator', password: 'wrong-password' }).cluster(mock.host, { cluster_port: mock.port });
+  const err = await t.throws(other.details());
+  t.is(err.status, 401);
+});
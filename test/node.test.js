@@ -0,0 +1,38 @@
+import test from 'ava';
+import {
+  AuthenticationError,
+  Node,
+  TimeoutError,
+} from '../dist';
+
+// a node whose responses to GET /pools are the given errors and then the pools
+function starting(errors, pools = { pools: [] }) {
+  const node = new Node({ node_host: '10.0.0.9' });
+  node.requests = 0;
+  node.get = async () => {
+    const err = errors[node.requests++];
+    if (err) {
+      throw err;
+    }
+    return pools;
+  };
+  return node;
+}
+
+test('waitUntilReady keeps polling while requests time out', async (t) => {
+  const node = starting([ new TimeoutError('ETIMEDOUT', { code: 'ETIMEDOUT' }), new TimeoutError('ESOCKETTIMEDOUT') ]);
+  t.is(await node.waitUntilReady({ interval: 10, timeout: 1000 }), node);
+  t.is(node.requests, 3);
+});
+
+test('waitUntilReady throws its own TimeoutError when the node never responds', async (t) => {
+  const node = starting(Array(1000).fill(new TimeoutError('ETIMEDOUT')));
+  const err = await t.throws(node.waitUntilReady({ interval: 10, timeout: 50 }), TimeoutError);
+  t.is(err.message, 'Node 10.0.0.9 was not ready within 50ms');
+});
+
+test('waitUntilReady stops on errors that polling won\'t fix', async (t) => {
+  const node = starting([ new AuthenticationError('Unauthorized', { status: 401 }) ]);
+  await t.throws(node.waitUntilReady({ interval: 10, timeout: 1000 }), AuthenticationError);
+  t.is(node.requests, 1);
+});
@@ -0,0 +1,56 @@
+import test from 'ava';
+import RestApi, { createMockCluster, Plan } from '../dist';
+
+test.beforeEach(async (t) => {
+  t.context.mock = await createMockCluster({ username: 'Administrator', password: 'password' });
+  const { mock } = t.context;
+  t.context.cluster = new RestApi(mock.connection()).cluster(mock.host, { cluster_port: mock.port });
+  await t.context.cluster.initialize({ kv_memory: 512, services: 'kv' });
+});
+
+test.afterEach.always((t) => t.context.mock.close());
+
+test('diff only compares the settings in the desired spec', (t) => {
+  const plan = Plan.diff({ kv_memory: 1024 }, { kv_memory: 512, cluster_name: 'test' });
+  t.deepEqual(plan.changes, [ { section: 'memory', action: 'update', name: 'kv_memory', from: 512, to: 1024 } ]);
+  t.is(plan.toString(), '~ memory.kv_memory: 512 => 1024');
+});
+
+test('diff matches the service aliases and couchbase buckets', (t) => {
+  const plan = Plan.diff({
+    nodes: [ { hostname: '10.0.0.2:8091', services: 'query, data,full text' } ],
+    buckets: [ { name: 'default', bucket_type: 'couchbase' } ],
+  }, {
+    nodes: [ { hostname: '10.0.0.2', services: 'fts,kv,n1ql' } ],
+    buckets: [ { name: 'default', bucket_type: 'membase' } ],
+  });
+  t.false(plan.hasChanges());
+});
+
+test('apply makes the changes and a second plan is empty', async (t) => {
+  const { cluster } = t.context;
+  const spec = {
+    cluster_name: 'test',
+    kv_memory: 1024,
+    server_groups: [ 'Group 1', 'Rack 2' ],
+    nodes: [ { hostname: '10.0.0.2', services: [ 'data', 'idx' ], server_group: 'Rack 2' } ],
+    buckets: [ { name: 'default', bucket_type: 'couchbase', ram_size: 256 } ],
+    auto_failover: { enabled: true, timeout: 60 },
+  };
+  const plan = await cluster.apply(spec, { rebalance: { interval: 10 } });
+  t.true(plan.hasChanges());
+  const details = await cluster.details();
+  t.is(details.clusterName, 'test');
+  t.is(details.memoryQuota, 1024);
+  const next = await cluster.plan(spec);
+  t.false(next.hasChanges(), next.toString());
+});
+
+test('apply keeps the stored email password when the spec doesn\'t have one', async (t) => {
+  const { mock, cluster } = t.context;
+  await cluster.setEmailSettings({ email_host: 'smtp.example.com', email_user: 'alerts', email_pass: 'secret' });
+  await cluster.apply({ alerts: { enabled: true, alerts: 'disk', recipients: 'ops@example.com' } });
+  t.is(mock.state.alerts.emailServer.pass, 'secret');
+  t.true(mock.state.alerts.enabled);
+  t.deepEqual(mock.state.alerts.recipients, [ 'ops@example.com' ]);
+});
@@ -0,0 +1,107 @@
+import test from 'ava';
+import http from 'http';
+import { AuthenticationError, Query, QueryError } from '../dist';
+
+// the rows are picked so the parser has to handle escaped quotes, brackets inside strings and nested arrays
+const rows = [
+  { name: 'say "hi" [or not]', tags: [ [ 1, 2 ], [ 3, [ 4 ] ] ] },
+  { name: 'back\\slash\\', nested: { list: [ '], {', '"' ] } },
+  [ 'a', { b: ']' } ],
+  'just a string, w/ a comma',
+  42,
+  null,
+];
+
+const envelope = (results) => `{
+  "requestID": "abc",
+  "signature": { "*": "*" },
+  "results": [ ${results} ],
+  "status": "success",
+  "metrics": { "resultCount": ${rows.length} }
+}`;
+
+// starts a server that writes the response body a few characters at a time
+test.beforeEach(async (t) => {
+  t.context.response = { status: 200, body: envelope(rows.map((row) => JSON.stringify(row)).join(',\n    ')) };
+  t.context.server = http.createServer((req, res) => {
+    const { status, body } = t.context.response;
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    let position = 0;
+    const write = () => {
+      if (position >= body.length) {
+        res.end();
+        return;
+      }
+      res.write(body.slice(position, position + 7));
+      position += 7;
+      setImmediate(write);
+    };
+    write();
+  });
+  await new Promise((resolve) => t.context.server.listen(0, '127.0.0.1', resolve));
+  const { port } = t.context.server.address();
+  t.context.query = new Query({ cluster_host: '127.0.0.1', cluster_port: port });
+  t.context.query.discover = async () => ({ protocol: 'http', host: '127.0.0.1', port });
+});
+
+test.afterEach.always((t) => new Promise((resolve) => t.context.server.close(resolve)));
+
+test('rows parses each row of a response that arrives in small chunks', async (t) => {
+  const results = [];
+  for await (const row of t.context.query.rows('SELECT *')) {
+    results.push(row);
+  }
+  t.deepEqual(results, rows);
+});
+
+test('execute resolves w/ the results and the rest of the envelope', async (t) => {
+  const result = await t.context.query.execute('SELECT *');
+  t.deepEqual(result.results, rows);
+  t.is(result.request_id, 'abc');
+  t.is(result.status, 'success');
+  t.deepEqual(result.metrics, { resultCount: rows.length });
+});
+
+test('a malformed row rejects w/ a QueryError', async (t) => {
+  t.context.response.body = envelope('{ "name": "ok" }, { "name": nope }, { "name": "after" }');
+  const results = [];
+  const err = await t.throws((async () => {
+    for await (const row of t.context.query.rows('SELECT *')) {
+      results.push(row);
+    }
+  })(), QueryError);
+  t.deepEqual(results, [ { name: 'ok' } ]);
+  t.is(err.method, 'POST');
+  t.is(err.endpoint, '/query/service');
+  t.regex(err.message, /^The query service sent an invalid response/);
+});
+
+test('a malformed envelope rejects w/ a QueryError', async (t) => {
+  t.context.response.body = '{ "results": [], "status": ';
+  let err = await t.throws(t.context.query.rows('SELECT *').next(), QueryError);
+  t.is(err.endpoint, '/query/service');
+  err = await t.throws(t.context.query.execute('SELECT *'), QueryError);
+  t.is(err.method, 'POST');
+  t.is(err.endpoint, '/query/service');
+});
+
+test('errors from the query service are mapped to a QueryError w/ their codes', async (t) => {
+  t.context.response = {
+    status: 400,
+    body: JSON.stringify({ requestID: 'abc', errors: [ { code: 3000, msg: 'syntax error - at nope' } ], status: 'fatal' }),
+  };
+  let err = await t.throws(t.context.query.execute('SELECT nope'), QueryError);
+  t.deepEqual(err.codes, [ 3000 ]);
+  t.is(err.message, 'syntax error - at nope');
+  err = await t.throws(t.context.query.rows('SELECT nope').next(), QueryError);
+  t.deepEqual(err.codes, [ 3000 ]);
+  t.is(err.status, 400);
+  t.is(err.endpoint, '/query/service');
+});
+
+test('responses that are not from the query service keep their error class', async (t) => {
+  t.context.response = { status: 401, body: 'Unauthorized' };
+  await t.throws(t.context.query.execute('SELECT *'), AuthenticationError);
+  await t.throws(t.context.query.rows('SELECT *').next(), AuthenticationError);
+});
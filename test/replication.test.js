@@ -0,0 +1,92 @@
+import test from 'ava';
+import url from 'url';
+import { Replication } from '../dist';
+
+const id = '7ab2d1a5c9e0f/travel-sample/travel backup';
+
+test.beforeEach((t) => {
+  t.context.replication = new Replication({ cluster_host: '127.0.0.1', username: 'Administrator', password: 'password' });
+  t.context.requests = stub(t.context.replication, ({ endpoint }) => {
+    if (endpoint === '/pools/default/tasks') {
+      return [ { type: 'rebalance', status: 'notRunning' }, { type: 'xdcr', id, status: 'running' } ];
+    }
+    return {};
+  });
+});
+
+test('cancel deletes the replication by its encoded id', async (t) => {
+  const { replication, requests } = t.context;
+  await replication.cancel(id);
+  t.is(requests[0].method, 'DELETE');
+  t.is(requests[0].endpoint, '/controller/cancelXDCR/7ab2d1a5c9e0f%2Ftravel-sample%2Ftravel%20backup');
+});
+
+test('pause and resume set pauseRequested on the replication', async (t) => {
+  const { replication, requests } = t.context;
+  await replication.pause(id);
+  await replication.resume(id);
+  t.deepEqual(requests.map(({ method, endpoint }) => `${method} ${endpoint}`), [
+    'POST /settings/replications/7ab2d1a5c9e0f%2Ftravel-sample%2Ftravel%20backup',
+    'POST /settings/replications/7ab2d1a5c9e0f%2Ftravel-sample%2Ftravel%20backup',
+  ]);
+  t.deepEqual(requests.map(({ form }) => form), [ { pauseRequested: true }, { pauseRequested: false } ]);
+});
+
+test('updateSettings only sends the known settings, w/out an id the defaults are changed', async (t) => {
+  const { replication, requests } = t.context;
+  await replication.updateSettings(null, { checkpoint_interval: 600, log_level: undefined, nope: 1 });
+  t.is(requests[0].endpoint, '/settings/replications');
+  t.deepEqual(requests[0].form, { checkpointInterval: 600 });
+});
+
+test('create converts the options and settings into form fields', async (t) => {
+  const { replication, requests } = t.context;
+  await replication.create({ from_bucket: 'travel-sample', to_cluster: 'backup', to_bucket: 'travel', compression_type: 'Auto' });
+  t.is(requests[0].endpoint, '/controller/createReplication');
+  t.deepEqual(requests[0].form, {
+    fromBucket: 'travel-sample',
+    toCluster: 'backup',
+    toBucket: 'travel',
+    replicationType: 'continuous',
+    compressionType: 'Auto',
+  });
+});
+
+test('remote cluster references send demandEncryption as a number and the certificate when there is one', async (t) => {
+  const { replication, requests } = t.context;
+  await replication.addRemoteCluster({ name: 'backup', hostname: '10.0.0.5:8091', username: 'Administrator', password: 'password' });
+  await replication.editRemoteCluster('backup', {
+    name: 'dr site',
+    hostname: '10.0.0.6:8091',
+    username: 'Administrator',
+    password: 'password',
+    demand_encryption: true,
+    certificate: 'PEM',
+  });
+  t.deepEqual(requests[0].form, {
+    name: 'backup',
+    hostname: '10.0.0.5:8091',
+    username: 'Administrator',
+    password: 'password',
+    demandEncryption: 0,
+  });
+  t.is(requests[1].endpoint, '/pools/default/remoteClusters/backup');
+  t.is(requests[1].form.name, 'dr site');
+  t.is(requests[1].form.demandEncryption, 1);
+  t.is(requests[1].form.certificate, 'PEM');
+});
+
+test('list only returns the xdcr tasks', async (t) => {
+  t.deepEqual(await t.context.replication.list(), [ { type: 'xdcr', id, status: 'running' } ]);
+});
+
+// replaces the transport of an instance, each request is recorded and answered by the handler
+function stub(instance, handler) {
+  const requests = [];
+  instance.transport = async ({ method, uri, qs, form, body, headers }) => {
+    const request = { method, endpoint: url.parse(uri).pathname, qs, form, body, headers };
+    requests.push(request);
+    return handler(request);
+  };
+  return requests;
+}
@@ -0,0 +1,67 @@
+import test from 'ava';
+import RestApi, { createMockCluster, ValidationError } from '../dist';
+import * as schemas from '../dist/schemas';
+
+test('validate returns the options when they are valid', (t) => {
+  const options = { ram_size: 256, bucket_type: 'couchbase' };
+  t.is(schemas.validate(schemas.bucket, options), options);
+});
+
+test('validate throws a ValidationError w/ every problem of each option', (t) => {
+  const err = t.throws(() => schemas.validate(schemas.bucket, { ram_size: 50, eviction_policy: 'lru', foo: true }), ValidationError);
+  t.deepEqual(Object.keys(err.fields).sort(), [ 'eviction_policy', 'foo', 'ram_size' ]);
+  t.is(err.errors.length, 3);
+  t.regex(err.fields.ram_size, /ram_size must be larger than or equal to 100/);
+});
+
+test('validate lists every problem of an option', (t) => {
+  const err = t.throws(() => schemas.validate(schemas.bucket, { ram_size: 50.5 }), ValidationError);
+  t.deepEqual(err.errors, [ 'ram_size must be an integer', 'ram_size must be larger than or equal to 100' ]);
+  t.is(err.fields.ram_size, 'ram_size must be an integer; ram_size must be larger than or equal to 100');
+  t.is(err.message, 'ram_size must be an integer; ram_size must be larger than or equal to 100');
+});
+
+test('emailSettings checks the lists of alerts and recipients', (t) => {
+  t.notThrows(() => schemas.validate(schemas.emailSettings, { alerts: 'disk,ip', recipients: 'a@example.com, b@example.com' }));
+  const err = t.throws(() => schemas.validate(schemas.emailSettings, { alerts: 'disk,nope', recipients: 'nobody' }));
+  t.is(err.fields.alerts, 'alerts must be a comma-delimited list of alerts');
+  t.is(err.fields.recipients, 'recipients must be a list of email addresses');
+});
+
+test('emailSettings allows empty lists of alerts and recipients', (t) => {
+  t.notThrows(() => schemas.validate(schemas.emailSettings, { alerts: '', recipients: '' }));
+});
+
+test('addNode requires a hostname', (t) => {
+  const err = t.throws(() => schemas.validate(schemas.addNode, { services: 'kv' }), ValidationError);
+  t.truthy(err.fields.options);
+});
+
+test('apply accepts the current alerts when none are enabled', async (t) => {
+  const mock = await createMockCluster({ username: 'Administrator', password: 'password' });
+  try {
+    const cluster = new RestApi(mock.connection()).cluster(mock.host, { cluster_port: mock.port });
+    await cluster.initialize({ kv_memory: 512, services: 'kv' });
+    t.is((await cluster.export()).alerts.alerts, '');
+    await cluster.apply({ alerts: { sender: 'cluster@example.com' } });
+    t.is(mock.state.alerts.sender, 'cluster@example.com');
+  } finally {
+    await mock.close();
+  }
+});
+
+test('initialize checks the nodes before any request is sent', async (t) => {
+  const mock = await createMockCluster({ username: 'Administrator', password: 'password' });
+  try {
+    const cluster = new RestApi(mock.connection()).cluster(mock.host, { cluster_port: mock.port });
+    const err = await t.throws(cluster.initialize({
+      kv_memory: 512,
+      cluster_name: 'test',
+      nodes: [ '10.0.0.2', { hostname: '10.0.0.3', server_group: 'Rack 2' } ],
+    }), ValidationError);
+    t.is(err.fields.server_group, 'server_group is not allowed');
+    t.deepEqual(mock.requests, []);
+  } finally {
+    await mock.close();
+  }
+});
@@ -0,0 +1,54 @@
+import test from 'ava';
+import { Stats } from '../dist';
+
+// samples of a metric from a node, taken every second starting at the offset
+function samples(node, metric, values, offset = 0) {
+  return values.map((value, index) => ({ timestamp: 1000 * (index + 1) + offset, metric, value, node }));
+}
+
+test('fromResponse normalizes the samples', (t) => {
+  const stats = Stats.fromResponse({ op: { samples: { timestamp: [ 1000, 2000 ], ops: [ 1, 2 ], mem_used: [ 10, 20 ] } } }, 'a');
+  t.deepEqual(stats.metrics(), [ 'mem_used', 'ops' ]);
+  t.deepEqual(stats.nodes(), [ 'a' ]);
+  t.deepEqual(stats.series('ops'), [
+    { timestamp: 1000, metric: 'ops', value: 1, node: 'a' },
+    { timestamp: 2000, metric: 'ops', value: 2, node: 'a' },
+  ]);
+});
+
+test('latest sums the latest sample of each node even when their timestamps differ', (t) => {
+  const stats = new Stats([
+    ...samples('a', 'ops', [ 10, 20, 30 ]),
+    ...samples('b', 'ops', [ 1, 2, 3 ], 400),
+  ]);
+  t.is(stats.latest('ops'), 33);
+  t.is(stats.latest('ops', 'a'), 30);
+});
+
+test('latest averages ratio metrics across the nodes', (t) => {
+  const stats = new Stats([
+    ...samples('a', 'vb_active_resident_items_ratio', [ 100, 90 ]),
+    ...samples('b', 'vb_active_resident_items_ratio', [ 100, 70 ], 250),
+  ]);
+  t.is(stats.latest('vb_active_resident_items_ratio'), 80);
+});
+
+test('average combines the nodes in each sample interval', (t) => {
+  const stats = new Stats([
+    ...samples('a', 'ops', [ 10, 20, 30, 40 ]),
+    ...samples('b', 'ops', [ 0, 10, 20, 30 ], 300),
+    ...samples('a', 'cpu_utilization_rate', [ 20, 40, 60, 80 ]),
+    ...samples('b', 'cpu_utilization_rate', [ 40, 60, 80, 100 ], 300),
+  ]);
+  t.is(stats.average('ops'), 40);
+  t.is(stats.average('ops', { window: 1000 }), 60);
+  t.is(stats.average('cpu_utilization_rate'), 60);
+  t.is(stats.average('ops', { node: 'b' }), 15);
+});
+
+test('a metric without samples is undefined', (t) => {
+  const stats = new Stats(samples('a', 'ops', [ 1 ]));
+  t.is(stats.latest('mem_used'), undefined);
+  t.is(stats.average('mem_used'), undefined);
+  t.is(stats.latest('ops'), 1);
+});
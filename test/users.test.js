@@ -0,0 +1,94 @@
+import test from 'ava';
+import url from 'url';
+import { NotFoundError, Users } from '../dist';
+
+const users = [
+  { id: 'reader', domain: 'local', name: 'Read Only', roles: [ { role: 'data_reader', bucket_name: 'travel' } ] },
+  { id: 'ldap-user', domain: 'external', name: 'Someone', roles: [ { role: 'admin' } ] },
+];
+
+test.beforeEach((t) => {
+  t.context.users = new Users({ cluster_host: '127.0.0.1', username: 'Administrator', password: 'password' });
+  t.context.requests = stub(t.context.users, ({ method, endpoint }) => {
+    if (method === 'GET' && endpoint === '/settings/rbac/users') {
+      return users;
+    }
+    return '';
+  });
+});
+
+test('formatRoles converts the roles into the list the server expects', (t) => {
+  t.is(Users.formatRoles([
+    { role: 'bucket_full_access', bucket_name: 'travel' },
+    { role: 'admin' },
+    'ro_admin',
+    { role: 'data_reader', bucket_name: '*' },
+  ]), 'bucket_full_access[travel],admin,ro_admin,data_reader[*]');
+  t.is(Users.formatRoles(), '');
+});
+
+test('upsert puts the user w/ its roles as form data and an encoded id', async (t) => {
+  const { users, requests } = t.context;
+  await users.upsert({
+    id: 'jane doe/1',
+    name: 'Jane Doe',
+    password: 'secret',
+    roles: [ { role: 'bucket_full_access', bucket_name: 'travel' }, { role: 'cluster_admin' } ],
+  });
+  t.is(requests.length, 1);
+  t.is(requests[0].method, 'PUT');
+  t.is(requests[0].endpoint, '/settings/rbac/users/local/jane%20doe%2F1');
+  t.deepEqual(requests[0].form, { roles: 'bucket_full_access[travel],cluster_admin', name: 'Jane Doe', password: 'secret' });
+});
+
+test('upsert never sends a password for an external user', async (t) => {
+  const { users, requests } = t.context;
+  await users.upsert({ id: 'ldap-user', domain: 'external', password: 'secret', roles: [ 'admin' ] });
+  t.is(requests[0].endpoint, '/settings/rbac/users/external/ldap-user');
+  t.deepEqual(requests[0].form, { roles: 'admin' });
+});
+
+test('details finds the user by its id and domain', async (t) => {
+  const { users } = t.context;
+  t.is((await users.details('reader')).name, 'Read Only');
+  t.is((await users.details('ldap-user', 'external')).name, 'Someone');
+  const err = await t.throws(users.details('ldap-user'), NotFoundError);
+  t.is(err.endpoint, '/settings/rbac/users');
+});
+
+test('changePassword of the current user uses the change password endpoint', async (t) => {
+  const { users, requests } = t.context;
+  await users.changePassword('Administrator', 'changed');
+  t.deepEqual(requests.map(({ method, endpoint }) => `${method} ${endpoint}`), [ 'POST /controller/changePassword' ]);
+  t.deepEqual(requests[0].form, { password: 'changed' });
+  t.is(users.password, 'changed');
+});
+
+test('changePassword of another user keeps their name and roles', async (t) => {
+  const { users, requests } = t.context;
+  await users.changePassword('reader', 'changed');
+  t.deepEqual(requests.map(({ method, endpoint }) => `${method} ${endpoint}`), [
+    'GET /settings/rbac/users',
+    'PUT /settings/rbac/users/local/reader',
+  ]);
+  t.deepEqual(requests[1].form, { roles: 'data_reader[travel]', name: 'Read Only', password: 'changed' });
+  t.is(users.password, 'password');
+});
+
+test('checkPermissions sends the permissions as a comma-delimited list', async (t) => {
+  const { users, requests } = t.context;
+  await users.checkPermissions([ 'cluster.bucket[travel].data!read', 'cluster.admin!write' ]);
+  t.is(requests[0].body, 'cluster.bucket[travel].data!read,cluster.admin!write');
+  t.is(requests[0].headers['Content-Type'], 'text/plain');
+});
+
+// replaces the transport of an instance, each request is recorded and answered by the handler
+function stub(instance, handler) {
+  const requests = [];
+  instance.transport = async ({ method, uri, qs, form, body, headers }) => {
+    const request = { method, endpoint: url.parse(uri).pathname, qs, form, body, headers };
+    requests.push(request);
+    return handler(request);
+  };
+  return requests;
+}
@@ -0,0 +1,117 @@
+import test from 'ava';
+import RestApi, { AuthenticationError, createMockCluster, TimeoutError } from '../dist';
+import { bucketChanges, clusterChanges } from '../dist/watcher';
+
+test.beforeEach(async (t) => {
+  t.context.mock = await createMockCluster({ username: 'Administrator', password: 'password' });
+  const { mock } = t.context;
+  t.context.cluster = new RestApi(mock.connection()).cluster(mock.host, { cluster_port: mock.port });
+  await t.context.cluster.initialize({ kv_memory: 512, services: 'kv' });
+});
+
+test.afterEach.always((t) => {
+  if (t.context.watcher) {
+    t.context.watcher.close();
+  }
+  return t.context.mock.close();
+});
+
+test('clusterChanges finds the node and cluster changes', (t) => {
+  const previous = {
+    clusterName: 'test',
+    rebalanceStatus: 'none',
+    memoryQuota: 512,
+    nodes: [
+      { otpNode: 'ns_1@10.0.0.1', hostname: '10.0.0.1:8091', status: 'healthy', clusterMembership: 'active', services: [ 'n1ql', 'kv' ] },
+      { otpNode: 'ns_1@10.0.0.2', hostname: '10.0.0.2:8091', status: 'healthy', clusterMembership: 'active', services: [ 'kv' ] },
+    ],
+  };
+  const current = {
+    clusterName: 'test',
+    rebalanceStatus: 'running',
+    memoryQuota: 1024,
+    nodes: [
+      { otpNode: 'ns_1@10.0.0.1', hostname: '10.0.0.1:8091', status: 'unhealthy', clusterMembership: 'active', services: [ 'kv', 'n1ql' ] },
+      { otpNode: 'ns_1@10.0.0.3', hostname: '10.0.0.3:8091', status: 'healthy', clusterMembership: 'inactiveAdded', services: [ 'kv' ] },
+    ],
+  };
+  t.deepEqual(clusterChanges(previous, current), [
+    { type: 'node_status_changed', otp_node: 'ns_1@10.0.0.1', hostname: '10.0.0.1:8091', from: 'healthy', to: 'unhealthy' },
+    { type: 'node_added', otp_node: 'ns_1@10.0.0.3', hostname: '10.0.0.3:8091' },
+    { type: 'node_removed', otp_node: 'ns_1@10.0.0.2', hostname: '10.0.0.2:8091' },
+    { type: 'rebalance_status_changed', field: 'rebalanceStatus', from: 'none', to: 'running' },
+    { type: 'quota_changed', field: 'memoryQuota', from: 512, to: 1024 },
+  ]);
+  t.deepEqual(clusterChanges(current, current), []);
+});
+
+test('bucketChanges finds the quota, replica and eviction changes', (t) => {
+  const previous = { name: 'travel', quota: { rawRAM: 100 * 1024 * 1024 }, replicaNumber: 1, evictionPolicy: 'valueOnly' };
+  const current = { name: 'travel', quota: { rawRAM: 200 * 1024 * 1024 }, replicaNumber: 2, evictionPolicy: 'valueOnly' };
+  t.deepEqual(bucketChanges(previous, current), [
+    { type: 'bucket_quota_changed', bucket: 'travel', from: 100, to: 200 },
+    { type: 'bucket_replicas_changed', bucket: 'travel', field: 'replicaNumber', from: 1, to: 2 },
+  ]);
+});
+
+test('watch emits a snapshot and then the changes the server sends', async (t) => {
+  const { mock, cluster } = t.context;
+  const watcher = t.context.watcher = cluster.watch();
+  const [ snapshot, changes ] = await next(watcher, 'snapshot');
+  t.is(snapshot.memoryQuota, 512);
+  t.deepEqual(changes, []);
+  const change = next(watcher, 'change');
+  await cluster.memory({ kv_memory: 1024 });
+  t.deepEqual(await change, [ { type: 'quota_changed', field: 'memoryQuota', from: 512, to: 1024 } ]);
+  t.is(mock.streams.length, 1);
+});
+
+test('watch reconnects when the server ends the stream and diffs the next snapshot', async (t) => {
+  const { mock, cluster } = t.context;
+  const watcher = t.context.watcher = cluster.watch({ interval: 10 });
+  await next(watcher, 'snapshot');
+  const reconnect = next(watcher, 'reconnect');
+  mock.streams.forEach(({ res }) => res.end());
+  mock.streams = [];
+  mock.state.cluster_name = 'renamed';
+  const [ { attempt, error } ] = await reconnect;
+  t.is(attempt, 1);
+  t.is(error, undefined);
+  const [ , changes ] = await next(watcher, 'snapshot');
+  t.deepEqual(changes, [ { type: 'cluster_name_changed', field: 'clusterName', from: '', to: 'renamed' } ]);
+});
+
+test('watch reconnects a stream that stops sending anything', async (t) => {
+  const { cluster } = t.context;
+  const watcher = t.context.watcher = cluster.watch({ interval: 10, idle_timeout: 100 });
+  await next(watcher, 'snapshot');
+  const [ { error } ] = await next(watcher, 'reconnect');
+  t.true(error instanceof TimeoutError);
+  t.regex(error.message, /didn't send anything for 100ms/);
+  await next(watcher, 'connect');
+});
+
+test('watch fails w/out reconnecting when the credentials are wrong', async (t) => {
+  const { mock } = t.context;
+  const cluster = new RestApi(mock.connection()).cluster(mock.host, { cluster_port: mock.port, password: 'wrong' });
+  const watcher = t.context.watcher = cluster.watch({ interval: 10 });
+  const [ err ] = await next(watcher, 'error');
+  t.true(err instanceof AuthenticationError);
+  t.true(watcher.closed);
+});
+
+test('watch is an async iterator that closes the watcher when the loop stops', async (t) => {
+  const { cluster } = t.context;
+  const watcher = t.context.watcher = cluster.watch();
+  for await (const { snapshot, changes } of watcher) {
+    t.is(snapshot.memoryQuota, 512);
+    t.deepEqual(changes, []);
+    break;
+  }
+  t.true(watcher.closed);
+});
+
+// resolves w/ the arguments of the next time an event is emitted
+function next(emitter, event) {
+  return new Promise((resolve) => emitter.once(event, (...args) => resolve(args)));
+}